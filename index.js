@@ -1,7 +1,20 @@
-function Elementool() {
+function Elementool(options) {
 
   var self = this;
 
+  /**
+   * Instance options.
+   * - document: The document used to create elements. Defaults to the global document, or to a
+   *   virtual document (see util.createVirtualDocument) when no DOM is available, e.g. in Node.
+   * - scheduler: A function that runs a callback before the next frame, used to batch renders
+   *   caused by signal changes. Defaults to requestAnimationFrame.
+   * - autoDispose: When true, elements detached from the document are disposed (see dispose).
+   * - strict: When true, objectToElement throws on invalid definitions instead of failing silently.
+   * - clock: The clock tween and timeline animations use, { now(), requestFrame(callback), cancelFrame(id) }.
+   *   Defaults to performance.now and requestAnimationFrame (see util.createManualClock for tests).
+   */
+  self.options = options || {};
+
   /**
    * Creates a new element based on the given selector, content, styles, and event listeners,
    * and can append it to the specified parent or sibling element.
@@ -56,19 +69,58 @@ function Elementool() {
  */
   this.draw = function (selector, optionalDescendants, optionalStyleObject, optionalEventListeners) {
     var svgElement = this.util.make(selector, optionalDescendants, optionalStyleObject, "http://www.w3.org/2000/svg", optionalEventListeners);
-    svgElement.moveElementBehind = this.svgHelpers.moveElementBehind;
-    svgElement.animate = function (attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode){
-      self.svgHelpers.animate(this, attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode);
-      return svgElement;
+    if (Array.isArray(svgElement)) {
+      return svgElement.map(function (e) { return self.util.isElement(e) ? self.util.decorateSvgElement(e) : e; });
     }
-    svgElement.isSvg = true;
-    return svgElement;
+    if (svgElement && svgElement.$isCollection) return svgElement;
+    return this.util.decorateSvgElement(svgElement);
   };
 
   this.math = function (selector, optionalDescendants, optionalStyleObject, optionalEventListeners) {
     return this.util.make(selector, optionalDescendants, optionalStyleObject, "http://www.w3.org/1998/Math/MathML", optionalEventListeners);
   };
 
+  /**
+   * Builds HTML from a tagged template literal. The markup is parsed once per template, then each
+   * call binds the interpolated values: on* attributes take event listeners, style can take a style
+   * object, functions become dynamic content, attributes or text (refreshed by render() and signals),
+   * and elements, arrays and definitions can be placed in the content. <svg> and <math> elements
+   * switch to their own namespaces.
+   *
+   * @returns {Element|Node[]} The element, or an array when the template has several top-level nodes.
+   *
+   * @example
+   *
+   * var count = el.signal(0);
+   * el.html`<button class="counter" onclick=${function () { count.update(function (n) { return n + 1; }); }}>
+   *   Clicked ${function () { return count.get(); }} times
+   * </button>`.appendTo(document.body);
+   */
+  this.html = function (strings) {
+    var nodes = this.util.instantiateMarkupTemplate(
+      this.util.parseMarkupTemplate(strings, "http://www.w3.org/1999/xhtml"),
+      Array.prototype.slice.call(arguments, 1)
+    );
+    return nodes.length === 1 ? nodes[0] : nodes;
+  };
+
+  /**
+   * Builds SVG from a tagged template literal, in the same way as html.
+   *
+   * @returns {Element|Node[]} The element, or an array when the template has several top-level nodes.
+   *
+   * @example
+   *
+   * el.svg`<circle cx="50" cy="50" r=${radius} fill=${function () { return color.get(); }} />`.appendTo(svgRoot);
+   */
+  this.svg = function (strings) {
+    var nodes = this.util.instantiateMarkupTemplate(
+      this.util.parseMarkupTemplate(strings, "http://www.w3.org/2000/svg"),
+      Array.prototype.slice.call(arguments, 1)
+    );
+    return nodes.length === 1 ? nodes[0] : nodes;
+  };
+
   /**
    * Converts an object into a set of elements based on the object's properties.
    * 
@@ -78,46 +130,669 @@ function Elementool() {
    * - math: A string representing a CSS selector for the MathML element to be created.
    * 
    * The object may optionally have the following properties:
-   * - content: A string, Element, or array of Elements to be appended to the created element.
+   * - content: A string, Element, definition, or array of Elements, definitions and strings (text)
+   *   to be appended to the created element.
    * - styles: An object containing style assignments for the created element.
    * - listeners: An object with event listeners assigned to the created element.
+   * - attributes: An object containing attribute assignments for the created element.
+   * - props: When the selector names a template, the template's props.
+   * - slots: When the selector names a template, content for its named slots (see templates).
    * 
+   * The format is described by definitionSchema. By default invalid definitions fail silently and
+   * return undefined. In strict mode (the strict option, per call or for the instance) the definition
+   * is checked with validate first, and an error listing every problem is thrown instead.
    * 
    * @param {*} obj - The definition of an element, potentially containing other elements
+   * @param {Object} optionalOptions - Options for this call. Example: { strict: true }
    * @returns {Element} - The created Element.
    */
-  this.objectToElement = function (obj) {
-    try {
-      if (typeof obj.make === "string") {
-        var newElement = this.make(obj.make, obj.content, obj.styles, obj.listeners);
-        if(obj.attributes) newElement.setAttributes(obj.attributes);
-        return newElement;
-      } else if (typeof obj.draw === "string") {
-        var newElement = this.draw(obj.draw, obj.content, obj.styles, obj.listeners);
-        if(obj.attributes) newElement.setAttributes(obj.attributes);
-        return newElement;
-      } else if (typeof obj.math === "string") {
-        var newElement = this.math(obj.math, obj.content, obj.styles, obj.listeners);
-        if(obj.attributes) newElement.setAttributes(obj.attributes);
-        return newElement;
+  this.objectToElement = function (obj, optionalOptions) {
+    var strict = optionalOptions && typeof optionalOptions.strict === "boolean" ? optionalOptions.strict : !!(self._strict || self.options.strict);
+    if (strict) {
+      var errors = this.validate(obj);
+      if (errors.length) throw this.util.createValidationError(errors);
+      // Nested definitions are built by further objectToElement calls, which must not swallow errors either.
+      var wasStrict = self._strict;
+      self._strict = true;
+      try {
+        return this.util.definitionToElement(obj);
+      } finally {
+        self._strict = wasStrict;
       }
+    }
+    try {
+      return this.util.definitionToElement(obj);
     } catch (e) {
       // fail silently
     }
   };
 
-  self.templates = {
-    add: function(templateName, templateFunction){
-      var canonicalName = templateName.toLowerCase();
-      if(!this[canonicalName]){
-        this[canonicalName] = templateFunction;
+  /**
+   * Captures an existing element and its descendants as an objectToElement definition, so that
+   * objectToElement can re-create an equivalent tree. The namespace decides between make, draw and
+   * math; the tag name, id and classes become the selector, and the remaining attributes, inline
+   * styles and children become attributes, styles and content.
+   *
+   * Comments are left out, as are text nodes that only hold whitespace between elements.
+   * Event listeners and dynamic functions cannot be read back from the DOM, so their current
+   * results are captured instead.
+   *
+   * @param {Node} element - The element (or text node) to capture.
+   * @returns {Object|string} The definition, or the text for a text node.
+   *
+   * @example
+   *
+   * el.elementToObject(el.make('ul#list', [el.make('li.item', 'One')]));
+   * // => { make: 'ul#list', content: { make: 'li.item', content: 'One' } }
+   */
+  this.elementToObject = function (element) {
+    if (element && element.nodeType === 3) return element.data;
+    if (!this.util.isElement(element)) return undefined;
+
+    var kinds = {
+      "http://www.w3.org/2000/svg": "draw",
+      "http://www.w3.org/1998/Math/MathML": "math"
+    };
+    var kind = kinds[element.namespaceURI] || "make";
+    var tagName = kind === "make" ? element.localName.toLowerCase() : element.localName;
+    var id = element.getAttribute("id");
+    var classes = (element.getAttribute("class") || "").split(/\s+/).filter(function (c) { return !!c; });
+
+    var selector = id ? "#" + this.util.escapeSelectorName(id) : "";
+    classes.forEach(function (className) { selector += "." + self.util.escapeSelectorName(className); });
+    // 'div' is the default tag name for make, so it can be left out of selectors with an id or class.
+    if (!(kind === "make" && tagName === "div" && selector)) selector = tagName + selector;
+
+    var definition = {};
+    definition[kind] = selector;
+
+    // Attributes keep their prefixes (xlink:href), which setAttributes maps back to their namespaces.
+    var attributes = {};
+    Array.prototype.forEach.call(element.attributes, function (attribute) {
+      if (attribute.namespaceURI && attribute.namespaceURI !== self.util.attributeNamespaces[attribute.prefix]) {
+        throw new Error("The attribute " + attribute.name + " is in the namespace " + attribute.namespaceURI + ", which definitions cannot express");
+      }
+      if (["id", "class", "style"].indexOf(attribute.name) < 0) attributes[attribute.name] = attribute.value;
+    });
+    if (Object.keys(attributes).length) definition.attributes = attributes;
+
+    var declarations = this.util.parseStyleText(element.getAttribute("style"));
+    var styles = {};
+    Object.keys(declarations).forEach(function (property) {
+      var jsNotationProperty = /^--/.test(property) ? property : property.replace(/-./g, function (match) {
+        return match.charAt(1).toUpperCase();
+      });
+      styles[jsNotationProperty] = declarations[property];
+    });
+    if (Object.keys(styles).length) definition.styles = styles;
+
+    var children = Array.prototype.filter.call(element.childNodes, function (node) {
+      return node.nodeType === 1 || node.nodeType === 3;
+    });
+    var hasElements = children.some(function (node) { return node.nodeType === 1; });
+    if (hasElements) {
+      // Whitespace before the first and after the last element is indentation; between elements
+      // it separates them, as in '<b>a</b> <i>b</i>'.
+      var isElement = function (node) { return node.nodeType === 1; };
+      var first = children.indexOf(children.filter(isElement)[0]);
+      var last = children.lastIndexOf(children.filter(isElement).pop());
+      children = children.filter(function (node, index) {
+        return node.nodeType === 1 || node.data.trim() || (index > first && index < last);
+      });
+    }
+
+    if (!hasElements && children.length) {
+      definition.content = element.textContent;
+    } else if (children.length === 1) {
+      definition.content = this.elementToObject(children[0]);
+    } else if (children.length) {
+      definition.content = children.map(function (node) { return self.elementToObject(node); });
+    }
+
+    return definition;
+  };
+
+  /**
+   * The JSON Schema (draft-07) for the definitions objectToElement takes. It is also published as
+   * definition.schema.json, which `npm run schema` generates from it. Definitions built in
+   * JavaScript may additionally use functions for dynamic content, styles, attributes and
+   * listeners, and Elements in their content.
+   */
+  self.definitionSchema = {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "title": "Elementool element definition",
+    "$ref": "#/definitions/definition",
+    "definitions": {
+      "definition": {
+        "type": "object",
+        "properties": {
+          "make": { "type": "string", "description": "CSS selector of an HTML element to create." },
+          "draw": { "type": "string", "description": "CSS selector of an SVG element to create." },
+          "math": { "type": "string", "description": "CSS selector of a MathML element to create." },
+          "content": { "$ref": "#/definitions/content" },
+          "styles": {
+            "type": "object",
+            "description": "Styles in JS notation (fontSize) or CSS notation (font-size).",
+            "additionalProperties": { "type": ["string", "number"] }
+          },
+          "attributes": {
+            "type": "object",
+            "description": "Attribute values; true sets a boolean attribute and false leaves it out.",
+            "additionalProperties": { "type": ["string", "number", "boolean"] }
+          },
+          "listeners": {
+            "type": "object",
+            "description": "Event names, optionally followed by a selector to delegate to ('click .row'), mapped to the names of handlers or global functions.",
+            "additionalProperties": {
+              "oneOf": [
+                { "type": "string" },
+                {
+                  "type": "object",
+                  "properties": {
+                    "handler": { "type": "string" },
+                    "once": { "type": "boolean" },
+                    "passive": { "type": "boolean" },
+                    "capture": { "type": "boolean" }
+                  },
+                  "required": ["handler"],
+                  "additionalProperties": false
+                }
+              ]
+            }
+          },
+          "props": {
+            "type": "object",
+            "description": "Props for the template the selector names."
+          },
+          "slots": {
+            "type": "object",
+            "description": "Content for the named slots of the template the selector names.",
+            "additionalProperties": { "$ref": "#/definitions/content" }
+          }
+        },
+        "oneOf": [
+          { "required": ["make"] },
+          { "required": ["draw"] },
+          { "required": ["math"] }
+        ],
+        "additionalProperties": false
+      },
+      "content": {
+        "oneOf": [
+          { "type": "string" },
+          { "$ref": "#/definitions/definition" },
+          {
+            "type": "array",
+            "items": {
+              "oneOf": [
+                { "type": "string", "description": "A text node." },
+                { "$ref": "#/definitions/definition" }
+              ]
+            }
+          }
+        ]
+      }
+    }
+  };
+
+  /**
+   * Checks an objectToElement definition, including its nested content, against definitionSchema
+   * and the selector syntax.
+   *
+   * @param {*} definition - The definition to check.
+   * @returns {Object[]} The problems found, each with a path (e.g. 'content[2].styles.color') and a
+   *   message. The list is empty when the definition is valid.
+   *
+   * @example
+   *
+   * el.validate({ make: 'ul', content: [{ make: 'li', contents: 'One' }] });
+   * // => [{ path: 'content[0].contents', message: "Unknown property 'contents'" }]
+   */
+  this.validate = function (definition) {
+    var errors = [];
+    this.util.validateDefinition(definition, "", errors);
+    return errors;
+  };
+
+  /**
+   * Serializes an element, an array of elements, or an objectToElement-style definition to markup.
+   *
+   * Definitions are built when this is called, so their dynamic content, styles and attributes are
+   * evaluated once, at render time, and the built elements are not kept for later render() calls.
+   * Combined with the virtual document used when there is no DOM, this allows the same component
+   * code to prerender pages or generate static SVG in Node.
+   *
+   * @param {Element|Element[]|Object} elementOrDefinition - What to serialize.
+   * @returns {string} The escaped, namespace-correct markup.
+   *
+   * @example
+   *
+   * // In Node
+   * var Elementool = require('./index.js');
+   * new Elementool().renderToString({ draw: 'svg[width=10][height=10]', content: [{ draw: 'circle[r=5]' }] });
+   * // => '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><circle r="5"/></svg>'
+   */
+  this.renderToString = function (elementOrDefinition) {
+    if (Array.isArray(elementOrDefinition)) {
+      return elementOrDefinition.map(function (item) { return self.renderToString(item); }).join("");
+    }
+    if (elementOrDefinition && typeof elementOrDefinition.nodeType === "number") {
+      return this.util.serialize(elementOrDefinition);
+    }
+    var element = this.objectToElement(elementOrDefinition || {});
+    if (!element) return "";
+    var markup = this.util.serialize(element);
+    this.util.walk(element, function (e) { self.util.unregisterDynamicElement(e); });
+    return markup;
+  };
+
+  /**
+   * Exports an SVG element as a standalone SVG document, e.g. for saving report graphics to a file.
+   *
+   * The markup comes from a copy of the element, so the page is left untouched. The SVG and XLink
+   * namespaces are declared, and gradients, patterns, masks, clip paths, markers, filters and symbols
+   * the graphic references with url(#id) or href="#id" but that live outside it (e.g. in another
+   * <svg>) are copied into its <defs>.
+   *
+   * Options:
+   * - inlineStyles: true to write computed presentation styles (fill, stroke, font-size...) into style
+   *   attributes, so that styles from stylesheets and css() survive outside the page; or an array of
+   *   the CSS properties to write. Needs getComputedStyle, so it does nothing in a virtual document.
+   * - xmlDeclaration: false to leave out the <?xml ...?> declaration.
+   *
+   * @param {Element} svgRoot - The <svg> element.
+   * @param {Object} optionalOptions - The options.
+   * @returns {string} The SVG document.
+   *
+   * @example
+   *
+   * var file = new Blob([el.exportSvg(chart.element, { inlineStyles: true })], { type: 'image/svg+xml' });
+   */
+  this.exportSvg = function (svgRoot, optionalOptions) {
+    var options = optionalOptions || {};
+    var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+    var XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+    var doc = svgRoot.ownerDocument || self.document;
+    var view = doc.defaultView;
+    var computedStyles = options.inlineStyles && view && typeof view.getComputedStyle === "function";
+    var pairs = [];
+    var copy = this.util.cloneNode(svgRoot, doc, function (original, clone) { pairs.push([original, clone]); });
+
+    if (computedStyles) {
+      // Inherited properties are written where they differ from the parent, the others where they
+      // differ from their initial value.
+      var initialValues = {
+        opacity: "1", display: "inline", mask: "none", "clip-path": "none", filter: "none",
+        "stop-color": "rgb(0, 0, 0)", "stop-opacity": "1"
+      };
+      var properties = Array.isArray(options.inlineStyles) ? options.inlineStyles : [
+        "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+        "stroke-dashoffset", "stroke-linecap", "stroke-linejoin", "stroke-miterlimit", "font-family", "font-size",
+        "font-style", "font-weight", "text-anchor", "dominant-baseline", "visibility", "color", "clip-rule",
+        "opacity", "display", "mask", "clip-path", "filter", "stop-color", "stop-opacity"
+      ];
+      var computed = new Map();
+      pairs.forEach(function (pair) {
+        var original = pair[0];
+        var style = view.getComputedStyle(original);
+        computed.set(original, style);
+        var parentStyle = computed.get(original.parentNode);
+        var declarations = self.util.parseStyleText(pair[1].getAttribute("style"));
+        properties.forEach(function (property) {
+          var value = style.getPropertyValue(property);
+          if (!value || declarations.hasOwnProperty(property)) return;
+          var baseline = initialValues.hasOwnProperty(property) ? initialValues[property] : parentStyle && parentStyle.getPropertyValue(property);
+          if (value !== baseline) declarations[property] = value;
+        });
+        var cssText = Object.keys(declarations).map(function (property) { return property + ": " + declarations[property] + ";"; }).join(" ");
+        if (cssText) pair[1].setAttribute("style", cssText);
+      });
+    }
+
+    // Copy referenced definitions in from elsewhere in the document until nothing is missing.
+    var ids = {};
+    var references = [];
+    var scan = function (root) {
+      self.util.walk(root, function (element) {
+        if (element.id) ids[element.id] = true;
+        references = references.concat(self.util.referencedIds(element));
+      });
+    };
+    var defs;
+    scan(copy);
+    while (references.length) {
+      var id = references.shift();
+      if (ids[id]) continue;
+      var definition = this.util.findElementById(doc, id);
+      if (!definition) continue;
+      if (!defs) {
+        defs = copy.children && Array.prototype.filter.call(copy.children, function (child) { return child.localName === "defs"; })[0];
+        if (!defs) defs = copy.insertBefore(doc.createElementNS(SVG_NAMESPACE, "defs"), copy.firstChild);
       }
+      var definitionCopy = this.util.cloneNode(definition, doc);
+      defs.appendChild(definitionCopy);
+      scan(definitionCopy);
     }
+
+    var usesXlink = false;
+    this.util.walk(copy, function (element) {
+      Array.prototype.forEach.call(element.attributes, function (attribute) {
+        if (attribute.namespaceURI === XLINK_NAMESPACE || /^xlink:/.test(attribute.name)) usesXlink = true;
+      });
+    });
+    if (usesXlink && !copy.getAttribute("xmlns:xlink")) copy.setAttribute("xmlns:xlink", XLINK_NAMESPACE);
+
+    // serialize declares the SVG namespace on the root, as it differs from the (HTML) default.
+    var markup = this.util.serialize(copy);
+    return (options.xmlDeclaration === false ? "" : '<?xml version="1.0" encoding="UTF-8"?>\n') + markup;
+  };
+
+  /**
+   * Exports an SVG element as a PNG image by drawing it on a canvas. Only available in browsers;
+   * elsewhere the promise rejects.
+   *
+   * @param {Element} svgRoot - The <svg> element.
+   * @param {Object} optionalOptions - exportSvg options, plus width and height (the element's width and
+   *   height attributes, or its viewBox, by default), scale (e.g. 2 for high-density screens), background
+   *   (a fill color; transparent by default), type ('image/png') and quality.
+   * @returns {Promise<Blob>} The image.
+   */
+  this.exportPng = function (svgRoot, optionalOptions) {
+    var options = optionalOptions || {};
+    var doc = svgRoot.ownerDocument || self.document;
+    var view = doc.defaultView;
+    return new Promise(function (resolve, reject) {
+      var canvas = typeof doc.createElement === "function" ? doc.createElement("canvas") : undefined;
+      var context = canvas && typeof canvas.getContext === "function" ? canvas.getContext("2d") : null;
+      if (!context || !view || typeof view.Image !== "function" || typeof canvas.toBlob !== "function") {
+        reject(new Error("PNG export needs a canvas, which is not available here"));
+        return;
+      }
+      var viewBox = (svgRoot.getAttribute("viewBox") || "").split(/[\s,]+/).map(parseFloat);
+      var width = options.width || parseFloat(svgRoot.getAttribute("width")) || viewBox[2] || 300;
+      var height = options.height || parseFloat(svgRoot.getAttribute("height")) || viewBox[3] || 150;
+      var scale = options.scale || 1;
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      var image = new view.Image();
+      image.onload = function () {
+        if (options.background) {
+          context.fillStyle = options.background;
+          context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(function (blob) {
+          if (blob) resolve(blob); else reject(new Error("The canvas could not be exported"));
+        }, options.type || "image/png", options.quality);
+      };
+      image.onerror = function () { reject(new Error("The SVG could not be drawn")); };
+      image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(self.exportSvg(svgRoot, options));
+    });
+  };
+
+  /**
+   * Attaches client-side behaviour to markup rendered with renderToString, instead of rebuilding it.
+   *
+   * The objectToElement-style definition the markup was rendered from is walked against the existing
+   * nodes. Element methods (appendTo, setStyles, setContent, render...), event listeners and dynamic
+   * content, style and attribute functions are reattached without changing the markup; the next
+   * render() brings dynamic values up to date. Differences between the definition and the markup
+   * are reported rather than repaired.
+   *
+   * @param {Element} rootElement - The existing element the root of the definition was rendered to.
+   * @param {Object} definition - The objectToElement-style definition.
+   * @returns {Object} An object with the hydrated element and a list of mismatches, each with
+   *   a path into the definition (e.g. 'content[1]'), a message, and the expected and actual values.
+   *
+   * @example
+   *
+   * var result = el.hydrate(document.querySelector('#app'), appDefinition);
+   * if (result.mismatches.length) console.warn(result.mismatches);
+   */
+  this.hydrate = function (rootElement, definition) {
+    var mismatches = [];
+    this.util.hydrateElement(rootElement, definition, "", mismatches);
+    return { element: rootElement, mismatches: mismatches };
   };
 
+  self._templates = {};
+
   self.elementsWithDynamicValues = [];
-  self.render = function(){
-    self.elementsWithDynamicValues.forEach(function(e){ e.render(); });
+
+  /**
+   * Refreshes dynamic content, styles and attributes.
+   *
+   * Without a scope, every element with dynamic values that is attached to the page is rendered;
+   * detached elements are skipped. With a scope, only the elements inside that element are
+   * rendered, stopping at nested render roots (see renderRoot).
+   *
+   * @param {Element} optionalScope - The element to limit rendering to.
+   */
+  self.render = function(optionalScope){
+    if (optionalScope) {
+      self.util.walkRenderScope(optionalScope, function (e) {
+        if (typeof e.render === "function") e.render();
+      });
+      return;
+    }
+    self.elementsWithDynamicValues.forEach(function(e){
+      if (self.util.isConnected(e)) e.render();
+    });
+  };
+
+  /**
+   * Marks an element as a render root: an independently refreshed widget. Scoped renders
+   * (render(scope) and element.render({ deep: true })) started outside a render root do not
+   * descend into it, so each widget can be refreshed without touching the rest of the page.
+   *
+   * @param {Element} element - The root element of the widget.
+   * @returns {Element} The element, with the Elementool element methods.
+   *
+   * @example
+   *
+   * var clock = el.renderRoot(el.make('div.clock', [hours, minutes]));
+   * setInterval(function () { clock.render({ deep: true }); }, 1000);
+   */
+  self.renderRoot = function (element) {
+    element._isRenderRoot = true;
+    if (typeof element.render !== "function") self.util.decorateElement(element);
+    return element;
+  };
+
+  self._styleClasses = {};
+  self._styleRules = [];
+  self._styleSheet = undefined;
+  self._handlers = {};
+  self._fieldCount = 0;
+  self._idCount = 0;
+  self._lastAnimation = undefined;
+  self._themes = {};
+  self._tokenPaths = {};
+
+  self._trackingStack = [];
+  self._pendingRenders = [];
+  self._renderScheduled = false;
+
+  /**
+   * Renders every element queued by a signal change straight away, instead of waiting for the next frame.
+   * An element whose dynamic values throw does not stop the others; the first error is rethrown afterwards.
+   */
+  self.flushRenders = function () {
+    var pending = self._pendingRenders;
+    self._pendingRenders = [];
+    self._renderScheduled = false;
+    var errors = [];
+    pending.forEach(function (element) {
+      try {
+        if (typeof element.render === "function") element.render();
+      } catch (e) {
+        errors.push(e);
+      }
+    });
+    if (errors.length) throw errors[0];
+  };
+
+  /**
+   * Creates an observable value. Reading it with get() inside a dynamic content, style or attribute
+   * function makes the element re-render, batched per frame, whenever the value is set.
+   *
+   * @param {*} initialValue - The starting value.
+   * @returns {Object} A signal with get, peek (read without tracking), set, update and subscribe methods.
+   *
+   * @example
+   *
+   * var count = el.signal(0);
+   * el.make('p', function () { return 'Count: ' + count.get(); }).appendTo(document.body);
+   * count.set(1); // the paragraph updates on the next frame
+   */
+  self.signal = function (initialValue) {
+    var value = initialValue;
+    var dependents = [];
+    var signal = {
+      get: function () {
+        self.util.trackSignalRead(dependents);
+        return value;
+      },
+      peek: function () {
+        return value;
+      },
+      set: function (newValue) {
+        if (newValue === value) return signal;
+        value = newValue;
+        dependents.slice().forEach(function (dependent) { dependent.notify(); });
+        return signal;
+      },
+      update: function (updateFunction) {
+        return signal.set(updateFunction(value));
+      },
+      subscribe: function (listener) {
+        var subscriber = { dependencies: [dependents], notify: function () { listener(value); } };
+        dependents.push(subscriber);
+        return function () { self.util.clearDependencies(subscriber); };
+      }
+    };
+    return signal;
+  };
+
+  /**
+   * Creates a signal whose value is derived from other signals, and recomputed when they change.
+   * @param {Function} computeFunction - Computes the value from other signals.
+   * @returns {Object} A read-only signal with get, peek and subscribe methods.
+   */
+  self.computed = function (computeFunction) {
+    var result = self.signal();
+    var dependent = {
+      dependencies: [],
+      notify: function () {
+        self.util.clearDependencies(dependent);
+        result.set(self.util.trackDependencies(dependent, computeFunction));
+      }
+    };
+    dependent.notify();
+    return { get: result.get, peek: result.peek, subscribe: result.subscribe };
+  };
+
+  /**
+   * Creates an observable object. Each property is backed by a signal, so reading store.key inside a
+   * dynamic function tracks it, and assigning store.key re-renders the elements that read it.
+   * Plain object values become nested stores. Properties must exist in the initial state, or be
+   * added with $set; arrays and other objects are only observed when they are replaced.
+   *
+   * @param {Object} initialState - The starting properties.
+   * @returns {Object} The store, with $get(path), $set(path, value) and $subscribe(path, listener)
+   *   methods taking dotted paths such as 'user.name'.
+   *
+   * @example
+   *
+   * var state = el.store({ user: { name: 'Ada' } });
+   * el.make('h1', function () { return 'Hello ' + state.user.name; }).appendTo(document.body);
+   * state.user.name = 'Grace';
+   */
+  self.store = function (initialState) {
+    var store = {};
+    var signals = {};
+
+    function isPlainObject(value) {
+      if (!value || typeof value !== "object" || value.$isStore) return false;
+      // Compare prototype depth rather than Object.prototype, so objects from other frames qualify.
+      var prototype = Object.getPrototypeOf(value);
+      return prototype === null || Object.getPrototypeOf(prototype) === null;
+    }
+
+    function wrap(value) {
+      return isPlainObject(value) ? self.store(value) : value;
+    }
+
+    function defineKey(key, value) {
+      signals[key] = self.signal(wrap(value));
+      Object.defineProperty(store, key, {
+        enumerable: true,
+        configurable: true,
+        get: function () { return signals[key].get(); },
+        set: function (newValue) { signals[key].set(wrap(newValue)); }
+      });
+    }
+
+    function split(path) {
+      var keys = String(path).split(".");
+      var owner = store;
+      for (var i = 0; i < keys.length - 1; i++) {
+        if (!owner[keys[i]] || !owner[keys[i]].$isStore) {
+          if (owner === store && !signals.hasOwnProperty(keys[i])) defineKey(keys[i], {});
+          else owner.$set(keys[i], {});
+        }
+        owner = owner[keys[i]];
+      }
+      return { owner: owner, key: keys[keys.length - 1] };
+    }
+
+    Object.defineProperties(store, {
+      $isStore: { value: true },
+      $get: {
+        value: function (path) {
+          return String(path).split(".").reduce(function (value, key) {
+            return value === undefined || value === null ? undefined : value[key];
+          }, store);
+        }
+      },
+      $set: {
+        value: function (path, value) {
+          var target = split(path);
+          if (target.owner !== store) return target.owner.$set(target.key, value);
+          if (signals.hasOwnProperty(target.key)) {
+            store[target.key] = value;
+          } else {
+            defineKey(target.key, value);
+          }
+          return store;
+        }
+      },
+      $subscribe: {
+        value: function (path, listener) {
+          var target = split(path);
+          if (target.owner !== store) return target.owner.$subscribe(target.key, listener);
+          if (!signals.hasOwnProperty(target.key)) defineKey(target.key, undefined);
+          return signals[target.key].subscribe(listener);
+        }
+      },
+      $toObject: {
+        value: function () {
+          var result = {};
+          Object.keys(signals).forEach(function (key) {
+            var value = signals[key].peek();
+            result[key] = value && value.$isStore ? value.$toObject() : value;
+          });
+          return result;
+        }
+      }
+    });
+
+    Object.keys(initialState || {}).forEach(function (key) {
+      defineKey(key, initialState[key]);
+    });
+
+    return store;
   };
 
   this.util = {
@@ -142,187 +817,4447 @@ function Elementool() {
     },
 
     /**
-     * Takes a single element CSS selector and turns it into an object with the specified properties.
-     * @param {string} selector - A single element CSS selector.
-     * @returns {Object} An object with properties: tagName, id, classList, and attributes.
+     * Formats a tick value without floating point noise, e.g. 0.30000000000000004 as '0.3'.
+     * @param {number} value - The value.
+     * @returns {string}
      */
-    selectorToComponents: function (selector) {
-      // Initialize the result object with default values
-      var result = {
-        tagName: 'div',
-        id: undefined,
-        classList: [],
-        attributes: {}
-      };
-
-      var doneAttributes = [];
-
-      // Extract the attributes first to simplify parsing of the remaining selector
-      var attributeRegex = /\[([\w-]+)(?:=(?:['"](.+?)['"]|([^\]]+)))?\]/g;
-      var attributeMatch;
-      while ((attributeMatch = attributeRegex.exec(selector)) !== null) {
-        var attributeName = attributeMatch[1];
-        var attributeValue = attributeMatch[2] || attributeMatch[3] || '';
-        result.attributes[attributeName] = attributeValue;
-
-        doneAttributes.push(attributeMatch[0]);
-      }
-
-      doneAttributes.forEach(function (att) {
-        selector = selector.split(att).join("");
-      });
-
-      // Regex to match different parts of the selector
-      var tagNameRegex = /^[\w-]+/;
-      var idRegex = /#([\w-]+)/;
-      var classRegex = /\.([\w-]+)/g;
-
-      // Extract the tag name
-      var tagNameMatch = selector.match(tagNameRegex);
-      if (tagNameMatch) {
-        result.tagName = tagNameMatch[0];
-        selector = selector.replace(tagNameMatch[0], '');
-      }
-
-      // Extract the ID
-      var idMatch = selector.match(idRegex);
-      if (idMatch) {
-        result.id = idMatch[1];
-      }
-
-      // Extract the class list
-      var classMatch;
-      while ((classMatch = classRegex.exec(selector)) !== null) {
-        result.classList.push(classMatch[1]);
-      }
-      //console.log(result);
-      return result;
+    formatNumber: function (value) {
+      return String(Number(Number(value).toPrecision(12)));
     },
 
     /**
-     * Takes a single string input and returns an object with the appropriate properties
-     * depending on the input.
-     * @param {string} input - A single string input representing an element selector with optional combinators.
-     * @returns {Object} An object with properties: elementDefinition, parentElement (optional), and siblingElement (optional).
+     * Parses SVG path data into commands such as { type: "M", values: [10, 20] }. Implicit
+     * repeated commands are made explicit, so "M0 0 10 10" gives a moveto and a lineto.
+     * @param {string} d - The path data.
+     * @returns {Object[]} The commands, in the case (absolute or relative) they were written.
      */
-    resolveRelativeElement: function (input) {
-      // Initialize the result object with the default values
-      var result = {
-        elementDefinition: '',
-        parentElement: undefined,
-        siblingElement: undefined
+    parsePathData: function (d) {
+      var counts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+      var number = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+      var text = String(d || "");
+      var commands = [];
+      var index = 0;
+      var skip = function () {
+        while (index < text.length && /[\s,]/.test(text.charAt(index))) index++;
+      };
+      var fail = function (expected) {
+        throw new SyntaxError("Expected " + expected + " at position " + index + " in path data '" + text + "'");
       };
 
-      // Replace attribute selectors with placeholders to avoid confusion with combinators
-      var attributeRegex = /\[.*?\]/g;
-      var attributePlaceholders = [];
-      var attributeMatch;
-      while ((attributeMatch = attributeRegex.exec(input)) !== null) {
-        var placeholder = 'ATTR' + attributePlaceholders.length;
-        attributePlaceholders.push(attributeMatch[0]);
-        input = input.replace(attributeMatch[0], placeholder);
+      skip();
+      while (index < text.length) {
+        var type = text.charAt(index);
+        var upper = type.toUpperCase();
+        if (!counts.hasOwnProperty(upper)) fail("a command");
+        if (!commands.length && upper !== "M") fail("a moveto command");
+        index++;
+        var first = true;
+        do {
+          var values = [];
+          for (var i = 0; i < counts[upper]; i++) {
+            skip();
+            // Arc flags are single digits that need no separator, as in "a5 5 0 0110 10".
+            if (upper === "A" && (i === 3 || i === 4)) {
+              if (text.charAt(index) !== "0" && text.charAt(index) !== "1") fail("an arc flag");
+              values.push(+text.charAt(index++));
+              continue;
+            }
+            number.lastIndex = index;
+            var match = number.exec(text);
+            if (!match || match.index !== index) fail("a number");
+            values.push(parseFloat(match[0]));
+            index += match[0].length;
+          }
+          commands.push({ type: type, values: values });
+          if (first && upper === "M") type = type === "M" ? "L" : "l";
+          first = false;
+          skip();
+        } while (counts[upper] && index < text.length && /[\d+\-.]/.test(text.charAt(index)));
       }
+      return commands;
+    },
 
-      // Find the last child or sibling combinator in the input string
-      var lastCombinatorIndex = Math.max(input.lastIndexOf('>'), input.lastIndexOf('+'));
-
-      if (lastCombinatorIndex !== -1) {
-        // Set the elementDefinition to the selector after the last combinator
-        result.elementDefinition = input.slice(lastCombinatorIndex + 1).trim();
+    /**
+     * Serializes path commands back into path data, e.g. "M10,20 L30,40 Z".
+     * @param {Object[]} commands - The commands.
+     * @returns {string}
+     */
+    serializePathData: function (commands) {
+      return commands.map(function (command) {
+        var values = command.values.map(function (value) {
+          return self.util.formatNumber(Math.abs(value) < 1e-10 ? 0 : value);
+        });
+        var upper = command.type.toUpperCase();
+        if (upper === "A") {
+          return command.type + values[0] + "," + values[1] + " " + values[2] + " " + values[3] + "," + values[4] + " " + values[5] + "," + values[6];
+        }
+        if (upper === "H" || upper === "V" || upper === "Z") return command.type + values.join("");
+        var pairs = [];
+        for (var i = 0; i < values.length; i += 2) pairs.push(values[i] + "," + values[i + 1]);
+        return command.type + pairs.join(" ");
+      }).join(" ");
+    },
 
-        // Set the parentElement or siblingElement property depending on the last combinator
-        if (input[lastCombinatorIndex] === '>') {
-          result.parentElement = input.slice(0, lastCombinatorIndex).trim();
+    /**
+     * Converts path commands to absolute coordinates.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object[]} New commands, all in upper case.
+     */
+    absolutePathData: function (commands) {
+      var x = 0, y = 0, startX = 0, startY = 0;
+      return commands.map(function (command) {
+        var upper = command.type.toUpperCase();
+        var values = command.values.slice();
+        if (command.type !== upper) {
+          if (upper === "H") {
+            values[0] += x;
+          } else if (upper === "V") {
+            values[0] += y;
+          } else if (upper === "A") {
+            values[5] += x;
+            values[6] += y;
+          } else {
+            for (var i = 0; i < values.length; i += 2) {
+              values[i] += x;
+              values[i + 1] += y;
+            }
+          }
+        }
+        if (upper === "Z") {
+          x = startX;
+          y = startY;
+        } else if (upper === "H") {
+          x = values[0];
+        } else if (upper === "V") {
+          y = values[0];
         } else {
-          result.siblingElement = input.slice(0, lastCombinatorIndex).trim();
+          x = values[values.length - 2];
+          y = values[values.length - 1];
         }
-      } else {
-        // If there's no combinator, the input string is a single element selector
-        result.elementDefinition = input.trim();
-      }
+        if (upper === "M") {
+          startX = x;
+          startY = y;
+        }
+        return { type: upper, values: values };
+      });
+    },
 
-      // Replace attribute placeholders with their original values
-      for (var i = 0; i < attributePlaceholders.length; i++) {
-        result.elementDefinition = result.elementDefinition.replace('ATTR' + i, attributePlaceholders[i]);
-        if (result.parentElement) {
-          result.parentElement = result.parentElement.replace('ATTR' + i, attributePlaceholders[i]);
+    /**
+     * Converts path commands to relative coordinates. The first moveto stays absolute.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object[]} New commands, in lower case apart from the first moveto.
+     */
+    relativePathData: function (commands) {
+      var x = 0, y = 0, startX = 0, startY = 0;
+      return self.util.absolutePathData(commands).map(function (command, index) {
+        var values = command.values.slice();
+        var type = command.type;
+        if (type === "H") {
+          values[0] -= x;
+          x = command.values[0];
+        } else if (type === "V") {
+          values[0] -= y;
+          y = command.values[0];
+        } else if (type === "A") {
+          values[5] -= x;
+          values[6] -= y;
+        } else if (type !== "Z") {
+          for (var i = 0; i < values.length; i += 2) {
+            values[i] -= x;
+            values[i + 1] -= y;
+          }
         }
-        if (result.siblingElement) {
-          result.siblingElement = result.siblingElement.replace('ATTR' + i, attributePlaceholders[i]);
+        if (type === "Z") {
+          x = startX;
+          y = startY;
+        } else if (type !== "H" && type !== "V") {
+          x = command.values[command.values.length - 2];
+          y = command.values[command.values.length - 1];
         }
-      }
+        if (type === "M") {
+          startX = x;
+          startY = y;
+        }
+        return index === 0 ? command : { type: type.toLowerCase(), values: values };
+      });
+    },
 
+    /**
+     * Converts path commands to absolute M, L, C and Z commands only: H and V become lines,
+     * smooth and quadratic curves become cubic curves, and arcs are approximated by cubic curves.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object[]}
+     */
+    normalizePathData: function (commands) {
+      var result = [];
+      var x = 0, y = 0, startX = 0, startY = 0;
+      var previous, controlX, controlY;
+      self.util.absolutePathData(commands).forEach(function (command) {
+        var type = command.type;
+        var v = command.values;
+        var reflected = (type === "S" && previous === "C") || (type === "T" && previous === "Q");
+        var reflectX = reflected ? 2 * x - controlX : x;
+        var reflectY = reflected ? 2 * y - controlY : y;
+        var next = type;
+        if (type === "M" || type === "L") {
+          result.push({ type: type, values: v.slice() });
+        } else if (type === "H" || type === "V") {
+          result.push({ type: "L", values: type === "H" ? [v[0], y] : [x, v[0]] });
+          next = "L";
+        } else if (type === "C" || type === "S") {
+          var cubic = type === "C" ? v.slice() : [reflectX, reflectY].concat(v);
+          result.push({ type: "C", values: cubic });
+          controlX = cubic[2];
+          controlY = cubic[3];
+          next = "C";
+        } else if (type === "Q" || type === "T") {
+          var quadratic = type === "Q" ? v.slice() : [reflectX, reflectY].concat(v);
+          var endX = quadratic[2], endY = quadratic[3];
+          result.push({
+            type: "C",
+            values: [
+              x + 2 / 3 * (quadratic[0] - x), y + 2 / 3 * (quadratic[1] - y),
+              endX + 2 / 3 * (quadratic[0] - endX), endY + 2 / 3 * (quadratic[1] - endY),
+              endX, endY
+            ]
+          });
+          controlX = quadratic[0];
+          controlY = quadratic[1];
+          next = "Q";
+        } else if (type === "A") {
+          if (!v[0] || !v[1]) {
+            result.push({ type: "L", values: [v[5], v[6]] });
+          } else {
+            self.util.arcToCubics(x, y, v[0], v[1], v[2], v[3], v[4], v[5], v[6]).forEach(function (values) {
+              result.push({ type: "C", values: values });
+            });
+          }
+        } else {
+          result.push({ type: "Z", values: [] });
+        }
+        previous = next;
+        if (type === "Z") {
+          x = startX;
+          y = startY;
+        } else if (type === "H") {
+          x = v[0];
+        } else if (type === "V") {
+          y = v[0];
+        } else {
+          x = v[v.length - 2];
+          y = v[v.length - 1];
+        }
+        if (type === "M") {
+          startX = x;
+          startY = y;
+        }
+      });
       return result;
     },
 
     /**
-     * Applies styles from the given style object to the specified Element.
-     * @param {Element} element - The Element to which the styles will be applied.
-     * @param {Object} styles - An object containing style assignments in either JS notation or CSS notation.
+     * Approximates an elliptical arc with cubic Bézier curves of at most 90 degrees each, following
+     * the endpoint to center conversion in the SVG specification.
+     * @returns {number[][]} The values of each cubic curve: [x1, y1, x2, y2, x, y].
+     */
+    arcToCubics: function (x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+      if (x1 === x2 && y1 === y2) return [];
+      var phi = rotation * Math.PI / 180;
+      var cos = Math.cos(phi), sin = Math.sin(phi);
+      rx = Math.abs(rx);
+      ry = Math.abs(ry);
+      var dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+      var x1p = cos * dx + sin * dy;
+      var y1p = -sin * dx + cos * dy;
+      var lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+      if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+      }
+      var numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+      var coefficient = (+largeArc === +sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+      var cxp = coefficient * rx * y1p / ry;
+      var cyp = -coefficient * ry * x1p / rx;
+      var cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+      var cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+      var theta = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+      var delta = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - theta;
+      if (!+sweep && delta > 0) delta -= 2 * Math.PI;
+      if (+sweep && delta < 0) delta += 2 * Math.PI;
+
+      var segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+      var step = delta / segments;
+      var k = 4 / 3 * Math.tan(step / 4);
+      var point = function (t) {
+        return [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+      };
+      var tangent = function (t) {
+        return [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+      };
+      var curves = [];
+      for (var i = 0; i < segments; i++) {
+        var t1 = theta + i * step, t2 = t1 + step;
+        var p1 = point(t1), p2 = i === segments - 1 ? [x2, y2] : point(t2);
+        var d1 = tangent(t1), d2 = tangent(t2);
+        curves.push([p1[0] + k * d1[0], p1[1] + k * d1[1], p2[0] - k * d2[0], p2[1] - k * d2[1], p2[0], p2[1]]);
+      }
+      return curves;
+    },
+
+    /**
+     * Turns a transform into a matrix [a, b, c, d, e, f], as in the SVG matrix() function.
+     * @param {string|number[]|Object} transform - A transform attribute value such as
+     *   "translate(10 20) rotate(45)", a matrix array, or an object with a to f (e.g. a DOMMatrix).
+     * @returns {number[]}
+     */
+    toMatrix: function (transform) {
+      if (Array.isArray(transform)) return transform.slice();
+      if (transform && typeof transform === "object") return [transform.a, transform.b, transform.c, transform.d, transform.e, transform.f];
+      var matrix = [1, 0, 0, 1, 0, 0];
+      var pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+      var rest = String(transform || "").replace(pattern, "");
+      if (/[^\s,]/.test(rest)) throw new SyntaxError("Invalid transform '" + transform + "'");
+      var match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(String(transform || "")))) {
+        var v = match[2].split(/[\s,]+/).filter(Boolean).map(parseFloat);
+        var next;
+        if (match[1] === "matrix") {
+          next = v;
+        } else if (match[1] === "translate") {
+          next = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        } else if (match[1] === "scale") {
+          next = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+        } else if (match[1] === "rotate") {
+          var angle = v[0] * Math.PI / 180;
+          var cx = v[1] || 0, cy = v[2] || 0;
+          var cos = Math.cos(angle), sin = Math.sin(angle);
+          next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        } else if (match[1] === "skewX") {
+          next = [1, 0, Math.tan(v[0] * Math.PI / 180), 1, 0, 0];
+        } else {
+          next = [1, Math.tan(v[0] * Math.PI / 180), 0, 1, 0, 0];
+        }
+        matrix = self.util.multiplyMatrices(matrix, next);
+      }
+      return matrix;
+    },
+
+    /**
+     * Multiplies two matrices [a, b, c, d, e, f]; the result applies second, then first.
+     * @param {number[]} first - The outer matrix.
+     * @param {number[]} second - The inner matrix.
+     * @returns {number[]}
+     */
+    multiplyMatrices: function (first, second) {
+      return [
+        first[0] * second[0] + first[2] * second[1],
+        first[1] * second[0] + first[3] * second[1],
+        first[0] * second[2] + first[2] * second[3],
+        first[1] * second[2] + first[3] * second[3],
+        first[0] * second[4] + first[2] * second[5] + first[4],
+        first[1] * second[4] + first[3] * second[5] + first[5]
+      ];
+    },
+
+    /**
+     * Applies a matrix to path commands. Arcs stay arcs, with their radii and rotation transformed,
+     * and horizontal and vertical lines become lines unless the matrix keeps them straight.
+     * @param {Object[]} commands - The commands.
+     * @param {number[]} matrix - The matrix [a, b, c, d, e, f].
+     * @returns {Object[]} New absolute commands.
+     */
+    transformPathData: function (commands, matrix) {
+      var a = matrix[0], b = matrix[1], c = matrix[2], d = matrix[3], e = matrix[4], f = matrix[5];
+      var axisAligned = !b && !c;
+      var x = 0, y = 0, startX = 0, startY = 0;
+      var apply = function (px, py) { return [a * px + c * py + e, b * px + d * py + f]; };
+      return self.util.absolutePathData(commands).map(function (command) {
+        var type = command.type;
+        var v = command.values;
+        var result;
+        if (type === "Z") {
+          result = command;
+        } else if ((type === "H" || type === "V") && axisAligned) {
+          result = { type: type, values: [type === "H" ? a * v[0] + e : d * v[0] + f] };
+        } else if (type === "H" || type === "V") {
+          result = { type: "L", values: apply(type === "H" ? v[0] : x, type === "H" ? y : v[0]) };
+        } else if (type === "A") {
+          // The transformed ellipse comes from the singular value decomposition of the matrix
+          // times the ellipse's own rotation and radii.
+          var phi = v[2] * Math.PI / 180;
+          var cos = Math.cos(phi), sin = Math.sin(phi);
+          var p = (a * cos + c * sin) * v[0], q = (c * cos - a * sin) * v[1];
+          var r = (b * cos + d * sin) * v[0], s = (d * cos - b * sin) * v[1];
+          var E = (p + s) / 2, F = (p - s) / 2, G = (r + q) / 2, H = (r - q) / 2;
+          var Q = Math.sqrt(E * E + H * H), R = Math.sqrt(F * F + G * G);
+          var rotation = (Math.atan2(G, F) + Math.atan2(H, E)) / 2 * 180 / Math.PI;
+          var sweep = a * d - b * c < 0 ? 1 - v[4] : v[4];
+          result = { type: "A", values: [Q + R, Math.abs(Q - R), rotation, v[3], sweep].concat(apply(v[5], v[6])) };
+        } else {
+          var values = [];
+          for (var i = 0; i < v.length; i += 2) values = values.concat(apply(v[i], v[i + 1]));
+          result = { type: type, values: values };
+        }
+        if (type === "Z") {
+          x = startX;
+          y = startY;
+        } else if (type === "H") {
+          x = v[0];
+        } else if (type === "V") {
+          y = v[0];
+        } else {
+          x = v[v.length - 2];
+          y = v[v.length - 1];
+        }
+        if (type === "M") {
+          startX = x;
+          startY = y;
+        }
+        return result;
+      });
+    },
+
+    /**
+     * Flattens path commands into straight segments for measuring.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object[]} Segments { x1, y1, x2, y2, length }; movetos leave gaps between them.
+     */
+    flattenPathData: function (commands) {
+      var segments = [];
+      var x = 0, y = 0, startX = 0, startY = 0;
+      var lineTo = function (toX, toY) {
+        segments.push({ x1: x, y1: y, x2: toX, y2: toY, length: Math.sqrt((toX - x) * (toX - x) + (toY - y) * (toY - y)) });
+        x = toX;
+        y = toY;
+      };
+      self.util.normalizePathData(commands).forEach(function (command) {
+        var v = command.values;
+        if (command.type === "M") {
+          x = startX = v[0];
+          y = startY = v[1];
+        } else if (command.type === "L") {
+          lineTo(v[0], v[1]);
+        } else if (command.type === "Z") {
+          lineTo(startX, startY);
+        } else {
+          var x0 = x, y0 = y;
+          for (var i = 1; i <= 64; i++) {
+            var t = i / 64, u = 1 - t;
+            lineTo(
+              u * u * u * x0 + 3 * u * u * t * v[0] + 3 * u * t * t * v[2] + t * t * t * v[4],
+              u * u * u * y0 + 3 * u * u * t * v[1] + 3 * u * t * t * v[3] + t * t * t * v[5]
+            );
+          }
+        }
+      });
+      return segments;
+    },
+
+    /**
+     * Returns the exact bounding box of path commands, including curve extremes.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object} { x, y, width, height }.
+     */
+    pathDataBBox: function (commands) {
+      var xs = [], ys = [];
+      var x = 0, y = 0, startX = 0, startY = 0;
+      // The t values in (0, 1) where the derivative of a cubic Bézier coordinate is zero.
+      var extremes = function (p0, p1, p2, p3) {
+        var qa = 3 * (-p0 + 3 * p1 - 3 * p2 + p3), qb = 6 * (p0 - 2 * p1 + p2), qc = 3 * (p1 - p0);
+        var roots = [];
+        if (Math.abs(qa) < 1e-12) {
+          if (Math.abs(qb) > 1e-12) roots.push(-qc / qb);
+        } else {
+          var discriminant = qb * qb - 4 * qa * qc;
+          if (discriminant >= 0) {
+            roots.push((-qb + Math.sqrt(discriminant)) / (2 * qa), (-qb - Math.sqrt(discriminant)) / (2 * qa));
+          }
+        }
+        return roots.filter(function (t) { return t > 0 && t < 1; });
+      };
+      var bezier = function (t, p0, p1, p2, p3) {
+        var u = 1 - t;
+        return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+      };
+      self.util.normalizePathData(commands).forEach(function (command) {
+        var v = command.values;
+        if (command.type === "C") {
+          extremes(x, v[0], v[2], v[4]).forEach(function (t) { xs.push(bezier(t, x, v[0], v[2], v[4])); });
+          extremes(y, v[1], v[3], v[5]).forEach(function (t) { ys.push(bezier(t, y, v[1], v[3], v[5])); });
+        }
+        if (command.type === "Z") {
+          // Closing a subpath moves the current point back to its start.
+          x = startX;
+          y = startY;
+        } else if (v.length) {
+          x = v[v.length - 2];
+          y = v[v.length - 1];
+          xs.push(x);
+          ys.push(y);
+        }
+        if (command.type === "M") {
+          startX = x;
+          startY = y;
+        }
+      });
+      if (!xs.length) return { x: 0, y: 0, width: 0, height: 0 };
+      var minX = Math.min.apply(Math, xs), minY = Math.min.apply(Math, ys);
+      return { x: minX, y: minY, width: Math.max.apply(Math, xs) - minX, height: Math.max.apply(Math, ys) - minY };
+    },
+
+    /**
+     * Creates a path data object from commands. See svgHelpers.pathData.
+     * @param {Object[]} commands - The commands.
+     * @returns {Object}
+     */
+    createPathData: function (commands) {
+      var segments;
+      var measure = function () {
+        return segments || (segments = self.util.flattenPathData(commands));
+      };
+      var pathData = {
+        commands: commands,
+        toString: function () { return self.util.serializePathData(commands); },
+        toAbsolute: function () { return self.util.createPathData(self.util.absolutePathData(commands)); },
+        toRelative: function () { return self.util.createPathData(self.util.relativePathData(commands)); },
+        normalize: function () { return self.util.createPathData(self.util.normalizePathData(commands)); },
+        transform: function (matrix) {
+          return self.util.createPathData(self.util.transformPathData(commands, self.util.toMatrix(matrix)));
+        },
+        translate: function (x, optionalY) {
+          return pathData.transform([1, 0, 0, 1, x, optionalY || 0]);
+        },
+        scale: function (x, optionalY) {
+          return pathData.transform([x, 0, 0, optionalY === undefined ? x : optionalY, 0, 0]);
+        },
+        rotate: function (angle, optionalCx, optionalCy) {
+          return pathData.transform("rotate(" + angle + " " + (optionalCx || 0) + " " + (optionalCy || 0) + ")");
+        },
+        bbox: function () { return self.util.pathDataBBox(commands); },
+        length: function () {
+          return measure().reduce(function (total, segment) { return total + segment.length; }, 0);
+        },
+        pointAtLength: function (distance) {
+          var all = measure();
+          if (!all.length) {
+            var start = commands.length ? self.util.absolutePathData(commands.slice(0, 1))[0].values : [0, 0];
+            return { x: start[0], y: start[1], angle: 0 };
+          }
+          var remaining = Math.max(0, distance);
+          for (var i = 0; i < all.length; i++) {
+            var segment = all[i];
+            if (remaining <= segment.length || i === all.length - 1) {
+              var t = segment.length ? Math.min(1, remaining / segment.length) : 0;
+              return {
+                x: segment.x1 + (segment.x2 - segment.x1) * t,
+                y: segment.y1 + (segment.y2 - segment.y1) * t,
+                angle: Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1) * 180 / Math.PI
+              };
+            }
+            remaining -= segment.length;
+          }
+        }
+      };
+      return pathData;
+    },
+
+    /**
+     * Returns the clock animations use by default: performance.now and requestAnimationFrame where
+     * available, otherwise Date.now and timers.
+     * @returns {Object} { now(), requestFrame(callback), cancelFrame(id) }
+     */
+    defaultClock: function () {
+      var hasFrames = typeof requestAnimationFrame === "function";
+      return {
+        now: function () {
+          return typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+        },
+        requestFrame: hasFrames ? function (callback) { return requestAnimationFrame(callback); } : function (callback) { return setTimeout(callback, 16); },
+        cancelFrame: hasFrames ? function (id) { cancelAnimationFrame(id); } : function (id) { clearTimeout(id); }
+      };
+    },
+
+    /**
+     * Creates a clock that only moves when told to, for stepping through animations deterministically.
+     *
+     * @example
+     *
+     * var clock = el.util.createManualClock();
+     * var animation = el.tween(box, { styles: { opacity: 0 } }, { duration: 100, clock: clock });
+     * clock.tick(50); // box is half faded
+     *
+     * @returns {Object} { now(), requestFrame(callback), cancelFrame(id), tick(milliseconds) }
+     */
+    createManualClock: function () {
+      var time = 0;
+      var nextId = 1;
+      var callbacks = {};
+      return {
+        now: function () { return time; },
+        requestFrame: function (callback) {
+          callbacks[nextId] = callback;
+          return nextId++;
+        },
+        cancelFrame: function (id) { delete callbacks[id]; },
+        tick: function (milliseconds) {
+          time += milliseconds || 0;
+          var due = callbacks;
+          callbacks = {};
+          Object.keys(due).forEach(function (id) { due[id](time); });
+          return time;
+        }
+      };
+    },
+
+    /**
+     * Creates an easing function from a CSS cubic-bezier curve.
+     * @param {number} x1 - The x-coordinate of the first control point, from 0 to 1.
+     * @param {number} y1 - The y-coordinate of the first control point.
+     * @param {number} x2 - The x-coordinate of the second control point, from 0 to 1.
+     * @param {number} y2 - The y-coordinate of the second control point.
+     * @returns {Function} A function from progress (0 to 1) to eased progress.
+     */
+    cubicBezier: function (x1, y1, x2, y2) {
+      var curve = function (t, p1, p2) {
+        return 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+      };
+      return function (progress) {
+        if (progress <= 0 || progress >= 1) return progress <= 0 ? 0 : 1;
+        // Newton's method, with bisection when the slope is too flat to follow.
+        var t = progress;
+        for (var i = 0; i < 8; i++) {
+          var error = curve(t, x1, x2) - progress;
+          if (Math.abs(error) < 1e-7) return curve(t, y1, y2);
+          var slope = 3 * (1 - t) * (1 - t) * x1 + 6 * (1 - t) * t * (x2 - x1) + 3 * t * t * (1 - x2);
+          if (Math.abs(slope) < 1e-6) break;
+          t -= error / slope;
+        }
+        var low = 0, high = 1;
+        t = progress;
+        while (high - low > 1e-7) {
+          if (curve(t, x1, x2) < progress) low = t; else high = t;
+          t = (low + high) / 2;
+        }
+        return curve(t, y1, y2);
+      };
+    },
+
+    /**
+     * Finds an easing function by name ("ease-in-out" or "easeInOut"), CSS cubic-bezier() value or function.
+     * @param {string|Function} easing - The easing.
+     * @returns {Function}
+     */
+    resolveEasing: function (easing) {
+      if (typeof easing === "function") return easing;
+      var name = String(easing === undefined ? "ease" : easing).trim();
+      var bezier = /^cubic-bezier\(([^)]*)\)$/.exec(name);
+      if (bezier) return self.util.cubicBezier.apply(null, bezier[1].split(",").map(parseFloat));
+      var camelName = name.replace(/-(.)/g, function (match, letter) { return letter.toUpperCase(); });
+      if (self.easings.hasOwnProperty(camelName) && camelName !== "cubicBezier") return self.easings[camelName];
+      throw new Error("Unknown easing '" + easing + "'");
+    },
+
+    /**
+     * Parses a hex, rgb(), rgba(), hsl() or hsla() color, or "transparent".
+     * @param {string} value - The color.
+     * @returns {number[]|undefined} [red, green, blue, alpha], or undefined if value is not a color.
+     */
+    parseColor: function (value) {
+      var text = String(value).trim().toLowerCase();
+      if (text === "transparent") return [0, 0, 0, 0];
+      var hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+      if (hex) {
+        var digits = hex[1].length < 5 ? hex[1].replace(/./g, "$&$&") : hex[1];
+        var channels = digits.match(/../g).map(function (pair) { return parseInt(pair, 16); });
+        return [channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] / 255 : 1];
+      }
+      var functional = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(text);
+      if (!functional) return undefined;
+      var parts = functional[2].split(/[\s,\/]+/).filter(Boolean);
+      var alpha = parts.length > 3 ? (/%$/.test(parts[3]) ? parseFloat(parts[3]) / 100 : parseFloat(parts[3])) : 1;
+      if (functional[1].charAt(0) === "r") {
+        return parts.slice(0, 3).map(function (part) {
+          return /%$/.test(part) ? parseFloat(part) * 2.55 : parseFloat(part);
+        }).concat([alpha]);
+      }
+      var h = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+      var s = parseFloat(parts[1]) / 100, l = parseFloat(parts[2]) / 100;
+      var q = l < 0.5 ? l * (1 + s) : l + s - l * s, p = 2 * l - q;
+      var channel = function (t) {
+        t = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+      };
+      return [channel(h + 1 / 3) * 255, channel(h) * 255, channel(h - 1 / 3) * 255, alpha];
+    },
+
+    /**
+     * Splits a matrix [a, b, c, d, e, f] into translation, rotation, skew and scale, so that
+     * transforms can be interpolated without shearing.
+     * @param {number[]} matrix - The matrix.
+     * @returns {number[]} [translateX, translateY, rotate, skewX, scaleX, scaleY], angles in degrees.
+     */
+    decomposeMatrix: function (matrix) {
+      var a = matrix[0], b = matrix[1], c = matrix[2], d = matrix[3];
+      var scaleX = Math.sqrt(a * a + b * b);
+      if (scaleX) {
+        a /= scaleX;
+        b /= scaleX;
+      }
+      var skew = a * c + b * d;
+      c -= a * skew;
+      d -= b * skew;
+      var scaleY = Math.sqrt(c * c + d * d);
+      if (scaleY) {
+        c /= scaleY;
+        d /= scaleY;
+        skew /= scaleY;
+      }
+      if (a * d < b * c) {
+        a = -a;
+        b = -b;
+        skew = -skew;
+        scaleX = -scaleX;
+      }
+      return [matrix[4], matrix[5], Math.atan2(b, a) * 180 / Math.PI, Math.atan(skew) * 180 / Math.PI, scaleX, scaleY];
+    },
+
+    /**
+     * Converts a CSS transform in px and angle units, such as 'translateX(10px) rotate(0.25turn)', to
+     * SVG transform syntax.
+     * @param {string} transform - The CSS transform.
+     * @returns {string|undefined} The SVG transform, or undefined for other units and functions.
+     */
+    cssTransformToSvg: function (transform) {
+      var text = String(transform).trim();
+      if (text === "none") return "";
+      var degrees = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360, "": 1 };
+      var unsupported = false;
+      var converted = text.replace(/([a-zA-Z]+)\(([^)]*)\)/g, function (whole, name, args) {
+        var values = args.split(/\s*,\s*|\s+/).filter(Boolean).map(function (arg) {
+          var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)([a-z]*)$/.exec(arg);
+          if (!match) {
+            unsupported = true;
+            return 0;
+          }
+          var number = parseFloat(match[1]);
+          if (/^(rotate|rotateZ|skewX|skewY|skew)$/.test(name)) {
+            if (!degrees.hasOwnProperty(match[2])) unsupported = true;
+            return number * (degrees[match[2]] || 1);
+          }
+          if (match[2] !== "" && match[2] !== "px") unsupported = true;
+          return number;
+        });
+        if (name === "translateX") return "translate(" + values[0] + " 0)";
+        if (name === "translateY") return "translate(0 " + values[0] + ")";
+        if (name === "scaleX") return "scale(" + values[0] + " 1)";
+        if (name === "scaleY") return "scale(1 " + values[0] + ")";
+        if (name === "rotateZ" || name === "rotate") return "rotate(" + values[0] + ")";
+        if (name === "skew") return "skewX(" + values[0] + ") skewY(" + (values[1] || 0) + ")";
+        if (!/^(matrix|translate|scale|skewX|skewY)$/.test(name)) unsupported = true;
+        return name + "(" + values.join(" ") + ")";
+      });
+      return unsupported ? undefined : converted;
+    },
+
+    /**
+     * Creates an interpolator between two values: numbers, colors, path data, transforms, or
+     * strings with the same numbers, in the same units, in them (such as "10px" and "20px"). Other
+     * values switch halfway.
+     * @param {*} from - The start value.
+     * @param {*} to - The end value.
+     * @param {boolean} optionalCss - Whether the values are CSS, so that transforms are read and
+     *   written with px and deg units rather than in SVG syntax.
+     * @returns {Function} A function from progress (0 to 1, or beyond for overshooting easings) to a value.
+     */
+    interpolate: function (from, to, optionalCss) {
+      var mix = function (start, end, t) { return start + (end - start) * t; };
+      if (typeof from === "number" && typeof to === "number") {
+        return function (t) { return mix(from, to, t); };
+      }
+      var fromText = String(from === undefined || from === null ? "" : from);
+      var toText = String(to);
+
+      var fromColor = self.util.parseColor(fromText), toColor = self.util.parseColor(toText);
+      if (fromColor && toColor) {
+        return function (t) {
+          var rgb = [0, 1, 2].map(function (i) { return Math.round(Math.max(0, Math.min(255, mix(fromColor[i], toColor[i], t)))); });
+          var alpha = Math.max(0, Math.min(1, mix(fromColor[3], toColor[3], t)));
+          return alpha === 1 ? "rgb(" + rgb.join(", ") + ")" : "rgba(" + rgb.join(", ") + ", " + self.util.formatNumber(Number(alpha.toFixed(3))) + ")";
+        };
+      }
+
+      var isPath = /^\s*[Mm]\s*[+\-.\d]/;
+      if (isPath.test(fromText) && isPath.test(toText)) {
+        try {
+          self.util.parsePathData(fromText);
+          self.util.parsePathData(toText);
+          return self.util.interpolatePaths(fromText, toText);
+        } catch (error) {
+          // Not path data after all; fall through.
+        }
+      }
+
+      var number = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+      var fromNumbers = fromText.match(number) || [];
+      var toNumbers = toText.match(number) || [];
+      var transformFunctions = function (text) { return text.replace(/\([^)]*\)/g, "()").replace(/\s+/g, ""); };
+      var isTransform = optionalCss ?
+        /^\s*(none|)\s*$|^\s*(matrix|translate|translateX|translateY|scale|scaleX|scaleY|rotate|rotateZ|skew|skewX|skewY)\s*\(/ :
+        /^\s*(none|)\s*$|^\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(/;
+      if (isTransform.test(fromText) && isTransform.test(toText) && (fromText.trim() || toText.trim()) &&
+          (transformFunctions(fromText) !== transformFunctions(toText) || fromNumbers.length !== toNumbers.length)) {
+        var svgText = function (text) {
+          return optionalCss ? self.util.cssTransformToSvg(text) : text.trim() === "none" ? "" : text;
+        };
+        var fromSvg = svgText(fromText), toSvg = svgText(toText);
+        try {
+          var start = fromSvg === undefined ? undefined : self.util.decomposeMatrix(self.util.toMatrix(fromSvg));
+          var end = toSvg === undefined ? undefined : self.util.decomposeMatrix(self.util.toMatrix(toSvg));
+        } catch (error) {
+          // Transform functions toMatrix does not know; fall through.
+        }
+        if (start && end) {
+          return function (t) {
+            var v = start.map(function (value, i) { return self.util.formatNumber(mix(value, end[i], t)); });
+            return optionalCss ?
+              "translate(" + v[0] + "px, " + v[1] + "px) rotate(" + v[2] + "deg) skewX(" + v[3] + "deg) scale(" + v[4] + ", " + v[5] + ")" :
+              "translate(" + v[0] + " " + v[1] + ") rotate(" + v[2] + ") skewX(" + v[3] + ") scale(" + v[4] + " " + v[5] + ")";
+          };
+        }
+      }
+
+      // Numbers pair up only in the same units ('10px' and '50%' switch halfway); a unitless 0 fits any.
+      var units = function (text) {
+        return text.split(number).slice(1).map(function (part) { return /^[a-zA-Z%]*/.exec(part)[0]; });
+      };
+      var fromUnits = units(fromText), toUnits = units(toText);
+      var sameUnits = fromNumbers.every(function (value, i) {
+        return fromUnits[i] === toUnits[i] ||
+          (!fromUnits[i] && parseFloat(value) === 0) || (!toUnits[i] && parseFloat(toNumbers[i]) === 0);
+      });
+      if (toNumbers.length && fromNumbers.length === toNumbers.length && sameUnits) {
+        var parts = toText.split(number);
+        return function (t) {
+          return parts.reduce(function (result, part, i) {
+            return result + part + (i < toNumbers.length ? self.util.formatNumber(mix(parseFloat(fromNumbers[i]), parseFloat(toNumbers[i]), t)) : "");
+          }, "");
+        };
+      }
+      return function (t) { return t < 0.5 ? from : to; };
+    },
+
+    /**
+     * Creates an interpolator between two paths. Both are converted to cubic curves, and the path
+     * with fewer curves has some split so that each point has a partner.
+     * @param {string} fromPath - The start path data.
+     * @param {string} toPath - The end path data.
+     * @returns {Function} A function from progress to path data.
+     */
+    interpolatePaths: function (fromPath, toPath) {
+      var subpaths = function (d) {
+        var result = [];
+        var current, x = 0, y = 0;
+        self.util.normalizePathData(self.util.parsePathData(d)).forEach(function (command) {
+          var v = command.values;
+          if (command.type === "M") {
+            current = { start: [v[0], v[1]], curves: [], closed: false };
+            result.push(current);
+            x = v[0];
+            y = v[1];
+            return;
+          }
+          if (command.type === "Z") {
+            v = current.start;
+            current.closed = true;
+            if (v[0] === x && v[1] === y) return;
+          }
+          var curve = command.type === "C" ? v.slice() : [x + (v[0] - x) / 3, y + (v[1] - y) / 3, x + (v[0] - x) * 2 / 3, y + (v[1] - y) * 2 / 3, v[0], v[1]];
+          current.curves.push(curve);
+          x = curve[4];
+          y = curve[5];
+        });
+        return result;
+      };
+      // Splits the curve with the longest chord in half (de Casteljau) until there are count curves.
+      var split = function (subpath, count) {
+        var curves = subpath.curves;
+        if (!curves.length) curves.push([subpath.start[0], subpath.start[1], subpath.start[0], subpath.start[1], subpath.start[0], subpath.start[1]]);
+        while (curves.length < count) {
+          var longest = 0, longestLength = -1;
+          curves.forEach(function (curve, i) {
+            var previous = i ? curves[i - 1].slice(4) : subpath.start;
+            var length = Math.abs(curve[4] - previous[0]) + Math.abs(curve[5] - previous[1]);
+            if (length > longestLength) {
+              longest = i;
+              longestLength = length;
+            }
+          });
+          var c = curves[longest];
+          var p0 = longest ? curves[longest - 1].slice(4) : subpath.start;
+          var mid = function (p, q) { return [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2]; };
+          var a = mid(p0, [c[0], c[1]]), b = mid([c[0], c[1]], [c[2], c[3]]), e = mid([c[2], c[3]], [c[4], c[5]]);
+          var ab = mid(a, b), be = mid(b, e), center = mid(ab, be);
+          curves.splice(longest, 1, a.concat(ab, center), be.concat(e, [c[4], c[5]]));
+        }
+      };
+      var from = subpaths(fromPath), to = subpaths(toPath);
+      if (from.length !== to.length) throw new Error("Cannot interpolate between paths with different numbers of subpaths");
+      from.forEach(function (subpath, i) {
+        var count = Math.max(subpath.curves.length, to[i].curves.length);
+        split(subpath, count);
+        split(to[i], count);
+      });
+      return function (t) {
+        return self.util.serializePathData([].concat.apply([], from.map(function (subpath, i) {
+          var mix = function (start, end) {
+            return start.map(function (value, k) { return value + (end[k] - value) * t; });
+          };
+          var commands = [{ type: "M", values: mix(subpath.start, to[i].start) }].concat(subpath.curves.map(function (curve, k) {
+            return { type: "C", values: mix(curve, to[i].curves[k]) };
+          }));
+          return subpath.closed || to[i].closed ? commands.concat([{ type: "Z", values: [] }]) : commands;
+        })));
+      };
+    },
+
+    /**
+     * Creates the tracks of a tween: one per target, each with the properties to animate. A track's
+     * start values are read when it first starts, so tweens in a sequence continue from each other.
+     * @param {Array} targets - Elements or plain objects.
+     * @param {Object} properties - { styles, attributes } for elements, or the keys of plain objects.
+     *   Each value is an end value, or [start, end].
+     * @param {Object} options - { duration, delay, easing, stagger }.
+     * @returns {Object[]} The tracks.
+     */
+    createTracks: function (targets, properties, options) {
+      var duration = options.duration !== undefined ? options.duration : 400;
+      var easing = self.util.resolveEasing(options.easing);
+      return targets.map(function (target, index) {
+        var element = self.util.isElement(target);
+        var channels = [];
+        var add = function (kind, values) {
+          Object.keys(values || {}).forEach(function (key) {
+            var value = values[key];
+            channels.push({ kind: kind, key: key, from: Array.isArray(value) ? value[0] : undefined, to: Array.isArray(value) ? value[1] : value });
+          });
+        };
+        if (element) {
+          add("style", properties.styles);
+          add("attribute", properties.attributes);
+        } else {
+          add("property", properties);
+        }
+        var read = function (channel) {
+          if (channel.kind === "property") return target[channel.key];
+          if (channel.kind === "attribute") return target.getAttribute(channel.key);
+          var name = channel.key.replace(/-(.)/g, function (match, letter) { return letter.toUpperCase(); });
+          var value = /^--/.test(channel.key) ? target.style.getPropertyValue(channel.key) : target.style[name];
+          var view = self.document.defaultView;
+          if (!value && view && typeof view.getComputedStyle === "function") {
+            value = view.getComputedStyle(target).getPropertyValue(channel.key.replace(/[A-Z]/g, function (match) { return "-" + match.toLowerCase(); }));
+          }
+          return value;
+        };
+        var write = function (channel, value) {
+          if (channel.kind === "property") {
+            target[channel.key] = value;
+          } else if (channel.kind === "attribute") {
+            target.setAttribute(channel.key, value);
+          } else {
+            var styles = {};
+            styles[channel.key] = value;
+            self.util.applyStylesToElement(target, styles);
+          }
+        };
+        return {
+          target: target,
+          start: (options.delay || 0) + (options.stagger || 0) * index,
+          duration: duration,
+          started: false,
+          apply: function (progress) {
+            var track = this;
+            if (!track.started) {
+              track.started = true;
+              channels.forEach(function (channel) {
+                var from = channel.from !== undefined ? self.util.resolveTokens(channel.from) : read(channel);
+                if (typeof channel.to === "number" && (from === "" || from === null || from === undefined)) from = 0;
+                if (typeof channel.to === "number" && typeof from === "string" && from.trim() !== "" && !isNaN(from)) from = parseFloat(from);
+                channel.interpolator = self.util.interpolate(from, self.util.resolveTokens(channel.to), channel.kind === "style");
+              });
+            }
+            var eased = progress <= 0 ? 0 : progress >= 1 ? 1 : easing(progress);
+            channels.forEach(function (channel) { write(channel, channel.interpolator(eased)); });
+          }
+        };
+      });
+    },
+
+    /**
+     * Creates an animation that plays tracks (see createTracks) against a clock. See tween.
+     * @param {Object[]} tracks - The tracks; timelines add more while they play.
+     * @param {Object} options - { clock, autoplay }.
+     * @returns {Object} The animation.
+     */
+    createAnimation: function (tracks, options) {
+      var clock = options.clock || self.options.clock || self.util.defaultClock();
+      var time = 0, rate = 1, playing = false, settled = false, cancelled = false;
+      var origin, originTime, frame;
+      var resolveFinished, rejectFinished;
+
+      function newFinished() {
+        settled = false;
+        cancelled = false;
+        animation.finished = new Promise(function (resolve, reject) {
+          resolveFinished = resolve;
+          rejectFinished = reject;
+        });
+        // Cancelling rejects finished; nobody has to be listening.
+        animation.finished["catch"](function () {});
+      }
+
+      function duration() {
+        return tracks.reduce(function (end, track) { return Math.max(end, track.start + track.duration); }, 0);
+      }
+
+      function sample(at) {
+        // Tracks rewound to before their start go back to their start values, latest first, and
+        // then the tracks that have begun are applied in order, so the last one started wins.
+        tracks.filter(function (track) { return track.started && at < track.start; })
+          .sort(function (a, b) { return b.start - a.start; })
+          .forEach(function (track) { track.apply(0); });
+        tracks.filter(function (track) { return at >= track.start; })
+          .sort(function (a, b) { return a.start - b.start; })
+          .forEach(function (track) { track.apply(track.duration ? (at - track.start) / track.duration : 1); });
+      }
+
+      function stop() {
+        if (frame !== undefined) clock.cancelFrame(frame);
+        frame = undefined;
+        playing = false;
+      }
+
+      function complete() {
+        stop();
+        settled = true;
+        resolveFinished(animation);
+      }
+
+      function tick() {
+        frame = undefined;
+        var end = rate > 0 ? duration() : 0;
+        time = originTime + (clock.now() - origin) * rate;
+        // Errors thrown by a frame have nobody to catch them, so they reject finished instead.
+        try {
+          if (rate > 0 ? time >= end : time <= end) {
+            time = end;
+            sample(time);
+            complete();
+            return;
+          }
+          sample(time);
+        } catch (error) {
+          stop();
+          settled = true;
+          cancelled = true;
+          rejectFinished(error);
+          return;
+        }
+        frame = clock.requestFrame(tick);
+      }
+
+      var animation = {
+        tracks: tracks,
+        play: function () {
+          if (playing) return animation;
+          if (rate > 0 && time >= duration()) time = 0;
+          if (rate < 0 && time <= 0) time = duration();
+          if (settled) newFinished();
+          playing = true;
+          origin = clock.now();
+          originTime = time;
+          sample(time);
+          frame = clock.requestFrame(tick);
+          return animation;
+        },
+        pause: function () {
+          if (!playing) return animation;
+          time = Math.max(0, Math.min(duration(), originTime + (clock.now() - origin) * rate));
+          stop();
+          return animation;
+        },
+        seek: function (milliseconds) {
+          time = Math.max(0, Math.min(duration(), milliseconds));
+          if (settled) newFinished();
+          sample(time);
+          origin = clock.now();
+          originTime = time;
+          return animation;
+        },
+        reverse: function () {
+          if (playing) animation.pause();
+          rate = -rate;
+          return animation.play();
+        },
+        finish: function () {
+          time = rate > 0 ? duration() : 0;
+          sample(time);
+          if (settled) newFinished();
+          complete();
+          return animation;
+        },
+        cancel: function () {
+          stop();
+          time = 0;
+          rate = 1;
+          sample(0);
+          if (!settled) {
+            settled = true;
+            rejectFinished(new Error("Animation cancelled"));
+          }
+          cancelled = true;
+          return animation;
+        }
+      };
+      Object.defineProperties(animation, {
+        currentTime: { get: function () { return playing ? Math.max(0, Math.min(duration(), originTime + (clock.now() - origin) * rate)) : time; } },
+        duration: { get: duration },
+        playState: { get: function () { return playing ? "running" : cancelled ? "idle" : settled ? "finished" : time > 0 && time < duration() ? "paused" : "idle"; } }
+      });
+      newFinished();
+      if (options.autoplay !== false) animation.play();
+      return animation;
+    },
+
+    /**
+     * Collects animation targets: elements (from selectors, collections and arrays) and plain objects.
+     * @param {*} targets - The targets.
+     * @returns {Array}
+     */
+    animationTargets: function (targets) {
+      if (typeof targets === "string" || (targets && (targets.$isCollection || typeof targets.nodeType === "number"))) {
+        return self.select(targets).toArray();
+      }
+      return Array.isArray(targets) ? [].concat.apply([], targets.map(self.util.animationTargets)) : [targets];
+    },
+
+    /**
+     * Normalizes the arguments of the SMIL helpers: positional values, or an options object in place of
+     * fromValue.
+     * @returns {Object} { from, to, dur, repeatCount, fill, rest }, where rest holds any other attributes.
+     */
+    smilOptions: function (fromValue, toValue, duration, repeatCount, fillMode, optionalOptions) {
+      var given = fromValue && typeof fromValue === "object" && !Array.isArray(fromValue) ? fromValue : {
+        from: fromValue || undefined,
+        to: toValue || undefined,
+        dur: duration,
+        repeatCount: repeatCount,
+        fill: fillMode
+      };
+      var rest = {};
+      [given, optionalOptions || {}].forEach(function (source) {
+        Object.keys(source).forEach(function (key) {
+          if (["from", "to", "dur", "repeatCount", "fill"].indexOf(key) < 0) rest[key] = source[key];
+        });
+      });
+      return {
+        from: given.from,
+        to: given.to,
+        dur: given.dur || "1s",
+        repeatCount: given.repeatCount || "1",
+        fill: given.fill || "freeze",
+        rest: rest
+      };
+    },
+
+    /**
+     * Turns a begin option into a SMIL begin value: numbers are seconds, handles begin when they end,
+     * and 'prev' refers to the last animation the SMIL helpers created.
+     * @param {number|string|Object|Element} value - The begin option.
+     * @returns {string}
+     */
+    smilBeginValue: function (value) {
+      var idOf = function (animation) {
+        if (!animation.id) animation.id = "elementool-animation-" + (++self._idCount);
+        return animation.id;
+      };
+      if (typeof value === "number") return value + "s";
+      if (value && value.$isAnimationHandle) value = value.element;
+      if (self.util.isElement(value)) return idOf(value) + ".end";
+      return String(value).replace(/\bprev(?=\.)/g, function () {
+        if (!self._lastAnimation) throw new Error("There is no previous animation for begin '" + value + "'");
+        return idOf(self._lastAnimation);
+      });
+    },
+
+    /**
+     * Finds the element with the given id in a node and its descendants, with getElementById where
+     * the node is a document or fragment that has it.
+     * @param {Node} root - The node to search, e.g. a document.
+     * @param {string} id - The id.
+     * @returns {Element|null}
+     */
+    findElementById: function (root, id) {
+      if ((root.nodeType === 9 || root.nodeType === 11) && typeof root.getElementById === "function") return root.getElementById(id);
+      var found = null;
+      var search = function (node) {
+        self.util.walk(node, function (element) { if (!found && element.id === id) found = element; });
+      };
+      if (root.nodeType === 9 || root.nodeType === 11) {
+        Array.prototype.forEach.call(root.childNodes || [], search);
+      } else {
+        search(root);
+      }
+      return found;
+    },
+
+    /**
+     * Returns the outermost <svg> element an SVG element is in.
+     * @param {Element} element - The element.
+     * @returns {Element|undefined}
+     */
+    findSvgRoot: function (element) {
+      var root;
+      for (var node = element; node && node.namespaceURI === "http://www.w3.org/2000/svg"; node = node.parentNode) {
+        if (node.localName === "svg") root = node;
+      }
+      return root;
+    },
+
+    /**
+     * Returns the ids an element's attributes reference with url(#id) or href="#id".
+     * @param {Element} element - The element.
+     * @returns {string[]}
+     */
+    referencedIds: function (element) {
+      var ids = [];
+      Array.prototype.forEach.call(element.attributes, function (attribute) {
+        var pattern = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g;
+        var match;
+        while ((match = pattern.exec(attribute.value))) ids.push(match[1]);
+        if (/(^|:)href$/.test(attribute.name) && attribute.value.charAt(0) === "#") ids.push(attribute.value.slice(1));
+      });
+      return ids;
+    },
+
+    /**
+     * Returns whether an id is used in an element's document or, while the element is not in its
+     * document, in the element itself.
+     * @param {Element} element - The element, e.g. an <svg>.
+     * @param {string} id - The id.
+     * @returns {boolean}
+     */
+    isIdTaken: function (element, id) {
+      var doc = element.ownerDocument || self.document;
+      if (this.findElementById(doc, id)) return true;
+      return !(doc.contains && doc.contains(element)) && !!this.findElementById(element, id);
+    },
+
+    /**
+     * Creates the defs registry of an SVG element. See svgHelpers.defs.
+     * @param {Element} svgRoot - The <svg> element.
+     * @returns {Object} The registry.
+     */
+    createDefsRegistry: function (svgRoot) {
+      var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+      var doc = svgRoot.ownerDocument || self.document;
+      var byKey = {};
+      var byId = {};
+      var kept = {};
+      var container;
+
+      function defsElement() {
+        if (container && container.parentNode === svgRoot) return container;
+        container = Array.prototype.filter.call(svgRoot.childNodes, function (child) { return child.localName === "defs"; })[0];
+        if (!container) container = svgRoot.insertBefore(doc.createElementNS(SVG_NAMESPACE, "defs"), svgRoot.firstChild);
+        return container;
+      }
+
+      // Puts a collected definition back, with the registered definitions it references.
+      function restore(element) {
+        if (element.parentNode === defsElement()) return;
+        defsElement().appendChild(element);
+        self.util.walk(element, function (descendant) {
+          self.util.referencedIds(descendant).forEach(function (id) {
+            if (byId[id]) restore(byId[id].element);
+          });
+        });
+      }
+
+      // Puts back the collected definitions that an element or its descendants reference.
+      function restoreReferencedBy(node) {
+        self.util.walk(node, function (element) {
+          self.util.referencedIds(element).forEach(function (id) {
+            if (byId[id]) restore(byId[id].element);
+          });
+        });
+      }
+
+      function createRef(element) {
+        var ref = {
+          $isDefinitionRef: true,
+          id: element.id,
+          element: element,
+          href: "#" + element.id,
+          restore: function () {
+            restore(element);
+            return ref;
+          },
+          toString: function () {
+            restore(element);
+            return "url(#" + element.id + ")";
+          }
+        };
+        byId[element.id] = ref;
+        return ref;
+      }
+
+      var registry = {
+        element: svgRoot,
+        add: function (definition, optionalOptions) {
+          // Definitions with ids of their own may be referenced from anywhere, so they are never collected.
+          if (definition.id) {
+            kept[definition.id] = true;
+            restore(definition);
+            return byId[definition.id] && byId[definition.id].element === definition ? byId[definition.id] : createRef(definition);
+          }
+          definition.removeAttribute("id");
+          var key = self.util.serialize(definition);
+          var existing = byKey[key];
+          if (existing) {
+            restore(existing.element);
+            return existing;
+          }
+          var base = definition.localName + "-" + self.util.hashString(key);
+          var id = base;
+          for (var n = 2; self.util.isIdTaken(svgRoot, id) || byId[id]; n++) id = base + "-" + n;
+          definition.id = id;
+          if (optionalOptions && optionalOptions.keep) kept[id] = true;
+          defsElement().appendChild(definition);
+          return (byKey[key] = createRef(definition));
+        },
+        get: function (id) {
+          return byId[id];
+        },
+        remove: function (id) {
+          var ref = byId[id];
+          if (!ref) return false;
+          Object.keys(byKey).forEach(function (key) { if (byKey[key] === ref) delete byKey[key]; });
+          delete byId[id];
+          delete kept[id];
+          if (ref.element.parentNode) ref.element.parentNode.removeChild(ref.element);
+          return true;
+        },
+        linearGradient: function (stops, x1OrDirection, y1, x2, y2) {
+          return registry.add(self.svgHelpers.linearGradient(undefined, stops, x1OrDirection, y1, x2, y2));
+        },
+        radialGradient: function (stops, cx, cy, r, fx, fy) {
+          return registry.add(self.svgHelpers.radialGradient(undefined, stops, cx, cy, r, fx, fy));
+        },
+        pattern: function (width, height, content, styles) {
+          return registry.add(self.svgHelpers.pattern(undefined, width, height, content, styles));
+        },
+        mask: function (content) {
+          return registry.add(self.svgHelpers.mask(undefined, content));
+        },
+        clipPath: function (content) {
+          return registry.add(self.svgHelpers.clipPath(undefined, content));
+        },
+        collect: function () {
+          var registered = {};
+          Object.keys(byId).forEach(function (id) { registered[id] = byId[id].element; });
+          var isDefinition = function (element) {
+            for (var node = element; node && node !== svgRoot; node = node.parentNode) {
+              if (node.id && registered[node.id] === node) return true;
+            }
+            return false;
+          };
+          // Mark what the graphic references, then what those definitions reference in turn.
+          var referenced = {};
+          var pending = [];
+          self.util.walk(svgRoot, function (element) {
+            if (!isDefinition(element)) pending = pending.concat(self.util.referencedIds(element));
+          });
+          while (pending.length) {
+            var id = pending.shift();
+            if (referenced[id]) continue;
+            referenced[id] = true;
+            if (registered[id]) self.util.walk(registered[id], function (element) { pending = pending.concat(self.util.referencedIds(element)); });
+          }
+          var removed = [];
+          Object.keys(registered).forEach(function (id) {
+            var element = registered[id];
+            if (!referenced[id] && !kept[id] && element.parentNode) {
+              element.parentNode.removeChild(element);
+              removed.push(id);
+            }
+          });
+          return removed;
+        },
+        disconnect: function () {
+          if (registry._observer) registry._observer.disconnect();
+        }
+      };
+
+      var view = doc.defaultView;
+      if (view && typeof view.MutationObserver === "function") {
+        // Inserted elements and new references bring collected definitions back; only removed nodes
+        // and changes to attributes that held references can free one.
+        registry._observer = new view.MutationObserver(function (mutations) {
+          var relevant = false;
+          mutations.forEach(function (mutation) {
+            if (mutation.type === "childList") {
+              Array.prototype.forEach.call(mutation.addedNodes, function (node) {
+                if (node.nodeType === 1 && svgRoot.contains(node)) restoreReferencedBy(node);
+              });
+              relevant = relevant || mutation.removedNodes.length > 0;
+              return;
+            }
+            if (/#/.test(mutation.target.getAttribute(mutation.attributeName) || "") && svgRoot.contains(mutation.target)) {
+              restoreReferencedBy(mutation.target);
+            }
+            relevant = relevant || /#/.test(mutation.oldValue || "");
+          });
+          if (relevant) registry.collect();
+        });
+        registry._observer.observe(svgRoot, { subtree: true, childList: true, attributes: true, attributeOldValue: true });
+      }
+      return registry;
+    },
+
+    /**
+     * Creates the sprite sheet of an SVG element. See svgHelpers.sprites.
+     * @param {Element} svgRoot - The <svg> element.
+     * @returns {Object} The sprite sheet.
+     */
+    createSpriteSheet: function (svgRoot) {
+      var defs = self.svgHelpers.defs(svgRoot);
+      var refs = {};
+      var sheet = {
+        define: function (name, content, optionalAttributes) {
+          var symbol = self.util.isElement(content) && content.localName === "symbol" ? content : self.draw("symbol", content);
+          self.setAttributes(symbol, optionalAttributes || {});
+          sheet.remove(name);
+          var base = "sprite-" + String(name).replace(/[^\w-]/g, "-");
+          var id = base;
+          for (var n = 2; self.util.isIdTaken(svgRoot, id); n++) id = base + "-" + n;
+          symbol.id = id;
+          return (refs[name] = defs.add(symbol, { keep: true }));
+        },
+        has: function (name) {
+          return refs.hasOwnProperty(name);
+        },
+        get: function (name) {
+          return refs[name];
+        },
+        remove: function (name) {
+          if (!refs.hasOwnProperty(name)) return false;
+          defs.remove(refs[name].id);
+          delete refs[name];
+          return true;
+        },
+        use: function (name, x, y, width, height, styles) {
+          var ref = refs[name];
+          if (!ref) throw new Error("Unknown sprite '" + name + "'");
+          ref.restore();
+          var use = self.draw("use", undefined, styles);
+          use.setAttribute("href", ref.href);
+          use.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", ref.href);
+          var position = { x: x, y: y, width: width, height: height };
+          Object.keys(position).forEach(function (attribute) {
+            if (position[attribute] !== undefined) use.setAttribute(attribute, position[attribute]);
+          });
+          return use;
+        }
+      };
+      return sheet;
+    },
+
+    /**
+     * Returns the character for a code point, or U+FFFD for zero, surrogates and code points past
+     * U+10FFFF, as CSS and HTML do.
+     * @param {number} codePoint - The code point.
+     * @returns {string}
+     */
+    codePointToString: function (codePoint) {
+      if (!(codePoint > 0 && codePoint <= 0x10FFFF) || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) return "\uFFFD";
+      return String.fromCodePoint(codePoint);
+    },
+
+    /**
+     * Takes a single element CSS selector and turns it into an object with the specified properties.
+     *
+     * Supports a tag name, optionally prefixed with a namespace ('svg:rect', 'math|mi' or 'html:div')
+     * or the namespace of a template ('ui:card'), one id, classes and attributes ('[disabled]',
+     * '[type=text]', '[title="a > b [c]"]'). Characters can be escaped CSS-style ('#a\\:b', '.\\31 0';
+     * escapes past U+10FFFF become U+FFFD). Anything else, such as pseudo-classes ('a:hover'),
+     * the universal selector or attribute operators other than '=', throws a SyntaxError.
+     *
+     * @param {string} selector - A single element CSS selector.
+     * @returns {Object} An object with properties: tagName, id, classList, and attributes, plus
+     *   namespacePrefix and namespace when the tag name has a prefix.
+     */
+    selectorToComponents: function (selector) {
+      // Initialize the result object with default values
+      var result = {
+        tagName: 'div',
+        id: undefined,
+        classList: [],
+        attributes: {}
+      };
+
+      var namespaces = {
+        html: "http://www.w3.org/1999/xhtml",
+        xhtml: "http://www.w3.org/1999/xhtml",
+        svg: "http://www.w3.org/2000/svg",
+        math: "http://www.w3.org/1998/Math/MathML",
+        mathml: "http://www.w3.org/1998/Math/MathML"
+      };
+
+      var source = String(selector === undefined || selector === null ? "" : selector).trim();
+      var position = 0;
+
+      function fail(message) {
+        throw new SyntaxError(message + " at position " + position + " in selector '" + source + "'");
+      }
+
+      function isNameCharacter(character) {
+        return /[\w\-\u00A0-\uFFFF]/.test(character);
+      }
+
+      // Reads an escape sequence such as '\:' or '\31 ' and returns the character it stands for.
+      function readEscape() {
+        position++;
+        if (position >= source.length) fail("Unterminated escape");
+        var hex = /^[0-9a-fA-F]{1,6}/.exec(source.slice(position));
+        if (hex) {
+          position += hex[0].length;
+          if (/\s/.test(source.charAt(position))) position++;
+          return self.util.codePointToString(parseInt(hex[0], 16));
+        }
+        return source.charAt(position++);
+      }
+
+      function readName(allowColon) {
+        var name = "";
+        while (position < source.length) {
+          var character = source.charAt(position);
+          if (character === "\\") {
+            name += readEscape();
+          } else if (isNameCharacter(character) || (allowColon && character === ":")) {
+            name += character;
+            position++;
+          } else {
+            break;
+          }
+        }
+        return name;
+      }
+
+      function skipWhitespace() {
+        while (/\s/.test(source.charAt(position)) && position < source.length) position++;
+      }
+
+      function readAttribute() {
+        position++;
+        skipWhitespace();
+        var name = readName(true);
+        if (!name) fail("Expected an attribute name");
+        skipWhitespace();
+        var value = "";
+        var character = source.charAt(position);
+        if (character === "=") {
+          position++;
+          skipWhitespace();
+          var quote = source.charAt(position);
+          if (quote === '"' || quote === "'") {
+            position++;
+            while (source.charAt(position) !== quote) {
+              if (position >= source.length) fail("Unterminated string");
+              value += source.charAt(position) === "\\" ? readEscape() : source.charAt(position++);
+            }
+            position++;
+            skipWhitespace();
+          } else {
+            // Unquoted values run to the closing bracket, e.g. [d=M0,0 L10,10]
+            while (position < source.length && source.charAt(position) !== "]") {
+              value += source.charAt(position) === "\\" ? readEscape() : source.charAt(position++);
+            }
+            value = value.trim();
+          }
+        } else if (/[~|^$*]/.test(character) && source.charAt(position + 1) === "=") {
+          fail("Unsupported attribute operator '" + character + "='");
+        }
+        if (source.charAt(position) !== "]") {
+          if (position >= source.length) fail("Unterminated attribute selector");
+          fail(/\w/.test(source.charAt(position)) ? "Attribute selector flags are not supported" : "Expected ']'");
+        }
+        position++;
+        result.attributes[name] = value;
+      }
+
+      // Extract the tag name, and its namespace prefix if there is one
+      var character = source.charAt(0);
+      if (character === "*") {
+        fail("The universal selector is not supported");
+      }
+      if (isNameCharacter(character) || character === "\\") {
+        var tagName = readName(false);
+        var separator = source.charAt(position);
+        if ((separator === ":" || separator === "|") && (isNameCharacter(source.charAt(position + 1)) || source.charAt(position + 1) === "\\")) {
+          // 'a:hover' is a pseudo-class; only namespaces and template namespaces are prefixes with ':'.
+          if (separator === ":" && !namespaces.hasOwnProperty(tagName.toLowerCase()) && !self.util.isTemplateNamespace(tagName)) {
+            fail("Pseudo-classes and pseudo-elements are not supported");
+          }
+          position++;
+          result.namespacePrefix = tagName;
+          result.namespace = namespaces[tagName.toLowerCase()];
+          tagName = readName(false);
+        }
+        result.tagName = tagName;
+      }
+
+      // Extract the ID, classes and attributes
+      while (position < source.length) {
+        character = source.charAt(position);
+        if (character === "#") {
+          if (result.id !== undefined) fail("A selector can only have one id");
+          position++;
+          var id = readName(false);
+          if (!id) fail("Expected an id");
+          result.id = id;
+        } else if (character === ".") {
+          position++;
+          var className = readName(false);
+          if (!className) fail("Expected a class name");
+          result.classList.push(className);
+        } else if (character === "[") {
+          readAttribute();
+        } else if (character === ":") {
+          fail("Pseudo-classes and pseudo-elements are not supported");
+        } else if (/[\s>+~,]/.test(character)) {
+          fail("Expected a single element selector");
+        } else {
+          fail("Unexpected character '" + character + "'");
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Splits a selector into compound selectors and the combinators between them. Quoted strings,
+     * attribute selectors, parentheses and escaped characters never contain combinators.
+     * Whitespace between two compound selectors is the descendant combinator (' ').
+     * @param {string} selector - A CSS selector, e.g. 'main .list > li[title="a > b"]'.
+     * @returns {Object[]} Tokens with a type ('compound' or 'combinator'), a value and a start position.
+     */
+    tokenizeSelector: function (selector) {
+      var source = String(selector === undefined || selector === null ? "" : selector);
+      var tokens = [];
+      var start = 0;
+      var position = 0;
+      var quote = null;
+      var brackets = 0;
+      var parentheses = 0;
+
+      function fail(message, at) {
+        throw new SyntaxError(message + " at position " + at + " in selector '" + source + "'");
+      }
+
+      function pushCompound(end) {
+        var text = source.slice(start, end);
+        if (text.trim()) {
+          tokens.push({ type: "compound", value: text.trim(), start: start });
+        }
+      }
+
+      while (position < source.length) {
+        var character = source.charAt(position);
+        if (character === "\\") {
+          // Skip the escaped character, or a hex escape and the whitespace that may terminate it.
+          var hex = /^[0-9a-fA-F]{1,6}\s?/.exec(source.slice(position + 1));
+          position += 1 + (hex ? hex[0].length : 1);
+          continue;
+        }
+        if (quote) {
+          if (character === quote) quote = null;
+        } else if (character === '"' || character === "'") {
+          quote = character;
+        } else if (character === "[") {
+          brackets++;
+        } else if (character === "]") {
+          if (!brackets) fail("Unexpected ']'", position);
+          brackets--;
+        } else if (character === "(") {
+          parentheses++;
+        } else if (character === ")") {
+          if (!parentheses) fail("Unexpected ')'", position);
+          parentheses--;
+        } else if (!brackets && !parentheses && /[\s>+~]/.test(character)) {
+          pushCompound(position);
+          var combinatorStart = position;
+          var combinator = null;
+          while (position < source.length && /[\s>+~]/.test(source.charAt(position))) {
+            if (/[>+~]/.test(source.charAt(position))) {
+              if (combinator) fail("Unexpected combinator '" + source.charAt(position) + "'", position);
+              combinator = source.charAt(position);
+            }
+            position++;
+          }
+          start = position;
+          var atEdge = !tokens.length || position >= source.length;
+          if (!combinator && atEdge) continue;
+          if (atEdge) fail("The combinator '" + combinator + "' must be between two selectors", combinatorStart);
+          tokens.push({ type: "combinator", value: combinator || " ", start: combinatorStart });
+          continue;
+        }
+        position++;
+      }
+
+      if (quote) fail("Unterminated string", source.length);
+      if (brackets) fail("Unterminated attribute selector", source.length);
+      if (parentheses) fail("Unterminated parenthesis", source.length);
+      pushCompound(source.length);
+      return tokens;
+    },
+
+    /**
+     * Takes a single string input and returns an object with the appropriate properties
+     * depending on the input.
+     *
+     * The element to create is the last compound selector. The last combinator decides where it goes:
+     * '>' or whitespace appends it to the element matching the rest of the selector, '+' inserts it
+     * straight after that element and '~' appends it to that element's parent, after its siblings.
+     *
+     * @param {string} input - A single string input representing an element selector with optional combinators.
+     * @returns {Object} An object with properties: elementDefinition, combinator (optional), and
+     *   parentElement, siblingElement or generalSiblingElement (optional).
+     */
+    resolveRelativeElement: function (input) {
+      // Initialize the result object with the default values
+      var result = {
+        elementDefinition: '',
+        parentElement: undefined,
+        siblingElement: undefined,
+        generalSiblingElement: undefined
+      };
+
+      var tokens = this.tokenizeSelector(input);
+      if (!tokens.length) return result;
+
+      result.elementDefinition = tokens[tokens.length - 1].value;
+
+      if (tokens.length > 1) {
+        var combinator = tokens[tokens.length - 2];
+        var context = String(input).slice(0, combinator.start).trim();
+        result.combinator = combinator.value;
+        if (combinator.value === "+") {
+          result.siblingElement = context;
+        } else if (combinator.value === "~") {
+          result.generalSiblingElement = context;
+        } else {
+          result.parentElement = context;
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Returns true when a selector uses Emmet-only syntax outside attribute selectors and quotes:
+     * multiplication ('li*3'), text ('{Hello}'), grouping ('(dt+dd)') or climbing up ('^').
+     * Abbreviations without any of these, such as 'ul>li', are treated as regular selectors.
+     * @param {string} selector - The selector or abbreviation.
+     * @returns {boolean}
+     */
+    isAbbreviation: function (selector) {
+      if (typeof selector !== "string") return false;
+      var quote = null;
+      var brackets = 0;
+      var previous = "";
+      for (var i = 0; i < selector.length; i++) {
+        var character = selector.charAt(i);
+        if (character === "\\") {
+          i++;
+        } else if (quote) {
+          if (character === quote) quote = null;
+        } else if (character === '"' || character === "'") {
+          quote = character;
+        } else if (character === "[") {
+          brackets++;
+        } else if (character === "]") {
+          brackets--;
+        } else if (!brackets) {
+          if (character === "{" || character === "^") return true;
+          if (character === "*" && /\d/.test(selector.charAt(i + 1))) return true;
+          if (character === "(" && /^$|[>+^(]$/.test(previous)) return true;
+        }
+        if (!/\s/.test(character)) previous = character;
+      }
+      return false;
+    },
+
+    /**
+     * Parses an Emmet-style abbreviation, such as 'ul.list>li.item*5>a[href=#]{Item $}', into a tree.
+     * Supports children ('>'), siblings ('+'), climbing up ('^'), grouping ('(...)'), multiplication
+     * ('*5'), text ('{...}'), and numbering with '$' ('$$' pads, '$@-' counts down, '$@3' starts at 3).
+     * Each element is described by a selector parsed with selectorToComponents.
+     * @param {string} abbreviation - The abbreviation.
+     * @returns {Object[]} The top-level nodes, each with a type ('element', 'group' or 'text'),
+     *   and a selector, text, repeat count and children as applicable.
+     */
+    parseAbbreviation: function (abbreviation) {
+      var source = String(abbreviation);
+      var position = 0;
+
+      function fail(message) {
+        throw new SyntaxError(message + " at position " + position + " in abbreviation '" + source + "'");
+      }
+
+      function skipWhitespace() {
+        while (position < source.length && /\s/.test(source.charAt(position))) position++;
+      }
+
+      function readText() {
+        var text = "";
+        position++;
+        while (source.charAt(position) !== "}") {
+          if (position >= source.length) fail("Unterminated text");
+          if (source.charAt(position) === "\\" && position + 1 < source.length) {
+            text += source.charAt(position + 1) === "$" ? "\\$" : source.charAt(position + 1);
+            position += 2;
+          } else {
+            text += source.charAt(position++);
+          }
+        }
+        position++;
+        return text;
+      }
+
+      function readRepeat() {
+        if (source.charAt(position) !== "*") return undefined;
+        position++;
+        var digits = /^\d+/.exec(source.slice(position));
+        if (!digits) fail("Expected a number after '*'");
+        position += digits[0].length;
+        return parseInt(digits[0], 10);
+      }
+
+      function readSelector() {
+        var start = position;
+        var quote = null;
+        var brackets = 0;
+        while (position < source.length) {
+          var character = source.charAt(position);
+          if (character === "\\") {
+            position += 2;
+            continue;
+          }
+          if (quote) {
+            if (character === quote) quote = null;
+          } else if (character === '"' || character === "'") {
+            quote = character;
+          } else if (character === "[") {
+            brackets++;
+          } else if (character === "]") {
+            brackets--;
+          } else if (!brackets && /[\s>+~^()*{}]/.test(character)) {
+            break;
+          }
+          position++;
+        }
+        if (quote || brackets) fail("Unterminated attribute selector");
+        return source.slice(start, position);
+      }
+
+      function readNode() {
+        var character = source.charAt(position);
+        var node;
+        if (character === "(") {
+          position++;
+          node = { type: "group", children: readSequence(true) };
+          if (source.charAt(position) !== ")") fail("Expected ')'");
+          position++;
+        } else if (character === "{") {
+          node = { type: "text", text: readText() };
+        } else {
+          var selector = readSelector();
+          if (!selector) fail("Expected an element");
+          node = { type: "element", selector: selector, children: [] };
+          // Attributes, ids, classes, text and multiplication may come in any order: 'li*3{Item $}.item'.
+          while (true) {
+            character = source.charAt(position);
+            if (character === "{" && node.text === undefined) {
+              node.text = readText();
+            } else if (character === "*" && node.repeat === undefined) {
+              node.repeat = readRepeat();
+            } else if (/[[.#]/.test(character)) {
+              node.selector += readSelector();
+            } else {
+              return node;
+            }
+          }
+        }
+        node.repeat = readRepeat();
+        return node;
+      }
+
+      function readSequence(isGroup) {
+        var roots = [];
+        var levels = [roots];
+        var lastNode = null;
+        var expectNode = true;
+        while (true) {
+          skipWhitespace();
+          var character = source.charAt(position);
+          if (position >= source.length || character === ")") {
+            if (character === ")" && !isGroup) fail("Unexpected ')'");
+            if (expectNode) fail("Expected an element");
+            return roots;
+          }
+          if (expectNode) {
+            lastNode = readNode();
+            levels[levels.length - 1].push(lastNode);
+            expectNode = false;
+          } else if (character === ">") {
+            if (lastNode.type !== "element") fail("Only elements can have children");
+            position++;
+            levels.push(lastNode.children);
+            expectNode = true;
+          } else if (character === "+") {
+            position++;
+            expectNode = true;
+          } else if (character === "^") {
+            while (source.charAt(position) === "^") {
+              position++;
+              if (levels.length > 1) levels.pop();
+            }
+            expectNode = true;
+          } else if (character === "~") {
+            fail("General sibling placement ('~') is not supported in abbreviations; use '+'");
+          } else {
+            fail("Unexpected character '" + character + "'");
+          }
+        }
+      }
+
+      return readSequence(false);
+    },
+
+    /**
+     * Replaces '$' numbering in an abbreviation's selector or text with the repetition number.
+     * @param {string} text - The selector or text.
+     * @param {Object} repetition - The index (from 0) and count of the nearest repeated node, if any.
+     * @param {boolean} keepEscapes - Whether to leave '\\$' escaped, as selectors resolve escapes later.
+     * @returns {string}
+     */
+    numberAbbreviationText: function (text, repetition, keepEscapes) {
+      return text.replace(/\\\$|(\$+)(?:@(-)?(\d*))?/g, function (match, dollars, reverse, base) {
+        if (!dollars) return keepEscapes ? match : "$";
+        var start = base ? parseInt(base, 10) : 1;
+        var index = repetition ? repetition.index : 0;
+        var count = repetition ? repetition.count : 1;
+        var number = String(reverse ? count - index - 1 + start : index + start);
+        while (number.length < dollars.length) number = "0" + number;
+        return number;
+      });
+    },
+
+    /**
+     * Builds the elements described by an Emmet-style abbreviation (see parseAbbreviation).
+     * Elements named 'svg' and 'math' switch their subtree to the SVG and MathML namespaces.
+     * The content, styles and event listeners are given to the top-level elements.
+     * @param {string} abbreviation - The abbreviation.
+     * @param {string|Element|Element[]|undefined} content - Content for the top-level elements.
+     * @param {Object} styles - Styles for the top-level elements.
+     * @param {string} optionalNamespace - The namespace to create elements in.
+     * @param {Object} optionalEventListeners - Event listeners for the top-level elements.
+     * @returns {Element|Object} The element, or a collection (see select) when there are several top-level nodes.
+     */
+    expandAbbreviation: function (abbreviation, content, styles, optionalNamespace, optionalEventListeners) {
+      var util = this;
+      var namespaces = { svg: "http://www.w3.org/2000/svg", math: "http://www.w3.org/1998/Math/MathML" };
+
+      function build(nodes, namespace, repetition, isTopLevel) {
+        var built = [];
+        nodes.forEach(function (node) {
+          var count = node.repeat === undefined ? 1 : node.repeat;
+          for (var index = 0; index < count; index++) {
+            var nodeRepetition = node.repeat === undefined ? repetition : { index: index, count: count };
+            if (node.type === "text") {
+              built.push(self.document.createTextNode(util.numberAbbreviationText(node.text, nodeRepetition)));
+            } else if (node.type === "group") {
+              built = built.concat(build(node.children, namespace, nodeRepetition, isTopLevel));
+            } else {
+              var selector = util.numberAbbreviationText(node.selector, nodeRepetition, true);
+              var tagName = util.selectorToComponents(selector).tagName.toLowerCase();
+              var elementNamespace = namespaces[tagName] || namespace;
+              var text = node.text === undefined ? undefined : util.numberAbbreviationText(node.text, nodeRepetition);
+              var element = isTopLevel ?
+                util.make(selector, text === undefined ? content : text, styles, elementNamespace, optionalEventListeners) :
+                util.make(selector, text, undefined, elementNamespace);
+              if (elementNamespace === namespaces.svg) util.decorateSvgElement(element);
+              build(node.children, elementNamespace, nodeRepetition, false).forEach(function (child) {
+                element.appendChild(child);
+              });
+              built.push(element);
+            }
+          }
+        });
+        return built;
+      }
+
+      var roots = build(this.parseAbbreviation(abbreviation), optionalNamespace, undefined, true);
+      return roots.length === 1 ? roots[0] : self.select(roots);
+    },
+
+    /**
+     * Parses the strings of a tagged template literal into a tree of elements and text, in which
+     * interpolations are recorded as slots. Results are cached per template and namespace, so each
+     * template is only parsed once.
+     * @param {string[]} strings - The strings of the tagged template literal.
+     * @param {string} namespace - The namespace of the top-level elements.
+     * @returns {Object[]} The top-level nodes. Elements have a tagName, namespace, attributes
+     *   (each with a name and parts, or null parts when boolean) and children; text nodes have parts.
+     *   Parts are strings, or { slot: index } for interpolations.
+     */
+    parseMarkupTemplate: function (strings, namespace) {
+      var namespaces = {
+        html: "http://www.w3.org/1999/xhtml",
+        svg: "http://www.w3.org/2000/svg",
+        math: "http://www.w3.org/1998/Math/MathML"
+      };
+      var voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+      var rawTextElements = ["script", "style", "textarea", "title"];
+      var entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00A0" };
+
+      self._templateCache = self._templateCache || new WeakMap();
+      var cached = self._templateCache.get(strings) || {};
+      if (cached[namespace]) return cached[namespace];
+
+      // Interpolations are replaced by markers, which are turned into slots once the markup is parsed.
+      var source = strings.map(function (string, index) {
+        return index === 0 ? string : "\u0001" + (index - 1) + "\u0002" + string;
+      }).join("");
+      var markerRegex = /\u0001(\d+)\u0002/;
+      var position = 0;
+
+      function fail(message) {
+        throw new SyntaxError(message + " at position " + position + " in template '" + source.replace(/\u0001(\d+)\u0002/g, "${...}") + "'");
+      }
+
+      function decode(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, function (match, entity) {
+          if (entity.charAt(0) === "#") {
+            return self.util.codePointToString(entity.charAt(1) === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+          }
+          return entities.hasOwnProperty(entity) ? entities[entity] : match;
+        });
+      }
+
+      function toParts(text) {
+        return text.split(/\u0001(\d+)\u0002/).map(function (part, index) {
+          return index % 2 ? { slot: parseInt(part, 10) } : decode(part);
+        }).filter(function (part) { return part !== ""; });
+      }
+
+      function readName() {
+        var name = /^[^\s\/>=]+/.exec(source.slice(position));
+        if (!name) fail("Expected a name");
+        if (markerRegex.test(name[0])) fail("Interpolations are not supported in tag or attribute names");
+        position += name[0].length;
+        return name[0];
+      }
+
+      function skipWhitespace() {
+        while (/\s/.test(source.charAt(position)) && position < source.length) position++;
+      }
+
+      function readAttributes() {
+        var attributes = [];
+        while (true) {
+          skipWhitespace();
+          if (position >= source.length) fail("Unterminated tag");
+          if (source.charAt(position) === ">" || source.slice(position, position + 2) === "/>") return attributes;
+          var name = readName();
+          skipWhitespace();
+          if (source.charAt(position) !== "=") {
+            attributes.push({ name: name, parts: null });
+            continue;
+          }
+          position++;
+          skipWhitespace();
+          var quote = source.charAt(position);
+          var value;
+          if (quote === '"' || quote === "'") {
+            var end = source.indexOf(quote, position + 1);
+            if (end < 0) fail("Unterminated attribute value");
+            value = source.slice(position + 1, end);
+            position = end + 1;
+          } else {
+            value = /^[^\s>]*/.exec(source.slice(position))[0];
+            if (value.slice(-1) === "/" && source.charAt(position + value.length) === ">") value = value.slice(0, -1);
+            position += value.length;
+          }
+          attributes.push({ name: name, parts: toParts(value) });
+        }
+      }
+
+      var roots = [];
+      var stack = [{ children: roots, namespace: namespace, tagName: "" }];
+
+      while (position < source.length) {
+        var parent = stack[stack.length - 1];
+        if (source.slice(position, position + 4) === "<!--") {
+          var commentEnd = source.indexOf("-->", position + 4);
+          if (commentEnd < 0) fail("Unterminated comment");
+          position = commentEnd + 3;
+        } else if (source.slice(position, position + 2) === "</") {
+          position += 2;
+          var closingName = readName();
+          skipWhitespace();
+          if (source.charAt(position) !== ">") fail("Expected '>'");
+          position++;
+          if (stack.length === 1 || parent.tagName.toLowerCase() !== closingName.toLowerCase()) {
+            fail("Unexpected closing tag </" + closingName + ">");
+          }
+          stack.pop();
+        } else if (source.charAt(position) === "<" && /[a-zA-Z]/.test(source.charAt(position + 1))) {
+          position++;
+          var tagName = readName();
+          var lowerTagName = tagName.toLowerCase();
+          var elementNamespace = namespaces[lowerTagName] === namespaces.html ? parent.namespace : (namespaces[lowerTagName] || parent.namespace);
+          if (parent.namespace === namespaces.svg && parent.tagName === "foreignObject") elementNamespace = namespaces[lowerTagName] || namespaces.html;
+          var element = {
+            type: "element",
+            tagName: elementNamespace === namespaces.html ? lowerTagName : tagName,
+            namespace: elementNamespace,
+            attributes: readAttributes(),
+            children: []
+          };
+          parent.children.push(element);
+          var selfClosing = source.charAt(position) === "/";
+          position += selfClosing ? 2 : 1;
+          var isHtml = elementNamespace === namespaces.html;
+          if (selfClosing || (isHtml && voidElements.indexOf(lowerTagName) > -1)) continue;
+          if (isHtml && rawTextElements.indexOf(lowerTagName) > -1) {
+            var rawEnd = source.toLowerCase().indexOf("</" + lowerTagName, position);
+            if (rawEnd < 0) fail("Unclosed <" + tagName + ">");
+            var rawParts = toParts(source.slice(position, rawEnd));
+            if (rawParts.length) element.children.push({ type: "text", parts: rawParts });
+            position = rawEnd;
+          }
+          stack.push(element);
+        } else {
+          var textEnd = position + 1;
+          while (textEnd < source.length && !(source.charAt(textEnd) === "<" && /[a-zA-Z\/!]/.test(source.charAt(textEnd + 1)))) textEnd++;
+          var parts = toParts(source.slice(position, textEnd));
+          // Whitespace between top-level elements is formatting, not content.
+          var isFormatting = stack.length === 1 && parts.every(function (part) { return typeof part === "string" && !part.trim(); });
+          if (parts.length && !isFormatting) parent.children.push({ type: "text", parts: parts });
+          position = textEnd;
+        }
+      }
+
+      if (stack.length > 1) fail("Unclosed <" + stack[stack.length - 1].tagName + ">");
+
+      cached[namespace] = roots;
+      self._templateCache.set(strings, cached);
+      return roots;
+    },
+
+    /**
+     * Builds the nodes of a parsed markup template (see parseMarkupTemplate), binding the
+     * interpolated values to its slots:
+     * - on* attributes take event listeners, and a style attribute can take a style object.
+     * - Functions become dynamic attributes, dynamic content (when they are an element's only
+     *   content), or dynamic text, and are refreshed by render() like those created by make.
+     * - In text, elements, arrays and objectToElement definitions are inserted as children.
+     * - null, undefined and false are left out, and true makes a boolean attribute.
+     * @param {Object[]} nodes - The nodes to build.
+     * @param {Array} values - The interpolated values.
+     * @param {Element} optionalParent - The element the nodes are built into.
+     * @returns {Node[]} The built top-level nodes.
+     */
+    instantiateMarkupTemplate: function (nodes, values, optionalParent) {
+      var util = this;
+      var built = [];
+
+      function isEmpty(value) {
+        return value === null || value === undefined || value === false;
+      }
+
+      function insert(value, parent) {
+        if (isEmpty(value) || value === true) return;
+        if (Array.isArray(value)) {
+          value.forEach(function (item) { insert(item, parent); });
+        } else if (value && typeof value.nodeType === "number") {
+          built.push(parent ? parent.appendChild(value) : value);
+        } else if (value && typeof value === "object" && (value.make || value.draw || value.math)) {
+          insert(self.objectToElement(value), parent);
+        } else {
+          var text = self.document.createTextNode(String(value));
+          built.push(parent ? parent.appendChild(text) : text);
+        }
+      }
+
+      nodes.forEach(function (node) {
+        if (node.type === "text") {
+          node.parts.forEach(function (part) {
+            if (typeof part === "string") {
+              insert(part, optionalParent);
+              return;
+            }
+            var value = values[part.slot];
+            if (typeof value !== "function") {
+              insert(value, optionalParent);
+            } else if (!optionalParent) {
+              insert(value(), optionalParent);
+            } else if (nodes.length === 1 && node.parts.length === 1) {
+              optionalParent.setContent(value);
+            } else {
+              var textNode = optionalParent.appendChild(self.document.createTextNode(""));
+              textNode.data = String(util.evaluateDynamicValue(optionalParent, value));
+              util.registerDynamicElement(optionalParent);
+              optionalParent._dynamicTextNodes = (optionalParent._dynamicTextNodes || []).concat({ node: textNode, value: value });
+            }
+          });
+          return;
+        }
+
+        var element = util.make(node.tagName, undefined, undefined, node.namespace);
+        if (node.namespace === "http://www.w3.org/2000/svg") util.decorateSvgElement(element);
+
+        node.attributes.forEach(function (attribute) {
+          var attributes = {};
+          var parts = attribute.parts;
+          var single = parts && parts.length === 1 && typeof parts[0] !== "string" ? values[parts[0].slot] : undefined;
+          if (parts === null) {
+            attributes[attribute.name] = "";
+          } else if (single !== undefined && /^on./.test(attribute.name)) {
+            var listeners = {};
+            listeners[attribute.name.slice(2)] = single;
+            util.addEventListeners(element, listeners);
+            return;
+          } else if (single !== undefined && attribute.name === "style" && typeof single === "object" && single) {
+            util.applyStylesToElement(element, single);
+            return;
+          } else if (parts.length === 1 && typeof parts[0] !== "string") {
+            if (isEmpty(single)) return;
+            attributes[attribute.name] = single === true ? "" : single;
+          } else {
+            var isDynamic = parts.some(function (part) { return typeof part !== "string" && typeof values[part.slot] === "function"; });
+            var join = function () {
+              return parts.map(function (part) {
+                if (typeof part === "string") return part;
+                var value = values[part.slot];
+                value = typeof value === "function" ? value() : value;
+                return isEmpty(value) ? "" : value;
+              }).join("");
+            };
+            attributes[attribute.name] = isDynamic ? join : join();
+          }
+          util.setAttributesOnElement(element, attributes);
+        });
+
+        util.instantiateMarkupTemplate(node.children, values, element);
+        built.push(optionalParent ? optionalParent.appendChild(element) : element);
+      });
+
+      return built;
+    },
+
+    /**
+     * Turns a style object into CSS rules for a selector. Nested objects are nested selectors
+     * ('&:hover', ':focus', '::before', '& > li', '.child'), at-rules ('@media (min-width: 600px)',
+     * '@supports ...') or keyframes ('@keyframes spin' with 'from', 'to' and percentages).
+     * @param {string} selector - The selector the declarations apply to.
+     * @param {Object} styles - Styles in JS notation or CSS notation, with nested objects.
+     * @returns {string[]} The rules.
+     */
+    compileStyleRules: function (selector, styles) {
+      var util = this;
+      var declarations = [];
+      var rules = [];
+      Object.keys(styles).forEach(function (key) {
+        var value = styles[key];
+        if (value && typeof value === "object") {
+          if (/^@keyframes\s/.test(key)) {
+            rules.push(key + " { " + Object.keys(value).map(function (frame) {
+              return frame + " { " + util.compileStyleDeclarations(value[frame]) + " }";
+            }).join(" ") + " }");
+          } else if (/^@/.test(key)) {
+            rules.push(key + " { " + util.compileStyleRules(selector, value).join(" ") + " }");
+          } else {
+            rules = rules.concat(util.compileStyleRules(util.nestSelector(selector, key), value));
+          }
+        } else if (value !== undefined && value !== null && value !== false) {
+          var declaration = {};
+          declaration[key] = value;
+          declarations.push(util.compileStyleDeclarations(declaration));
+        }
+      });
+      if (declarations.length) rules.unshift(selector + " { " + declarations.join(" ") + " }");
+      return rules;
+    },
+
+    /**
+     * Turns flat styles into CSS declarations, e.g. { fontSize: '2em' } into 'font-size: 2em;'.
+     * @param {Object} styles - Styles in JS notation or CSS notation.
+     * @returns {string} The declarations.
+     */
+    compileStyleDeclarations: function (styles) {
+      var util = this;
+      return Object.keys(styles).filter(function (property) {
+        var value = styles[property];
+        if (typeof value === "function") throw new TypeError("Stylesheet values cannot be functions (at '" + property + "'); use inline styles for dynamic values");
+        return value !== undefined && value !== null && value !== false;
+      }).map(function (property) {
+        var cssProperty = /^--/.test(property) || /-/.test(property) ? property : property === "cssFloat" ? "float" :
+          property.replace(/^(Webkit|Moz|O|ms)(?=[A-Z])/, function (prefix) { return "-" + prefix.toLowerCase(); }).replace(/[A-Z]/g, function (match) { return "-" + match.toLowerCase(); });
+        return cssProperty + ": " + util.resolveTokens(styles[property]) + ";";
+      }).join(" ");
+    },
+
+    /**
+     * Combines a selector with a nested one. '&' stands for the outer selector; nested selectors
+     * starting with ':' attach to it, and others are descendants. Selector lists are combined pairwise.
+     * @param {string} outerSelector - The outer selector, e.g. '.a, .b'.
+     * @param {string} nestedSelector - The nested selector, e.g. '&:hover, &:focus'.
+     * @returns {string} The combined selector.
+     */
+    nestSelector: function (outerSelector, nestedSelector) {
+      function splitList(list) {
+        var parts = [];
+        var depth = 0;
+        var current = "";
+        for (var i = 0; i < list.length; i++) {
+          var character = list.charAt(i);
+          if (character === "(" || character === "[") depth++;
+          if (character === ")" || character === "]") depth--;
+          if (character === "," && depth === 0) {
+            parts.push(current.trim());
+            current = "";
+          } else {
+            current += character;
+          }
+        }
+        parts.push(current.trim());
+        return parts;
+      }
+
+      var combined = [];
+      splitList(outerSelector).forEach(function (outer) {
+        splitList(nestedSelector).forEach(function (nested) {
+          if (nested.indexOf("&") > -1) {
+            combined.push(nested.split("&").join(outer));
+          } else if (nested.charAt(0) === ":") {
+            combined.push(outer + nested);
+          } else {
+            combined.push(outer + " " + nested);
+          }
+        });
+      });
+      return combined.join(", ");
+    },
+
+    /**
+     * Returns a short, stable hash of a string (32-bit FNV-1a, in base 36).
+     * @param {string} text - The string to hash.
+     * @returns {string}
+     */
+    hashString: function (text) {
+      var hash = 0x811c9dc5;
+      for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) >>> 0;
+      }
+      return hash.toString(36);
+    },
+
+    /**
+     * Adds rules to the stylesheet Elementool manages for its document: a constructable stylesheet
+     * where adoptedStyleSheets is supported, otherwise a <style data-elementool> element in the head.
+     * Rules are also kept for css.text(), so that server-rendered pages can include them.
+     * @param {string[]} rules - The rules to add.
+     */
+    insertStyleRules: function (rules) {
+      var doc = self.document;
+      if (doc.isVirtual) {
+        self._styleRules = self._styleRules.concat(rules);
+        return;
+      }
+
+      if (!self._styleSheet) {
+        var win = doc.defaultView;
+        if (win && win.CSSStyleSheet && Array.isArray(doc.adoptedStyleSheets) && typeof win.CSSStyleSheet.prototype.replaceSync === "function") {
+          self._styleSheet = new win.CSSStyleSheet();
+          doc.adoptedStyleSheets = doc.adoptedStyleSheets.concat(self._styleSheet);
+        } else {
+          self._styleSheet = doc.createElement("style");
+          self._styleSheet.setAttribute("data-elementool", "");
+          (doc.head || doc.documentElement).appendChild(self._styleSheet);
+        }
+      }
+
+      if (typeof self._styleSheet.insertRule === "function") {
+        // Rules go in together or not at all.
+        var sheet = self._styleSheet;
+        var start = sheet.cssRules.length;
+        try {
+          rules.forEach(function (rule) { sheet.insertRule(rule, sheet.cssRules.length); });
+        } catch (e) {
+          while (sheet.cssRules.length > start) sheet.deleteRule(sheet.cssRules.length - 1);
+          throw e;
+        }
+      } else {
+        self._styleSheet.appendChild(doc.createTextNode(rules.join("\n") + "\n"));
+      }
+      self._styleRules = self._styleRules.concat(rules);
+    },
+
+    /**
+     * Flattens nested design tokens into dotted paths, e.g. { colors: { primary: '#06c' } } into
+     * { 'colors.primary': '#06c' }.
+     * @param {Object} tokens - The nested tokens.
+     * @param {string} optionalPath - The path of the tokens object.
+     * @returns {Object} The tokens by path.
+     */
+    flattenTokens: function (tokens, optionalPath) {
+      var util = this;
+      var flat = {};
+      Object.keys(tokens || {}).forEach(function (key) {
+        var path = optionalPath ? optionalPath + "." + key : key;
+        var value = tokens[key];
+        if (value && typeof value === "object") {
+          var nested = util.flattenTokens(value, path);
+          Object.keys(nested).forEach(function (nestedPath) { flat[nestedPath] = nested[nestedPath]; });
+        } else {
+          flat[path] = value;
+        }
+      });
+      return flat;
+    },
+
+    /**
+     * Returns the custom property a token is stored in, e.g. '--typography-font-size' for 'typography.fontSize'.
+     * @param {string} path - The token path.
+     * @returns {string}
+     */
+    tokenProperty: function (path) {
+      return "--" + path.split(".").map(function (part) {
+        return part.replace(/[A-Z]/g, function (match) { return "-" + match.toLowerCase(); });
+      }).join("-");
+    },
+
+    /**
+     * Replaces token references in a style value, such as '$colors.primary' in '1px solid $colors.primary',
+     * with the custom properties the tokens are stored in.
+     *
+     * Only tokens of a defined theme are replaced, so other text that looks like a reference, such as
+     * 'url(/img/$logo.png)', is left as it is. References to undefined tokens of a defined group, such
+     * as '$colors.txt' when 'colors.text' is defined, are typos and throw (see unknownTokens).
+     * @param {*} value - The style value; values other than strings are returned as they are.
+     * @returns {*} The value, with var(--...) in place of the references.
+     */
+    resolveTokens: function (value) {
+      var util = this;
+      if (typeof value !== "string" || value.indexOf("$") < 0) return value;
+      var unknown = util.unknownTokens(value);
+      if (unknown.length) throw new Error("Unknown design token '" + unknown[0] + "' in '" + value + "'");
+      return value.replace(/\$([A-Za-z_][\w-]*(?:\.[\w-]+)+)/g, function (reference, path) {
+        return self._tokenPaths[path] ? "var(" + util.tokenProperty(path) + ")" : reference;
+      });
+    },
+
+    /**
+     * Returns the references in a style value that look like tokens of a defined group but are not
+     * tokens of any defined theme, e.g. ['$colors.txt'] when 'colors.text' is defined.
+     * @param {*} value - The style value.
+     * @returns {string[]} The unknown references.
+     */
+    unknownTokens: function (value) {
+      var groups = {};
+      Object.keys(self._tokenPaths).forEach(function (path) { groups[path.split(".")[0]] = true; });
+      var unknown = [];
+      if (typeof value !== "string") return unknown;
+      value.replace(/\$([A-Za-z_][\w-]*(?:\.[\w-]+)+)/g, function (reference, path) {
+        if (!self._tokenPaths[path] && groups[path.split(".")[0]]) unknown.push(reference);
+        return reference;
+      });
+      return unknown;
+    },
+
+    /**
+     * Applies styles from the given style object to the specified Element.
+     * @param {Element} element - The Element to which the styles will be applied.
+     * @param {Object|Object[]} styles - An object containing style assignments in either JS notation or CSS notation,
+     *   a class created by css(), or an array of these.
      */
     applyStylesToElement: function (element, styles) {
+      // Classes from css() are added to the class list; arrays mix classes and style objects.
+      if (Array.isArray(styles)) {
+        styles.forEach(function (item) { if (item) self.util.applyStylesToElement(element, item); });
+        return;
+      }
+      if (styles && styles.$isStyle) {
+        element.classList.add(styles.className);
+        return;
+      }
+
       // Iterate through each style property in the styles object
       for (var property in styles) {
         if (styles.hasOwnProperty ? styles.hasOwnProperty(property) : styles[property]) {
           var value = styles[property];
 
-          if (typeof value === "function") {
-            if(self.elementsWithDynamicValues.indexOf(element) < 0) self.elementsWithDynamicValues.push(element);
-            element._dynamicStyles = element._dynamicStyles || {};
-            element._dynamicStyles[property] = value;
-            value = value();
+          if (typeof value === "function") {
+            self.util.registerDynamicElement(element);
+            element._dynamicStyles = element._dynamicStyles || {};
+            element._dynamicStyles[property] = value;
+            value = self.util.evaluateDynamicValue(element, value);
+          }
+
+          // Token references ('$colors.primary') become custom properties (see themes), and
+          // definition references (see svgHelpers.defs) become url(#id).
+          value = value && value.$isDefinitionRef ? String(value) : self.util.resolveTokens(value);
+
+          // Check if the property is a CSS custom property (e.g. '--col')
+          var customPropertyRegex = /^--/;
+          if (customPropertyRegex.test(property)) {
+            // Apply the CSS custom property using setProperty method
+            element.style.setProperty(property, value);
+          } else {
+            // Check if the property is in CSS notation (e.g. 'margin-left')
+            var cssNotationRegex = /-./g;
+            if (cssNotationRegex.test(property)) {
+              // Convert the property from CSS notation to JS notation (e.g. 'marginLeft')
+              var jsNotationProperty = property.replace(cssNotationRegex, function (match) {
+                return match.charAt(1).toUpperCase();
+              });
+
+              // Apply the style to the element using JS notation
+              element.style[jsNotationProperty] = value;
+            } else {
+              // Apply the style to the element using the given JS notation
+              element.style[property] = value;
+            }
+          }
+        }
+      }
+    },
+
+    /**
+     * The namespaces of attribute prefixes, as in xlink:href.
+     */
+    attributeNamespaces: {
+      xlink: "http://www.w3.org/1999/xlink",
+      xml: "http://www.w3.org/XML/1998/namespace",
+      xmlns: "http://www.w3.org/2000/xmlns/"
+    },
+
+    /**
+     * Applies an object of attributes to an element
+     * @param {*} element 
+     * @param {*} attributes 
+     */
+    setAttributesOnElement: function (element, attributesObject) {
+      var win = typeof window !== "undefined" ? window : {};
+      var attributes = {};
+      for(var k in attributesObject){
+        attributes[k] = attributesObject[k];
+      }
+      for (var attr in attributes) {
+        if (typeof attributes[attr] === "function") {
+          self.util.registerDynamicElement(element);
+          element._dynamicAttributes = element._dynamicAttributes || {};
+          element._dynamicAttributes[attr] = attributes[attr];
+          attributes[attr] = self.util.evaluateDynamicValue(element, attributes[attr]);
+        }
+        // Booleans toggle boolean attributes, as in html``: true sets '' and false removes the attribute.
+        if (attributes[attr] === false) {
+          element.removeAttribute(attr);
+          continue;
+        }
+        if (attributes[attr] === true) attributes[attr] = "";
+        // Prefixed attributes such as xlink:href and xml:lang belong to their own namespaces.
+        var prefix = attr.indexOf(":") > 0 ? attr.slice(0, attr.indexOf(":")).toLowerCase() : undefined;
+        if (prefix && self.util.attributeNamespaces.hasOwnProperty(prefix)) {
+          element.setAttributeNS(self.util.attributeNamespaces[prefix], attr, attributes[attr]);
+        } else if (win.SVGElement && element instanceof win.SVGElement) {
+          element.setAttributeNS(null, attr, attributes[attr]);
+        } else if (!win.SVGElement && element.isSvg) {
+          element.setAttributeNS(null, attr, attributes[attr]);
+        } else if (win.MathMLElement && element instanceof win.MathMLElement) {
+          element.setAttributeNS(attr, attributes[attr]);
+        } else {
+          element.setAttribute(attr, attributes[attr]);
+        }
+      }
+    },
+
+    /**
+     * Returns true when the given value is an element node, whether it belongs to a live DOM
+     * or to a virtual document.
+     * @param {*} value - The value to test.
+     * @returns {boolean}
+     */
+    isElement: function (value) {
+      return !!value && typeof value === "object" && value.nodeType === 1 && typeof value.tagName === "string";
+    },
+
+    /**
+     * Sets the text content of an element, falling back to innerText where textContent is unavailable.
+     * @param {Element} element - The Element whose text will be replaced.
+     * @param {string} text - The new text.
+     */
+    setTextContent: function (element, text) {
+      if ("textContent" in element) {
+        element.textContent = text;
+      } else {
+        element.innerText = text;
+      }
+    },
+
+    /**
+     * Adds an element to the list of elements refreshed by render(). Elements created against
+     * a virtual document are never registered, as there is no live page for them to update.
+     * @param {Element} element - The Element holding dynamic content, styles or attributes.
+     */
+    registerDynamicElement: function (element) {
+      if (self.document && self.document.isVirtual) return;
+      if (self.elementsWithDynamicValues.indexOf(element) < 0) self.elementsWithDynamicValues.push(element);
+    },
+
+    /**
+     * Removes an element from the list of elements refreshed by render().
+     * @param {Element} element - The Element to unregister.
+     */
+    unregisterDynamicElement: function (element) {
+      var index = self.elementsWithDynamicValues.indexOf(element);
+      if (index > -1) self.elementsWithDynamicValues.splice(index, 1);
+    },
+
+    /**
+     * Calls a dynamic content, style or attribute function for an element, recording the signals
+     * it reads so that the element is re-rendered when any of them change.
+     * @param {Element} element - The Element the value belongs to.
+     * @param {Function} valueFunction - The dynamic value function.
+     * @returns {*} The value returned by the function.
+     */
+    evaluateDynamicValue: function (element, valueFunction) {
+      if (self.document && self.document.isVirtual) return valueFunction();
+      element._reactiveDependent = element._reactiveDependent || {
+        dependencies: [],
+        notify: function () { self.util.scheduleRender(element); }
+      };
+      return this.trackDependencies(element._reactiveDependent, valueFunction);
+    },
+
+    /**
+     * Calls a function while recording the signals it reads against the given dependent.
+     * @param {Object} dependent - An object with a dependencies array and a notify method.
+     * @param {Function} callback - The function to call.
+     * @returns {*} The value returned by the callback.
+     */
+    trackDependencies: function (dependent, callback) {
+      self._trackingStack.push(dependent);
+      try {
+        return callback();
+      } finally {
+        self._trackingStack.pop();
+      }
+    },
+
+    /**
+     * Records that the signal owning the given list of dependents was read by the dependent
+     * currently being tracked, if any.
+     * @param {Object[]} dependents - The dependents of the signal being read.
+     */
+    trackSignalRead: function (dependents) {
+      var current = self._trackingStack[self._trackingStack.length - 1];
+      if (current && dependents.indexOf(current) < 0) {
+        dependents.push(current);
+        current.dependencies.push(dependents);
+      }
+    },
+
+    /**
+     * Stops a dependent from being notified by the signals it previously read.
+     * @param {Object} dependent - An object with a dependencies array and a notify method.
+     */
+    clearDependencies: function (dependent) {
+      dependent.dependencies.forEach(function (dependents) {
+        var index = dependents.indexOf(dependent);
+        if (index > -1) dependents.splice(index, 1);
+      });
+      dependent.dependencies = [];
+    },
+
+    /**
+     * Queues an element to be rendered in the next batch. Batches run once per animation frame,
+     * or through the scheduler given in the instance options.
+     * @param {Element} element - The Element to render.
+     */
+    scheduleRender: function (element) {
+      if (self._pendingRenders.indexOf(element) < 0) self._pendingRenders.push(element);
+      if (self._renderScheduled) return;
+      self._renderScheduled = true;
+      var schedule = self.options.scheduler ||
+        (typeof requestAnimationFrame === "function" ? requestAnimationFrame : function (callback) { setTimeout(callback, 16); });
+      schedule(function () { self.flushRenders(); });
+    },
+
+    /**
+     * Calls the given function for an element and each of its descendant elements, depth first.
+     * Only relies on childNodes, so it works for live and virtual elements alike.
+     * @param {Element} element - The root of the subtree.
+     * @param {Function} callback - Called with each element in the subtree.
+     */
+    walk: function (element, callback) {
+      if (!this.isElement(element)) return;
+      callback(element);
+      var children = Array.prototype.slice.call(element.childNodes || []);
+      for (var i = 0; i < children.length; i++) {
+        this.walk(children[i], callback);
+      }
+    },
+
+    /**
+     * Calls the given function for an element and its descendants, without descending into
+     * nested render roots.
+     * @param {Element} element - The element the scope starts at.
+     * @param {Function} callback - Called with each element in the scope.
+     */
+    walkRenderScope: function (element, callback) {
+      callback(element);
+      var children = Array.prototype.slice.call(element.childNodes || []);
+      for (var i = 0; i < children.length; i++) {
+        if (this.isElement(children[i]) && !children[i]._isRenderRoot) {
+          this.walkRenderScope(children[i], callback);
+        }
+      }
+    },
+
+    /**
+     * Returns true when the element is attached to the document Elementool renders into.
+     * @param {Element} element - The Element to check.
+     * @returns {boolean}
+     */
+    isConnected: function (element) {
+      if (typeof element.isConnected === "boolean") return element.isConnected;
+      var documentElement = self.document.documentElement;
+      return !!documentElement && documentElement.contains(element);
+    },
+
+    /**
+     * Creates a minimal, DOM-like document that builds elements in memory. It implements the parts
+     * of the DOM Elementool uses (element creation, attributes, styles, classes and child nodes),
+     * so that make, draw, math and objectToElement can run without a browser and be serialized
+     * with util.serialize.
+     *
+     * Virtual documents have no live tree, so querySelector always returns null and selectors
+     * that place an element relative to another one (e.g. 'main > p') only create the element.
+     *
+     * @returns {Object} A virtual document.
+     */
+    createVirtualDocument: function () {
+      var HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+      function toJsNotation(property) {
+        if (/^--/.test(property)) return property;
+        if (property === "float") return "cssFloat";
+        return property.replace(/-./g, function (match) { return match.charAt(1).toUpperCase(); });
+      }
+
+      function toCssNotation(property) {
+        if (/^--/.test(property)) return property;
+        if (property === "cssFloat") return "float";
+        return property.replace(/[A-Z]/g, function (match) { return "-" + match.toLowerCase(); });
+      }
+
+      function VirtualStyle() {}
+
+      VirtualStyle.prototype.setProperty = function (property, value) {
+        if (value === null || value === undefined || value === "") {
+          this.removeProperty(property);
+        } else {
+          this[toJsNotation(property)] = String(value);
+        }
+      };
+
+      VirtualStyle.prototype.getPropertyValue = function (property) {
+        var value = this[toJsNotation(property)];
+        return typeof value === "string" ? value : "";
+      };
+
+      VirtualStyle.prototype.removeProperty = function (property) {
+        var value = this.getPropertyValue(property);
+        delete this[toJsNotation(property)];
+        return value;
+      };
+
+      // style.float is an alias of style.cssFloat, so that the property is declared once.
+      Object.defineProperty(VirtualStyle.prototype, "float", {
+        get: function () { return this.cssFloat; },
+        set: function (value) { this.cssFloat = value; }
+      });
+
+      Object.defineProperty(VirtualStyle.prototype, "cssText", {
+        get: function () {
+          var style = this;
+          return Object.keys(style).filter(function (property) {
+            return style[property] !== undefined && style[property] !== null && String(style[property]) !== "";
+          }).map(function (property) {
+            return toCssNotation(property) + ": " + style[property] + ";";
+          }).join(" ");
+        },
+        set: function (cssText) {
+          var style = this;
+          Object.keys(style).forEach(function (property) { delete style[property]; });
+          var declarations = self.util.parseStyleText(cssText);
+          for (var property in declarations) {
+            style.setProperty(property, declarations[property]);
+          }
+        }
+      });
+
+      function VirtualNode(ownerDocument, nodeType) {
+        this.ownerDocument = ownerDocument;
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+        this._eventListeners = [];
+      }
+
+      function sibling(node, offset) {
+        if (!node.parentNode) return null;
+        var siblings = node.parentNode.childNodes;
+        return siblings[siblings.indexOf(node) + offset] || null;
+      }
+
+      Object.defineProperties(VirtualNode.prototype, {
+        firstChild: { get: function () { return this.childNodes[0] || null; } },
+        lastChild: { get: function () { return this.childNodes[this.childNodes.length - 1] || null; } },
+        nextSibling: { get: function () { return sibling(this, 1); } },
+        previousSibling: { get: function () { return sibling(this, -1); } },
+        children: { get: function () { return this.childNodes.filter(function (node) { return node.nodeType === 1; }); } },
+        isConnected: { get: function () { return false; } },
+        textContent: {
+          get: function () {
+            if (this.nodeType === 3 || this.nodeType === 8) return this.data;
+            return this.childNodes.map(function (node) { return node.nodeType === 8 ? "" : node.textContent; }).join("");
+          },
+          set: function (text) {
+            if (this.nodeType === 3 || this.nodeType === 8) {
+              this.data = String(text);
+              return;
+            }
+            this.childNodes.slice().forEach(function (node) { this.removeChild(node); }, this);
+            if (text !== undefined && text !== null && String(text) !== "") {
+              this.appendChild(this.ownerDocument.createTextNode(String(text)));
+            }
+          }
+        },
+        innerText: {
+          get: function () { return this.textContent; },
+          set: function (text) { this.textContent = text; }
+        },
+        nodeValue: {
+          get: function () { return this.nodeType === 3 || this.nodeType === 8 ? this.data : null; },
+          set: function (text) { if (this.nodeType === 3 || this.nodeType === 8) this.data = String(text); }
+        }
+      });
+
+      VirtualNode.prototype.insertBefore = function (node, referenceNode) {
+        if (node.nodeType === 11) {
+          node.childNodes.slice().forEach(function (child) { this.insertBefore(child, referenceNode); }, this);
+          return node;
+        }
+        if (node.parentNode) node.parentNode.removeChild(node);
+        var index = referenceNode ? this.childNodes.indexOf(referenceNode) : -1;
+        if (index < 0) {
+          this.childNodes.push(node);
+        } else {
+          this.childNodes.splice(index, 0, node);
+        }
+        node.parentNode = this;
+        return node;
+      };
+
+      VirtualNode.prototype.appendChild = function (node) {
+        return this.insertBefore(node, null);
+      };
+
+      VirtualNode.prototype.removeChild = function (node) {
+        var index = this.childNodes.indexOf(node);
+        if (index > -1) {
+          this.childNodes.splice(index, 1);
+          node.parentNode = null;
+        }
+        return node;
+      };
+
+      VirtualNode.prototype.replaceChild = function (newNode, oldNode) {
+        this.insertBefore(newNode, oldNode);
+        return this.removeChild(oldNode);
+      };
+
+      VirtualNode.prototype.contains = function (node) {
+        while (node) {
+          if (node === this) return true;
+          node = node.parentNode;
+        }
+        return false;
+      };
+
+      VirtualNode.prototype.addEventListener = function (type, listener, options) {
+        this._eventListeners.push({ type: type, listener: listener, options: options });
+      };
+
+      VirtualNode.prototype.removeEventListener = function (type, listener) {
+        this._eventListeners = this._eventListeners.filter(function (entry) {
+          return entry.type !== type || entry.listener !== listener;
+        });
+      };
+
+      function VirtualElement(ownerDocument, namespaceURI, qualifiedName) {
+        VirtualNode.call(this, ownerDocument, 1);
+        this.namespaceURI = namespaceURI || null;
+        this.localName = qualifiedName.split(":").pop();
+        this.tagName = this.namespaceURI === HTML_NAMESPACE ? qualifiedName.toUpperCase() : qualifiedName;
+        this.nodeName = this.tagName;
+        this.style = new VirtualStyle();
+        this._attributes = [];
+      }
+
+      VirtualElement.prototype = Object.create(VirtualNode.prototype);
+      VirtualElement.prototype.constructor = VirtualElement;
+
+      VirtualElement.prototype._findAttribute = function (name) {
+        for (var i = 0; i < this._attributes.length; i++) {
+          if (this._attributes[i].name === name) return this._attributes[i];
+        }
+      };
+
+      VirtualElement.prototype.setAttribute = function (name, value) {
+        this.setAttributeNS(null, name, value);
+      };
+
+      VirtualElement.prototype.setAttributeNS = function (namespaceURI, name, value) {
+        if (name === "style") {
+          this.style.cssText = String(value);
+          return;
+        }
+        var attribute = this._findAttribute(name);
+        if (attribute) {
+          attribute.value = String(value);
+        } else {
+          this._attributes.push({ name: name, value: String(value), namespaceURI: namespaceURI || null });
+        }
+      };
+
+      VirtualElement.prototype.getAttribute = function (name) {
+        if (name === "style") return this.style.cssText || null;
+        var attribute = this._findAttribute(name);
+        return attribute ? attribute.value : null;
+      };
+
+      VirtualElement.prototype.hasAttribute = function (name) {
+        return this.getAttribute(name) !== null;
+      };
+
+      VirtualElement.prototype.removeAttribute = function (name) {
+        if (name === "style") {
+          this.style.cssText = "";
+          return;
+        }
+        this._attributes = this._attributes.filter(function (attribute) { return attribute.name !== name; });
+      };
+
+      Object.defineProperties(VirtualElement.prototype, {
+        attributes: {
+          get: function () {
+            var attributes = this._attributes.slice();
+            var cssText = this.style.cssText;
+            if (cssText) attributes.push({ name: "style", value: cssText, namespaceURI: null });
+            return attributes;
+          }
+        },
+        id: {
+          get: function () { return this.getAttribute("id") || ""; },
+          set: function (id) { this.setAttribute("id", id); }
+        },
+        className: {
+          get: function () { return this.getAttribute("class") || ""; },
+          set: function (className) { this.setAttribute("class", className); }
+        },
+        classList: {
+          get: function () {
+            var element = this;
+            function read() { return element.className.split(/\s+/).filter(function (a) { return !!a; }); }
+            function write(classes) { element.className = classes.join(" "); }
+            return {
+              add: function () {
+                var classes = read();
+                Array.prototype.forEach.call(arguments, function (c) { if (classes.indexOf(c) < 0) classes.push(c); });
+                write(classes);
+              },
+              remove: function () {
+                var removed = Array.prototype.slice.call(arguments);
+                write(read().filter(function (c) { return removed.indexOf(c) < 0; }));
+              },
+              contains: function (c) { return read().indexOf(c) > -1; },
+              toggle: function (c, force) {
+                var present = read().indexOf(c) > -1;
+                var wanted = typeof force === "boolean" ? force : !present;
+                if (wanted && !present) this.add(c);
+                if (!wanted && present) this.remove(c);
+                return wanted;
+              }
+            };
+          }
+        },
+        outerHTML: { get: function () { return self.util.serialize(this); } },
+        innerHTML: {
+          get: function () {
+            return this.childNodes.map(function (node) { return self.util.serialize(node, this.namespaceURI); }, this).join("");
+          }
+        }
+      });
+
+      function VirtualCharacterData(ownerDocument, nodeType, data) {
+        VirtualNode.call(this, ownerDocument, nodeType);
+        this.data = String(data);
+        this.nodeName = nodeType === 3 ? "#text" : "#comment";
+      }
+
+      VirtualCharacterData.prototype = Object.create(VirtualNode.prototype);
+      VirtualCharacterData.prototype.constructor = VirtualCharacterData;
+
+      var virtualDocument = {
+        isVirtual: true,
+        nodeType: 9,
+        createElement: function (tagName) {
+          return new VirtualElement(this, HTML_NAMESPACE, String(tagName).toLowerCase());
+        },
+        createElementNS: function (namespaceURI, qualifiedName) {
+          return new VirtualElement(this, namespaceURI, qualifiedName);
+        },
+        createTextNode: function (data) {
+          return new VirtualCharacterData(this, 3, data);
+        },
+        createComment: function (data) {
+          return new VirtualCharacterData(this, 8, data);
+        },
+        createDocumentFragment: function () {
+          var fragment = new VirtualNode(this, 11);
+          fragment.nodeName = "#document-fragment";
+          return fragment;
+        },
+        querySelector: function () {
+          return null;
+        },
+        querySelectorAll: function () {
+          return [];
+        }
+      };
+
+      return virtualDocument;
+    },
+
+    /**
+     * Parses the text of a style attribute into an object of declarations in CSS notation.
+     * @param {string} cssText - The style text, e.g. 'color: red; background: url("a;b.png")'.
+     * @returns {Object} The declarations, e.g. { color: 'red', background: 'url("a;b.png")' }.
+     */
+    parseStyleText: function (cssText) {
+      var result = {};
+      // Split on semicolons that are not inside parentheses or quotes, e.g. url("data:...;...")
+      var declarations = [], current = "", depth = 0, quote = null;
+      cssText = String(cssText || "");
+      for (var i = 0; i < cssText.length; i++) {
+        var character = cssText.charAt(i);
+        if (quote) {
+          if (character === quote) quote = null;
+        } else if (character === '"' || character === "'") {
+          quote = character;
+        } else if (character === "(") {
+          depth++;
+        } else if (character === ")") {
+          depth--;
+        } else if (character === ";" && depth === 0) {
+          declarations.push(current);
+          current = "";
+          continue;
+        }
+        current += character;
+      }
+      declarations.push(current);
+      declarations.forEach(function (declaration) {
+        var separator = declaration.indexOf(":");
+        if (separator > 0) {
+          result[declaration.slice(0, separator).trim()] = declaration.slice(separator + 1).trim();
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Escapes an id or class name so that selectorToComponents reads it back unchanged.
+     * @param {string} name - The id or class name.
+     * @returns {string} The escaped name, e.g. 'a\\:b' for 'a:b'.
+     */
+    escapeSelectorName: function (name) {
+      return String(name).replace(/[^\w\-\u00A0-\uFFFF]/g, function (character) {
+        return "\\" + character;
+      }).replace(/^\d/, function (digit) {
+        return "\\3" + digit + " ";
+      });
+    },
+
+    /**
+     * Escapes text for use in markup. Attribute values additionally have their quotes escaped.
+     * @param {string} text - The text to escape.
+     * @param {boolean} isAttributeValue - Whether the text will be placed inside a double-quoted attribute.
+     * @returns {string} The escaped text.
+     */
+    escapeMarkup: function (text, isAttributeValue) {
+      var escaped = String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      return isAttributeValue ? escaped.replace(/"/g, "&quot;") : escaped;
+    },
+
+    /**
+     * Serializes a node and its descendants into an HTML/SVG/MathML string. Works on live DOM nodes
+     * and on nodes created by a virtual document. Elements whose namespace differs from their
+     * parent's (such as a root svg element) get an xmlns declaration.
+     * @param {Node} node - The node to serialize.
+     * @param {string} parentNamespace - The namespace of the node's parent, if any.
+     * @returns {string} The markup for the node.
+     */
+    serialize: function (node, parentNamespace) {
+      var HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+      var voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+      var rawTextElements = ["script", "style"];
+
+      if (!node) return "";
+
+      if (node.nodeType === 3) {
+        var parent = node.parentNode;
+        var isRawText = parent && (parent.namespaceURI === HTML_NAMESPACE || !parent.namespaceURI) &&
+          rawTextElements.indexOf(String(parent.localName).toLowerCase()) > -1;
+        // Raw text cannot be escaped, except for its closing tag: '</script' becomes '<\/script'.
+        return isRawText ? node.data.replace(new RegExp("</(?=" + parent.localName + ")", "gi"), "<\\/") : this.escapeMarkup(node.data);
+      }
+
+      if (node.nodeType === 8) {
+        return "<!--" + node.data + "-->";
+      }
+
+      if (node.nodeType === 11 || node.nodeType === 9) {
+        return Array.prototype.map.call(node.childNodes, function (child) {
+          return self.util.serialize(child, parentNamespace);
+        }).join("");
+      }
+
+      if (node.nodeType !== 1) return "";
+
+      var namespace = node.namespaceURI || HTML_NAMESPACE;
+      var isHtml = namespace === HTML_NAMESPACE;
+      var tagName = isHtml ? node.localName.toLowerCase() : node.localName;
+      var markup = "<" + tagName;
+
+      var hasNamespaceDeclaration = false;
+      Array.prototype.forEach.call(node.attributes, function (attribute) {
+        if (attribute.name === "xmlns") hasNamespaceDeclaration = true;
+        markup += " " + attribute.name + '="' + self.util.escapeMarkup(attribute.value, true) + '"';
+      });
+
+      if (!hasNamespaceDeclaration && namespace !== (parentNamespace || HTML_NAMESPACE)) {
+        markup = "<" + tagName + ' xmlns="' + namespace + '"' + markup.slice(tagName.length + 1);
+      }
+
+      var children = Array.prototype.map.call(node.childNodes, function (child) {
+        return self.util.serialize(child, namespace);
+      }).join("");
+
+      if (isHtml && voidElements.indexOf(tagName) > -1) {
+        return markup + ">";
+      }
+      if (!isHtml && !children) {
+        return markup + "/>";
+      }
+      return markup + ">" + children + "</" + tagName + ">";
+    },
+
+    /**
+     * Copies a node and its descendants with createElementNS, setAttributeNS and createTextNode, so that
+     * it also works in a virtual document. Only markup is copied: no listeners or dynamic values.
+     * @param {Node} node - The node to copy.
+     * @param {Document} doc - The document to create the copy in.
+     * @param {Function} optionalCallback - Called with each original element and its copy.
+     * @returns {Node} The copy.
+     */
+    cloneNode: function (node, doc, optionalCallback) {
+      if (node.nodeType === 3) return doc.createTextNode(node.data);
+      if (node.nodeType === 8) return doc.createComment(node.data);
+      if (node.nodeType !== 1) return doc.createTextNode("");
+      var copy = doc.createElementNS(node.namespaceURI, node.prefix ? node.prefix + ":" + node.localName : node.localName);
+      Array.prototype.forEach.call(node.attributes, function (attribute) {
+        if (attribute.namespaceURI) {
+          copy.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value);
+        } else {
+          copy.setAttribute(attribute.name, attribute.value);
+        }
+      });
+      if (optionalCallback) optionalCallback(node, copy);
+      Array.prototype.forEach.call(node.childNodes, function (child) {
+        copy.appendChild(self.util.cloneNode(child, doc, optionalCallback));
+      });
+      return copy;
+    },
+
+    /**
+     * Attaches the given event listeners to an element. Listeners may be functions, names of handlers
+     * (see handlers; names of global functions are still looked up when no handler has the name), or
+     * objects with a handler and the addEventListener options once, passive and capture.
+     *
+     * A key with a selector after the event name, such as 'click .row', delegates: one listener on
+     * the element calls the handler for events from matching descendants, with this and the second
+     * argument set to the matching descendant.
+     *
+     * @param {Element} element - The Element to listen on.
+     * @param {Object} eventListeners - An object mapping event names to listeners.
+     *   Example: { click: handleClick, mouseover: "handleMouseOver", 'click .row': { handler: selectRow, once: true } }
+     * @returns {Object[]} The records of the added listeners, as kept for removeEventListeners.
+     */
+    addEventListeners: function (element, eventListeners) {
+      var added = [];
+      if (eventListeners) {
+        for (var key in eventListeners) {
+          if (eventListeners.hasOwnProperty ? eventListeners.hasOwnProperty(key) : eventListeners[key]) {
+            var listener = this.resolveListener(eventListeners[key]);
+            if (listener) {
+              var parsedKey = this.parseListenerKey(key);
+              added.push(this.addTrackedEventListener(element, parsedKey.event, listener.handler, listener.options, parsedKey.selector));
+            }
+          }
+        }
+      }
+      return added;
+    },
+
+    /**
+     * Splits a listener key into the event name and the selector to delegate to, e.g. 'click .row > td'.
+     * @param {string} key - The listener key.
+     * @returns {Object} An object with event and selector (undefined without delegation).
+     */
+    parseListenerKey: function (key) {
+      var match = /^\s*(\S+)(?:\s+([\s\S]+?))?\s*$/.exec(key);
+      return { event: match ? match[1] : key, selector: match && match[2] ? match[2] : undefined };
+    },
+
+    /**
+     * Finds the function and options of a listener given to addEventListeners.
+     * @param {Function|string|Object} value - A function, a handler name, or { handler, once, passive, capture }.
+     * @returns {Object|undefined} An object with handler and options, or undefined when no function is found.
+     */
+    resolveListener: function (value) {
+      var win = typeof window !== "undefined" ? window : {};
+      var options;
+      if (value && typeof value === "object") {
+        options = {};
+        ["once", "passive", "capture"].forEach(function (option) {
+          if (value[option] !== undefined) options[option] = !!value[option];
+        });
+        value = value.handler;
+      }
+      if (typeof value === "string") {
+        value = self._handlers.hasOwnProperty(value) ? self._handlers[value] : win[value];
+      }
+      return typeof value === "function" ? { handler: value, options: options } : undefined;
+    },
+
+    /**
+     * Adds an event listener and records it on the element, so that dispose() and off() can remove it later.
+     * @param {Element} element - The Element to listen on.
+     * @param {string} event - The event name.
+     * @param {Function} handler - The listener.
+     * @param {Object|boolean} options - Options passed on to addEventListener.
+     * @param {string} optionalSelector - Delegates to descendants matching the selector.
+     * @returns {Object} The record: { event, selector, handler, listener, options }.
+     */
+    addTrackedEventListener: function (element, event, handler, options, optionalSelector) {
+      var listener = handler;
+      var listenerOptions = options;
+      // Listeners handle once themselves, so that their records go with them, and so that only a
+      // matching event uses up a delegated one.
+      var once = !!(options && typeof options === "object" && options.once);
+      if (once) {
+        listenerOptions = {};
+        Object.keys(options).forEach(function (option) { if (option !== "once") listenerOptions[option] = options[option]; });
+      }
+      if (optionalSelector) {
+        listener = function (e) {
+          var target = e.target && e.target.nodeType !== 1 ? e.target.parentNode : e.target;
+          var match = target && typeof target.closest === "function" ? target.closest(optionalSelector) : null;
+          if (!match || match === element || !element.contains(match)) return;
+          if (once) self.util.removeEventListeners(element, [record]);
+          return handler.call(match, e, match);
+        };
+      } else if (once) {
+        listener = function (e) {
+          self.util.removeEventListeners(element, [record]);
+          return handler.call(this, e);
+        };
+      }
+      var record = { event: event, selector: optionalSelector, handler: handler, listener: listener, options: listenerOptions };
+      element.addEventListener(event, listener, listenerOptions);
+      element._listeners = element._listeners || [];
+      element._listeners.push(record);
+      return record;
+    },
+
+    /**
+     * Removes tracked event listeners from an element.
+     * @param {Element} element - The Element listened on.
+     * @param {Object[]} records - The records of the listeners, from element._listeners.
+     */
+    removeEventListeners: function (element, records) {
+      records.forEach(function (record) {
+        element.removeEventListener(record.event, record.listener, record.options);
+      });
+      element._listeners = (element._listeners || []).filter(function (record) { return records.indexOf(record) < 0; });
+    },
+
+    /**
+     * Splits a form field name into keys: 'user.address[city]' into ['user', 'address', 'city'],
+     * 'items[0].name' into ['items', 0, 'name'], and 'tags[]' into ['tags', ''] ('' appends).
+     * @param {string} name - The field name.
+     * @returns {Array} The keys.
+     */
+    parseFieldName: function (name) {
+      var keys = [];
+      String(name).replace(/\[([^\]]*)\]|([^.[\]]+)/g, function (match, bracketKey, plainKey) {
+        var key = bracketKey !== undefined ? bracketKey : plainKey;
+        keys.push(/^\d+$/.test(key) ? Number(key) : key);
+        return match;
+      });
+      return keys;
+    },
+
+    /**
+     * Sets a value in nested objects and arrays, creating them as needed.
+     * @param {Object} target - The outer object.
+     * @param {Array} keys - The keys from parseFieldName.
+     * @param {*} value - The value; a last key of '' appends it to an array.
+     */
+    setFieldValue: function (target, keys, value) {
+      for (var i = 0; i < keys.length - 1; i++) {
+        if (target[keys[i]] === undefined || target[keys[i]] === null || typeof target[keys[i]] !== "object") {
+          target[keys[i]] = typeof keys[i + 1] === "number" || keys[i + 1] === "" ? [] : {};
+        }
+        target = target[keys[i]];
+      }
+      var last = keys[keys.length - 1];
+      if (last === "") {
+        target.push(value);
+      } else {
+        target[last] = value;
+      }
+    },
+
+    /**
+     * Reads a value from nested objects and arrays.
+     * @param {Object} source - The outer object.
+     * @param {Array} keys - The keys from parseFieldName; a last key of '' reads the array itself.
+     * @returns {*} The value, or undefined.
+     */
+    getFieldValue: function (source, keys) {
+      return keys.filter(function (key, index) { return key !== "" || index < keys.length - 1; }).reduce(function (value, key) {
+        return value === undefined || value === null ? undefined : value[key];
+      }, source);
+    },
+
+    /**
+     * Lists the named, enabled inputs, selects and textareas of a form or other container.
+     * @param {Element} form - The form.
+     * @returns {Element[]} The controls, in document order.
+     */
+    formControls: function (form) {
+      var controls = form.elements ? Array.prototype.slice.call(form.elements) : Array.prototype.slice.call(form.querySelectorAll("input, select, textarea"));
+      return controls.filter(function (control) {
+        return ["input", "select", "textarea"].indexOf(control.localName) > -1 && control.name && !control.disabled &&
+          ["submit", "button", "reset", "image", "file"].indexOf(control.type) < 0;
+      });
+    },
+
+    /**
+     * Reads the value of a form control: a boolean for a checkbox (or, when the current value is an
+     * array, the array with the checkbox's value added or removed; when it is a string, the
+     * checkbox's value or ''), the value of a checked radio
+     * button, an array for a multiple select, a number (or null) for number and range inputs, and
+     * a string otherwise.
+     * @param {Element} control - The input, select or textarea.
+     * @param {*} current - The current value, for checkboxes and radio buttons.
+     * @returns {*} The value.
+     */
+    readControlValue: function (control, current) {
+      if (control.type === "checkbox") {
+        if (typeof current === "string") return control.checked ? control.value : "";
+        if (!Array.isArray(current)) return control.checked;
+        var values = current.filter(function (value) { return value !== control.value; });
+        return control.checked ? values.concat(control.value) : values;
+      }
+      if (control.type === "radio") return control.checked ? control.value : current;
+      if (control.type === "select-multiple") {
+        return Array.prototype.filter.call(control.options, function (option) { return option.selected; }).map(function (option) { return option.value; });
+      }
+      if (control.type === "number" || control.type === "range") return control.value === "" ? null : Number(control.value);
+      return control.value;
+    },
+
+    /**
+     * Shows a value in a form control; the reverse of readControlValue.
+     * @param {Element} control - The input, select or textarea.
+     * @param {*} value - The value.
+     */
+    writeControlValue: function (control, value) {
+      if (control.type === "checkbox") {
+        control.checked = Array.isArray(value) ? value.indexOf(control.value) > -1 : typeof value === "string" ? value === control.value : !!value;
+      } else if (control.type === "radio") {
+        control.checked = value !== undefined && value !== null && String(value) === control.value;
+      } else if (control.type === "select-multiple") {
+        Array.prototype.forEach.call(control.options, function (option) {
+          option.selected = Array.isArray(value) && value.map(String).indexOf(option.value) > -1;
+        });
+      } else {
+        var text = value === undefined || value === null ? "" : String(value);
+        // Only assign changes, so that typing is not disturbed.
+        if (control.value !== text) control.value = text;
+      }
+    },
+
+    /**
+     * Checks a value against validation rules. Used by validateForm.
+     * @param {*} value - The value.
+     * @param {Function|Object|Object[]} rules - Rules, see validateForm.
+     * @param {Object} values - All values of the form.
+     * @returns {string|undefined} The error message of the first rule that fails.
+     */
+    checkFieldRules: function (value, rules, values) {
+      var isEmpty = value === undefined || value === null || value === "" || value === false || (Array.isArray(value) && !value.length);
+      var length = typeof value === "string" || Array.isArray(value) ? value.length : undefined;
+      var message;
+      [].concat(rules || []).some(function (rule) {
+        if (typeof rule === "function") {
+          message = rule(value, values) || undefined;
+        } else if (rule.required && isEmpty) {
+          message = rule.message || "This field is required";
+        } else if (!isEmpty && rule.min !== undefined && Number(value) < rule.min) {
+          message = rule.message || "Must be at least " + rule.min;
+        } else if (!isEmpty && rule.max !== undefined && Number(value) > rule.max) {
+          message = rule.message || "Must be at most " + rule.max;
+        } else if (!isEmpty && rule.minLength !== undefined && length < rule.minLength) {
+          message = rule.message || "Must be at least " + rule.minLength + " characters";
+        } else if (!isEmpty && rule.maxLength !== undefined && length > rule.maxLength) {
+          message = rule.message || "Must be at most " + rule.maxLength + " characters";
+        } else if (!isEmpty && rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+          message = rule.message || "Invalid format";
+        } else if (typeof rule.validate === "function") {
+          var result = rule.validate(value, values);
+          message = result === false ? rule.message || "Invalid value" : typeof result === "string" ? result : undefined;
+        }
+        return !!message;
+      });
+      return message;
+    },
+
+    /**
+     * Runs the mount or unmount hooks of an element and its descendants, once per attachment.
+     * @param {Node} node - The root of the subtree that was added or removed.
+     * @param {boolean} mounted - True when the subtree was added to the document.
+     */
+    runLifecycleHooks: function (node, mounted) {
+      // Nodes that were moved have been re-attached by the time the observer runs, so they are skipped.
+      if (!this.isElement(node) || this.isConnected(node) !== mounted) return;
+      this.walk(node, function (element) {
+        if (!!element._mounted === mounted) return;
+        element._mounted = mounted;
+        ((mounted ? element._onMount : element._onUnmount) || []).forEach(function (hook) { hook.call(element, element); });
+      });
+      if (!mounted && self.options.autoDispose) self.dispose(node);
+    },
+
+    /**
+     * Starts the MutationObserver that drives onMount/onUnmount hooks and autoDispose, if the
+     * environment has one and it is not already running.
+     */
+    observeLifecycle: function () {
+      if (self._lifecycleObserver || self.document.isVirtual || typeof MutationObserver !== "function") return;
+      self._lifecycleObserver = new MutationObserver(function (mutations) {
+        mutations.forEach(function (mutation) {
+          Array.prototype.forEach.call(mutation.removedNodes, function (node) { self.util.runLifecycleHooks(node, false); });
+          Array.prototype.forEach.call(mutation.addedNodes, function (node) { self.util.runLifecycleHooks(node, true); });
+        });
+      });
+      self._lifecycleObserver.observe(self.document, { childList: true, subtree: true });
+    },
+
+    /**
+     * Adds the Elementool element methods (appendTo, setStyles, setAttributes, setContent and render)
+     * to an existing element.
+     * @param {Element} element - The Element to decorate.
+     * @returns {Element} The same Element.
+     */
+    decorateElement: function (element) {
+      element.appendTo = function (intendedParentElement) {
+        if (typeof intendedParentElement === "object" && typeof intendedParentElement.tagName === "string") {
+          intendedParentElement.appendChild(this);
+        }
+        return this;
+      };
+
+      element.onMount = function (hook) {
+        self.onMount(this, hook);
+        return this;
+      };
+
+      element.onUnmount = function (hook) {
+        self.onUnmount(this, hook);
+        return this;
+      };
+
+      element.setStyles = function (styleObject) {
+        self.util.applyStylesToElement(this, styleObject);
+        return this;
+      };
+
+      element.setAttributes = function (attributesObject) {
+        self.util.setAttributesOnElement(this, attributesObject);
+        return this;
+      };
+
+      element.setContent = function (content) {
+        if (typeof content === "function") {
+          self.util.registerDynamicElement(this);
+          this._dynamicContent = content;
+          self.util.setTextContent(this, self.util.evaluateDynamicValue(this, content));
+        } else {
+          self.util.setTextContent(this, content);
+        }
+        return this;
+      };
+
+      element.render = function (options) {
+        // Dependencies on signals are collected afresh each time the dynamic values are evaluated.
+        if (this._reactiveDependent) self.util.clearDependencies(this._reactiveDependent);
+        if (typeof this._dynamicContent === "function") {
+          self.util.setTextContent(this, self.util.evaluateDynamicValue(this, this._dynamicContent));
+        }
+        if (this._dynamicStyles) {
+          self.util.applyStylesToElement(this, this._dynamicStyles);
+        }
+        if (this._dynamicAttributes) {
+          self.util.setAttributesOnElement(this, this._dynamicAttributes);
+        }
+        if (this._dynamicTextNodes) {
+          this._dynamicTextNodes.forEach(function (entry) {
+            entry.node.data = String(self.util.evaluateDynamicValue(this, entry.value));
+          }, this);
+        }
+        if (options && options.deep) {
+          var root = this;
+          self.util.walkRenderScope(this, function (descendant) {
+            if (descendant !== root && typeof descendant.render === "function") descendant.render();
+          });
+        }
+        return this;
+      }
+
+      return element;
+    },
+
+    /**
+     * Adds the SVG-specific element methods (moveElementBehind and animate) to an existing SVG element.
+     * @param {Element} svgElement - The SVG Element to decorate.
+     * @returns {Element} The same SVG Element.
+     */
+    decorateSvgElement: function (svgElement) {
+      svgElement.moveElementBehind = self.svgHelpers.moveElementBehind;
+      svgElement.animate = function (attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode, optionalOptions) {
+        return self.svgHelpers.animate(this, attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode, optionalOptions);
+      };
+      svgElement.isSvg = true;
+      return svgElement;
+    },
+
+    /**
+     * Hydrates an existing element against an objectToElement-style definition, then recurses into
+     * the definition's content. Used by hydrate().
+     * @param {Element} element - The existing Element.
+     * @param {Object} definition - The definition the Element was rendered from.
+     * @param {string} path - The path of the definition from the root definition, e.g. 'content[0]'.
+     * @param {Object[]} mismatches - The list mismatches are reported to.
+     */
+    hydrateElement: function (element, definition, path, mismatches) {
+      var util = this;
+      var namespaces = {
+        make: "http://www.w3.org/1999/xhtml",
+        draw: "http://www.w3.org/2000/svg",
+        math: "http://www.w3.org/1998/Math/MathML"
+      };
+
+      function report(message, expected, actual, subPath) {
+        mismatches.push({ path: subPath === undefined ? path : subPath, message: message, expected: expected, actual: actual });
+      }
+
+      function readStyle(target, property) {
+        if (/^--/.test(property)) return target.style.getPropertyValue(property);
+        var jsNotationProperty = property.replace(/-./g, function (match) { return match.charAt(1).toUpperCase(); });
+        return target.style[jsNotationProperty] || "";
+      }
+
+      var kind = ["make", "draw", "math"].filter(function (k) { return definition && typeof definition[k] === "string"; })[0];
+      if (!kind) {
+        report("Definition has no make, draw or math selector", undefined, definition);
+        return;
+      }
+      if (!this.isElement(element)) {
+        report("No element found for '" + definition[kind] + "'", definition[kind], element);
+        return;
+      }
+
+      var components = this.selectorToComponents(this.resolveRelativeElement(definition[kind]).elementDefinition);
+      if (this.findTemplate(components)) {
+        report("Elements created from templates cannot be hydrated", components.tagName, element.localName);
+        return;
+      }
+
+      var namespace = element.namespaceURI || namespaces.make;
+      if (element.localName.toLowerCase() !== components.tagName.toLowerCase() || namespace !== (components.namespace || namespaces[kind])) {
+        report("Expected a <" + components.tagName + "> element", components.tagName, element.localName);
+      }
+      if (components.id && element.id !== components.id) {
+        report("Expected the id '" + components.id + "'", components.id, element.id);
+      }
+      components.classList.forEach(function (className) {
+        var classes = (element.getAttribute("class") || "").split(/\s+/);
+        if (classes.indexOf(className) < 0) {
+          report("Expected the class '" + className + "'", className, element.getAttribute("class"));
+        }
+      });
+
+      // Attributes from the selector and the attributes property; functions become dynamic again, and
+      // are evaluated as make does, so that they subscribe to the signals they read.
+      var attributes = {};
+      var attributeName;
+      for (attributeName in components.attributes) attributes[attributeName] = components.attributes[attributeName];
+      for (attributeName in definition.attributes || {}) attributes[attributeName] = definition.attributes[attributeName];
+      for (attributeName in attributes) {
+        if (typeof attributes[attributeName] === "function") {
+          this.registerDynamicElement(element);
+          element._dynamicAttributes = element._dynamicAttributes || {};
+          element._dynamicAttributes[attributeName] = attributes[attributeName];
+          attributes[attributeName] = this.evaluateDynamicValue(element, attributes[attributeName]);
+        }
+        var expected = attributes[attributeName] === false ? null : attributes[attributeName] === true ? "" : String(attributes[attributeName]);
+        if (expected === null && element.hasAttribute(attributeName)) {
+          report("Expected no " + attributeName + " attribute", null, element.getAttribute(attributeName));
+        } else if (expected !== null && element.getAttribute(attributeName) !== expected) {
+          report("Expected the attribute " + attributeName + '="' + expected + '"', expected, element.getAttribute(attributeName));
+        }
+      }
+
+      // Styles, including the values of dynamic ones, are compared after being normalised by a scratch
+      // element, e.g. 0 => "0px".
+      // Classes from css() are expected in the class list.
+      var expectedStyles = {};
+      var property;
+      [].concat(definition.styles || []).forEach(function (styles) {
+        if (styles.$isStyle) {
+          if (!element.classList.contains(styles.className)) {
+            report("Expected the class '" + styles.className + "'", styles.className, element.getAttribute("class"));
+          }
+          return;
+        }
+        for (property in styles) {
+          if (typeof styles[property] === "function") {
+            util.registerDynamicElement(element);
+            element._dynamicStyles = element._dynamicStyles || {};
+            element._dynamicStyles[property] = styles[property];
+            expectedStyles[property] = util.evaluateDynamicValue(element, styles[property]);
+          } else {
+            expectedStyles[property] = styles[property];
+          }
+        }
+      });
+      var probe = self.document.createElement("div");
+      this.applyStylesToElement(probe, expectedStyles);
+      for (property in expectedStyles) {
+        if (readStyle(probe, property) !== readStyle(element, property)) {
+          report("Expected the style " + property + ": " + expectedStyles[property], readStyle(probe, property), readStyle(element, property));
+        }
+      }
+
+      // Content: text is compared, functions become dynamic content and definitions are hydrated.
+      var content = definition.content;
+      if (typeof content === "function") {
+        this.registerDynamicElement(element);
+        element._dynamicContent = content;
+        var value = this.evaluateDynamicValue(element, content);
+        if ((typeof value === "string" || typeof value === "number") && element.textContent !== String(value)) {
+          report("Expected the text '" + value + "'", String(value), element.textContent);
+        }
+      } else if (typeof content === "string") {
+        if (element.textContent !== content) {
+          report("Expected the text '" + content + "'", content, element.textContent);
+        }
+      } else if (content && typeof content === "object") {
+        var isList = typeof content.push === "function";
+        var childDefinitions = isList ? content : [content];
+        var childElements = Array.prototype.filter.call(element.childNodes, function (node) { return node.nodeType === 1; });
+        var prefix = path ? path + "." : "";
+        // Text in the content is not matched against text nodes, so only elements are paired up.
+        var elementDefinitionCount = 0;
+        childDefinitions.forEach(function (childDefinition, index) {
+          if (typeof childDefinition === "string") return;
+          var childPath = prefix + (isList ? "content[" + index + "]" : "content");
+          var childElement = childElements[elementDefinitionCount++];
+          if (util.isElement(childDefinition)) {
+            report("Elements in a definition cannot be hydrated", childDefinition.localName, childElement && childElement.localName, childPath);
+          } else {
+            util.hydrateElement(childElement, childDefinition, childPath, mismatches);
+          }
+        });
+        if (childElements.length > elementDefinitionCount) {
+          report("Expected " + elementDefinitionCount + " child elements", elementDefinitionCount, childElements.length);
+        }
+      }
+
+      this.addEventListeners(element, definition.listeners);
+      this.decorateElement(element);
+      if (kind === "draw") this.decorateSvgElement(element);
+    },
+
+    /**
+     * Finds the longest strictly increasing subsequence of a list of numbers.
+     * @param {number[]} sequence - The numbers.
+     * @returns {number[]} The positions (in the input) of the numbers in the subsequence.
+     */
+    longestIncreasingSubsequence: function (sequence) {
+      var tails = [];
+      var previous = [];
+      for (var i = 0; i < sequence.length; i++) {
+        var low = 0, high = tails.length;
+        while (low < high) {
+          var middle = (low + high) >> 1;
+          if (sequence[tails[middle]] < sequence[i]) {
+            low = middle + 1;
+          } else {
+            high = middle;
+          }
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+      }
+      var result = [];
+      for (var position = tails[tails.length - 1]; tails.length && position !== -1; position = previous[position]) {
+        result.unshift(position);
+      }
+      return result;
+    },
+
+    /**
+     * Builds an element from an objectToElement definition. Unlike objectToElement, errors are thrown.
+     * @param {Object} obj - The definition.
+     * @returns {Element} The created Element.
+     */
+    definitionToElement: function (obj) {
+      var kind = ["make", "draw", "math"].filter(function (k) { return typeof obj[k] === "string"; })[0];
+      if (!kind) return undefined;
+      var newElement;
+      if (obj.props || obj.slots) {
+        // Props and slots given as objects only apply to templates.
+        var components = this.selectorToComponents(this.resolveRelativeElement(obj[kind]).elementDefinition);
+        var template = this.findTemplate(components);
+        if (!template || template.legacy) throw new Error("props and slots can only be given to templates");
+        newElement = this.make(obj[kind], obj.content, obj.styles, undefined, obj.listeners, { props: obj.props, slots: obj.slots });
+      } else {
+        newElement = self[kind](obj[kind], obj.content, obj.styles, obj.listeners);
+      }
+      if (newElement && newElement.$isCollection) {
+        throw new Error("Abbreviations in definitions must create a single element");
+      }
+      if(obj.attributes) newElement.setAttributes(obj.attributes);
+      return newElement;
+    },
+
+    /**
+     * Checks a definition and its content, adding any problems to the given list. Used by validate().
+     * @param {*} definition - The definition to check.
+     * @param {string} path - The path of the definition from the root definition, e.g. 'content[0]'.
+     * @param {Object[]} errors - The list problems are added to.
+     */
+    validateDefinition: function (definition, path, errors) {
+      var util = this;
+      var knownProperties = ["make", "draw", "math", "content", "styles", "attributes", "listeners", "props", "slots"];
+      var win = typeof window !== "undefined" ? window : undefined;
+
+      function join(key) {
+        return typeof key === "number" ? path + "[" + key + "]" : (path ? path + "." : "") + key;
+      }
+
+      function report(subPath, message) {
+        errors.push({ path: subPath, message: message });
+      }
+
+      function isObject(value) {
+        return !!value && typeof value === "object" && !Array.isArray(value);
+      }
+
+      function checkMap(map, mapPath, isValidValue, expected) {
+        if (map === undefined) return;
+        if (!isObject(map)) {
+          report(mapPath, "Expected an object");
+          return;
+        }
+        Object.keys(map).forEach(function (name) {
+          if (!isValidValue(map[name], name)) report(mapPath + "." + name, expected);
+        });
+      }
+
+      function checkStyles(styles, stylesPath) {
+        if (Array.isArray(styles)) {
+          styles.forEach(function (item, index) { checkStyles(item, stylesPath + "[" + index + "]"); });
+        } else if (!(styles && styles.$isStyle)) {
+          checkMap(styles, stylesPath, function (value) {
+            return typeof value === "string" || typeof value === "number" || typeof value === "function";
+          }, "Expected a string, a number or a function");
+          Object.keys(isObject(styles) ? styles : {}).forEach(function (property) {
+            util.unknownTokens(styles[property]).forEach(function (reference) {
+              report(stylesPath + "." + property, "Unknown design token '" + reference + "'");
+            });
+          });
+        }
+      }
+
+      if (!isObject(definition) || this.isElement(definition)) {
+        report(path, "Expected an element definition object");
+        return;
+      }
+
+      var kinds = ["make", "draw", "math"].filter(function (k) { return definition[k] !== undefined; });
+      if (!kinds.length) {
+        report(path, "Expected one of make, draw or math");
+      } else if (kinds.length > 1) {
+        report(path, "Only one of make, draw or math may be given");
+      } else if (typeof definition[kinds[0]] !== "string") {
+        report(join(kinds[0]), "Expected a selector string");
+      } else {
+        try {
+          var selector = definition[kinds[0]];
+          if (this.isAbbreviation(selector)) {
+            var roots = this.parseAbbreviation(selector);
+            if (roots.length !== 1 || roots[0].type !== "element" || roots[0].repeat > 1) {
+              report(join(kinds[0]), "Abbreviations in definitions must create a single element");
+            }
+          } else {
+            var components = this.selectorToComponents(this.resolveRelativeElement(selector).elementDefinition);
+            var template = this.findTemplate(components);
+            if (components.namespacePrefix && !components.namespace && !template) {
+              report(join(kinds[0]), "Unknown namespace prefix '" + components.namespacePrefix + "'");
+            }
+          }
+        } catch (e) {
+          report(join(kinds[0]), e.message);
+        }
+      }
+
+      Object.keys(definition).forEach(function (key) {
+        if (knownProperties.indexOf(key) < 0) report(join(key), "Unknown property '" + key + "'");
+      });
+
+      function checkContent(content, contentPath) {
+        if (Array.isArray(content)) {
+          content.forEach(function (item, index) {
+            if (typeof item !== "string" && !util.isElement(item)) util.validateDefinition(item, contentPath + "[" + index + "]", errors);
+          });
+        } else if (isObject(content) && !util.isElement(content)) {
+          util.validateDefinition(content, contentPath, errors);
+        } else if (content !== undefined && typeof content !== "string" && typeof content !== "function" && !util.isElement(content)) {
+          report(contentPath, "Expected a string, a function, an element, a definition or an array");
+        }
+      }
+
+      checkContent(definition.content, join("content"));
+
+      // Props and slots given as objects are checked against the template's declarations.
+      if (definition.props !== undefined || definition.slots !== undefined) {
+        if (!template || template.legacy) {
+          report(join(definition.props !== undefined ? "props" : "slots"), "props and slots can only be given to templates");
+        } else {
+          if (definition.props !== undefined && !isObject(definition.props)) {
+            report(join("props"), "Expected an object");
+          } else {
+            var propErrors = [];
+            this.resolveTemplateProps(template, this.splitTemplateAttributes(template, components.attributes).props, definition.props, propErrors);
+            propErrors.forEach(function (e) {
+              report(definition.props && definition.props.hasOwnProperty(e.prop) ? join("props") + "." + e.prop : join("props"), e.message);
+            });
+          }
+          if (definition.slots !== undefined && !isObject(definition.slots)) {
+            report(join("slots"), "Expected an object");
+          } else {
+            Object.keys(definition.slots || {}).forEach(function (name) {
+              if (template.slots && name !== "default" && template.slots.indexOf(name) < 0) {
+                report(join("slots") + "." + name, "Template '" + template.name + "' has no slot '" + name + "'");
+              } else {
+                checkContent(definition.slots[name], join("slots") + "." + name);
+              }
+            });
           }
+        }
+      }
 
-          // Check if the property is a CSS custom property (e.g. '--col')
-          var customPropertyRegex = /^--/;
-          if (customPropertyRegex.test(property)) {
-            // Apply the CSS custom property using setProperty method
-            element.style.setProperty(property, value);
+      checkStyles(definition.styles, join("styles"));
+      checkMap(definition.attributes, join("attributes"), function (value) {
+        return typeof value === "string" || typeof value === "number" || typeof value === "boolean" || typeof value === "function";
+      }, "Expected a string, a number, a boolean or a function");
+      checkMap(definition.listeners, join("listeners"), function (value) {
+        if (isObject(value) && Object.keys(value).some(function (key) { return ["handler", "once", "passive", "capture"].indexOf(key) < 0; })) return false;
+        if (util.resolveListener(value)) return true;
+        // Without a window, names of global functions cannot be checked.
+        return typeof (isObject(value) ? value.handler : value) === "string" && !win;
+      }, "Expected a function, the name of a handler or global function, or { handler, once, passive, capture }");
+    },
+
+    /**
+     * Creates the error thrown by strict objectToElement calls.
+     * @param {Object[]} errors - The problems found by validate().
+     * @returns {Error} An error whose errors property holds the problems.
+     */
+    createValidationError: function (errors) {
+      var error = new Error("Invalid element definition:\n" + errors.map(function (e) {
+        return "  " + (e.path || "(root)") + ": " + e.message;
+      }).join("\n"));
+      error.name = "DefinitionError";
+      error.errors = errors;
+      return error;
+    },
+
+    /**
+     * Creates the template methods behind self.templates, for names relative to a prefix.
+     * @param {string} prefix - The namespace prefix, e.g. 'ui', or '' for the top level.
+     * @returns {Object} An object with define, add, remove, has, get, render, namespace and defineCustomElement
+     *   methods. They are not enumerable, so that the top-level object can also hold the templates
+     *   themselves as functions.
+     */
+    createTemplateRegistry: function (prefix) {
+      var util = this;
+
+      function fullName(name) {
+        if (typeof name !== "string" || !name) throw new TypeError("Template names must be non-empty strings");
+        return ((prefix ? prefix + ":" : "") + name).toLowerCase();
+      }
+
+      function register(canonicalName, template) {
+        self._templates[canonicalName] = template;
+        util.exposeTemplate(canonicalName, template);
+      }
+
+      var methods = {
+        define: function (name, template, optionalOptions) {
+          var canonicalName = fullName(name);
+          if (util.lookupTemplate(canonicalName) && !(optionalOptions && optionalOptions.override)) {
+            throw new Error("Template '" + canonicalName + "' is already defined; pass { override: true } to replace it");
+          }
+          register(canonicalName, util.normalizeTemplate(canonicalName, template));
+          return this;
+        },
+        add: function (templateName, templateFunction) {
+          var canonicalName = fullName(templateName);
+          if (util.lookupTemplate(canonicalName)) return false;
+          register(canonicalName, { name: canonicalName, render: templateFunction, legacy: true });
+          return true;
+        },
+        remove: function (name) {
+          var canonicalName = fullName(name);
+          var existed = !!util.lookupTemplate(canonicalName);
+          delete self._templates[canonicalName];
+          util.exposeTemplate(canonicalName, undefined);
+          return existed;
+        },
+        has: function (name) {
+          return !!util.lookupTemplate(fullName(name));
+        },
+        get: function (name) {
+          return util.lookupTemplate(fullName(name));
+        },
+        render: function (name, props, slots) {
+          var template = util.lookupTemplate(fullName(name));
+          if (!template) throw new Error("Unknown template '" + fullName(name) + "'");
+          return util.instantiateTemplate(template, undefined, undefined, undefined, undefined, { props: props, slots: slots });
+        },
+        namespace: function (namespacePrefix) {
+          return util.createTemplateRegistry(fullName(namespacePrefix));
+        },
+        defineCustomElement: function (elementName, template, optionalOptions) {
+          if (typeof template === "string") {
+            var templateName = fullName(template);
+            template = util.lookupTemplate(templateName);
+            if (!template) throw new Error("Unknown template '" + templateName + "'");
+            if (template.legacy) throw new TypeError("Template '" + templateName + "' was added with add and has no props or slots");
           } else {
-            // Check if the property is in CSS notation (e.g. 'margin-left')
-            var cssNotationRegex = /-./g;
-            if (cssNotationRegex.test(property)) {
-              // Convert the property from CSS notation to JS notation (e.g. 'marginLeft')
-              var jsNotationProperty = property.replace(cssNotationRegex, function (match) {
-                return match.charAt(1).toUpperCase();
-              });
+            template = util.normalizeTemplate(elementName, template);
+          }
+          return util.defineTemplateElement(elementName, template, optionalOptions);
+        }
+      };
+      var registry = {};
+      Object.keys(methods).forEach(function (name) {
+        Object.defineProperty(registry, name, { value: methods[name], writable: true, configurable: true, enumerable: false });
+      });
+      return registry;
+    },
 
-              // Apply the style to the element using JS notation
-              element.style[jsNotationProperty] = value;
-            } else {
-              // Apply the style to the element using the given JS notation
-              element.style[property] = value;
-            }
+    /**
+     * Sets or deletes the function self.templates holds for a template, which is called with the rest
+     * of the selector, content, styles and listeners. Names of the registry's own methods are skipped.
+     * @param {string} canonicalName - The full, lower-case name.
+     * @param {Object|undefined} template - The template, or undefined to delete the function.
+     */
+    exposeTemplate: function (canonicalName, template) {
+      var templates = self.templates;
+      if (!templates || (Object.prototype.hasOwnProperty.call(templates, canonicalName) &&
+          !Object.prototype.propertyIsEnumerable.call(templates, canonicalName))) return;
+      if (!template) {
+        delete templates[canonicalName];
+        return;
+      }
+      template.exposed = template.legacy ? template.render : function (restOfSelector, content, styles, eventListeners) {
+        return self.util.make(canonicalName + (restOfSelector || ""), content, styles, undefined, eventListeners);
+      };
+      templates[canonicalName] = template.exposed;
+    },
+
+    /**
+     * Returns whether a prefix is the namespace of a template, as 'ui' is for 'ui:card'.
+     * @param {string} prefix - The prefix.
+     * @returns {boolean}
+     */
+    isTemplateNamespace: function (prefix) {
+      var start = prefix.toLowerCase() + ":";
+      var names = Object.keys(self._templates).concat(self.templates ? Object.keys(self.templates) : []);
+      return names.some(function (name) { return name.indexOf(start) === 0; });
+    },
+
+    /**
+     * Looks a template up by its full name. A function assigned to self.templates directly (as in
+     * el.templates.card = function (restOfSelector, content, styles, listeners) {...}) takes
+     * precedence, and is used like one registered with add.
+     * @param {string} canonicalName - The full, lower-case name.
+     * @returns {Object|undefined} The template, if there is one.
+     */
+    lookupTemplate: function (canonicalName) {
+      var template = self._templates[canonicalName];
+      var templates = self.templates;
+      var assigned = templates && Object.prototype.propertyIsEnumerable.call(templates, canonicalName) ? templates[canonicalName] : undefined;
+      if (typeof assigned === "function" && !(template && template.exposed === assigned)) {
+        return { name: canonicalName, render: assigned, legacy: true, exposed: assigned };
+      }
+      return template;
+    },
+
+    /**
+     * Checks a template given to templates.define and brings it into one shape.
+     * @param {string} name - The full name of the template.
+     * @param {Function|Object} template - A render function, or an object with render, props and slots.
+     * @returns {Object} The template, with name, render, props ({ name: { type, default, required } }) and slots.
+     */
+    normalizeTemplate: function (name, template) {
+      var types = ["string", "number", "boolean", "object", "array", "function", "element", "any"];
+      if (typeof template === "function") template = { render: template };
+      if (!template || typeof template.render !== "function") {
+        throw new TypeError("Template '" + name + "' needs a render function");
+      }
+      var props = {};
+      Object.keys(template.props || {}).forEach(function (propName) {
+        var prop = template.props[propName];
+        prop = typeof prop === "string" ? { type: prop } : prop || {};
+        if (prop.type !== undefined && types.indexOf(prop.type) < 0) {
+          throw new TypeError("Template '" + name + "': unknown type '" + prop.type + "' for prop '" + propName + "'");
+        }
+        props[propName] = { type: prop.type || "any", "default": prop["default"], required: !!prop.required };
+      });
+      return {
+        name: name,
+        render: template.render,
+        props: template.props ? props : undefined,
+        slots: template.slots ? template.slots.slice() : undefined
+      };
+    },
+
+    /**
+     * Finds the template a selector's tag name refers to.
+     * @param {Object} components - The result of selectorToComponents.
+     * @returns {Object|undefined} The template, if there is one.
+     */
+    findTemplate: function (components) {
+      if (typeof components.tagName !== "string") return undefined;
+      var name = (components.namespacePrefix ? components.namespacePrefix + ":" : "") + components.tagName;
+      return this.lookupTemplate(name.toLowerCase());
+    },
+
+    /**
+     * Checks the props given to a template and fills in defaults.
+     * @param {Object} template - The template.
+     * @param {Object} attributeValues - Props read from attributes, as strings to be converted to the props' types.
+     * @param {Object} values - Props given as values; these take precedence.
+     * @param {Object[]} errors - The list problems are added to, each with a prop and a message.
+     * @returns {Object} The props to render with.
+     */
+    resolveTemplateProps: function (template, attributeValues, values, errors) {
+      var util = this;
+      var props = {};
+      attributeValues = attributeValues || {};
+      values = values || {};
+      if (!template.props) {
+        [attributeValues, values].forEach(function (source) {
+          Object.keys(source).forEach(function (name) { props[name] = source[name]; });
+        });
+        return props;
+      }
+
+      function typeOf(value) {
+        if (Array.isArray(value)) return "array";
+        if (util.isElement(value)) return "element";
+        return value === null ? "null" : typeof value;
+      }
+
+      function fromAttribute(name, type, value) {
+        if (type === "number") {
+          var number = Number(value);
+          if (value.trim() === "" || isNaN(number)) throw new TypeError("expected a number but got '" + value + "'");
+          return number;
+        }
+        if (type === "boolean") {
+          if (value === "false") return false;
+          if (value === "" || value === "true" || value.toLowerCase() === name.toLowerCase()) return true;
+          throw new TypeError("expected a boolean but got '" + value + "'");
+        }
+        if (type === "object" || type === "array") {
+          try {
+            return JSON.parse(value);
+          } catch (e) {
+            throw new TypeError("expected JSON but got '" + value + "'");
           }
         }
+        return value;
       }
+
+      Object.keys(values).forEach(function (name) {
+        if (!template.props.hasOwnProperty(name)) {
+          errors.push({ prop: name, message: "Unknown prop '" + name + "'" });
+        }
+      });
+
+      Object.keys(template.props).forEach(function (name) {
+        var prop = template.props[name];
+        var value = values[name];
+        if (value === undefined && attributeValues[name] !== undefined) {
+          try {
+            value = fromAttribute(name, prop.type, String(attributeValues[name]));
+          } catch (e) {
+            errors.push({ prop: name, message: "Prop '" + name + "' " + e.message });
+            return;
+          }
+        }
+        if (value === undefined) {
+          value = typeof prop["default"] === "function" && prop.type !== "function" ? prop["default"]() : prop["default"];
+        }
+        if (value === undefined) {
+          if (prop.required) errors.push({ prop: name, message: "Missing required prop '" + name + "'" });
+        } else if (prop.type !== "any" && typeOf(value) !== prop.type) {
+          errors.push({ prop: name, message: "Prop '" + name + "' expected a " + prop.type + " but got " + (/^[aeiou]/.test(typeOf(value)) ? "an " : "a ") + typeOf(value) });
+        }
+        props[name] = value;
+      });
+      return props;
     },
 
     /**
-     * Applies an object of attributes to an element
-     * @param {*} element 
-     * @param {*} attributes 
+     * Separates the attributes of a template's selector into declared props (max-count sets maxCount)
+     * and attributes for the root element.
+     * @param {Object} template - The template.
+     * @param {Object} attributes - The attributes from selectorToComponents.
+     * @returns {Object} An object with props and attributes.
      */
-    setAttributesOnElement: function (element, attributesObject) {
-      var attributes = {};
-      for(var k in attributesObject){
-        attributes[k] = attributesObject[k];
+    splitTemplateAttributes: function (template, attributes) {
+      var result = { props: {}, attributes: {} };
+      Object.keys(attributes).forEach(function (attribute) {
+        var propName = attribute.replace(/-./g, function (match) { return match.charAt(1).toUpperCase(); });
+        if (template.props && template.props.hasOwnProperty(propName)) {
+          result.props[propName] = attributes[attribute];
+        } else {
+          result.attributes[attribute] = attributes[attribute];
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Sorts a template's children into its slots.
+     * @param {Object} template - The template.
+     * @param {*} content - The content given to make: children with a slot attribute go to that named slot.
+     * @param {Object} namedSlots - Slots given by name, e.g. { footer: [...] }; content for the default slot.
+     * @returns {Object} The slots, each an array of nodes and strings.
+     */
+    distributeSlots: function (template, content, namedSlots) {
+      var util = this;
+      var slots = { "default": [] };
+      (template.slots || []).forEach(function (name) { slots[name] = []; });
+
+      function fill(slotName, items, fromContent) {
+        (Array.isArray(items) ? items : items === undefined || items === null ? [] : [items]).forEach(function (item) {
+          if (item && typeof item === "object" && !util.isElement(item) && (item.make || item.draw || item.math)) {
+            item = self.objectToElement(item);
+          }
+          var name = slotName;
+          if (fromContent && util.isElement(item) && item.hasAttribute("slot")) {
+            name = item.getAttribute("slot");
+            item.removeAttribute("slot");
+          }
+          if (!slots[name]) {
+            if (template.slots) throw new Error("Template '" + template.name + "' has no slot '" + name + "'");
+            slots[name] = [];
+          }
+          if (item !== undefined && item !== null) slots[name].push(item);
+        });
       }
-      for (var attr in attributes) {
-        if (typeof attributes[attr] === "function") {
-          if(self.elementsWithDynamicValues.indexOf(element) < 0) self.elementsWithDynamicValues.push(element);
-          element._dynamicAttributes = element._dynamicAttributes || {};
-          element._dynamicAttributes[attr] = attributes[attr];
-          attributes[attr] = attributes[attr]();
+
+      fill("default", content, true);
+      Object.keys(namedSlots || {}).forEach(function (name) { fill(name, namedSlots[name], false); });
+      return slots;
+    },
+
+    /**
+     * Creates an instance of a template. Used by make, objectToElement and templates.render.
+     * @param {Object} template - The template.
+     * @param {Object} components - The result of selectorToComponents for the template's selector, if any.
+     * @param {*} content - The children, sorted into slots.
+     * @param {Object} styles - Styles for the root element.
+     * @param {Object} eventListeners - Event listeners for the root element.
+     * @param {Object} templateData - Props and slots given as objects: { props, slots }.
+     * @returns {Element|*} The root element returned by the template's render function.
+     */
+    instantiateTemplate: function (template, components, content, styles, eventListeners, templateData) {
+      components = components || { classList: [], attributes: {} };
+      templateData = templateData || {};
+      var errors = [];
+
+      // Declared props are read from the selector's attributes; other attributes go to the root element.
+      var split = this.splitTemplateAttributes(template, components.attributes);
+      var props = this.resolveTemplateProps(template, split.props, templateData.props, errors);
+      if (errors.length) {
+        throw new TypeError("Template '" + template.name + "': " + errors.map(function (e) { return e.message; }).join(", "));
+      }
+
+      var root = template.render(props, this.distributeSlots(template, content, templateData.slots), self);
+      if (!this.isElement(root)) return root;
+
+      if (components.id) root.id = components.id;
+      components.classList.forEach(function (className) {
+        if (root.classList) {
+          root.classList.add(className);
+        } else {
+          root.setAttribute("class", (root.getAttribute("class") || "").split(" ").filter(function (a) { return !!a; }).concat(className).join(" "));
         }
-        if (window.SVGElement && element instanceof SVGElement) {
-          element.setAttributeNS(null, attr, attributes[attr]);
-        } else if (!window.SVGElement && element.isSvg) {
-          element.setAttributeNS(null, attr, attributes[attr]);
-        } else if (window.MathMLElement && element instanceof window.MathMLElement) {
-          element.setAttributeNS(attr, attributes[attr]);
+      });
+      this.setAttributesOnElement(root, split.attributes);
+      if (styles) this.applyStylesToElement(root, styles);
+      this.addEventListeners(root, eventListeners);
+      root._template = { name: template.name, props: props };
+
+      this.decorateElement(root);
+      if (root.namespaceURI === "http://www.w3.org/2000/svg") this.decorateSvgElement(root);
+      return root;
+    },
+
+    /**
+     * Defines a custom element that renders a template. Used by templates.defineCustomElement.
+     * The template is rendered when the element is connected and disposed when it is disconnected.
+     * @param {string} name - The custom element name, e.g. 'ui-card'.
+     * @param {Object} template - The template.
+     * @param {Object} options - { shadow: true | 'open' | 'closed', extends: 'button' } (extends makes
+     *   a customized built-in element, used as <button is="ui-button">).
+     * @returns {Function} The custom element class.
+     */
+    defineTemplateElement: function (name, template, options) {
+      var util = this;
+      var win = self.document.defaultView || (typeof window !== "undefined" ? window : undefined);
+      if (!win || !win.customElements || typeof Reflect === "undefined") {
+        throw new Error("Custom elements are not supported in this environment");
+      }
+      options = options || {};
+      var shadowMode = options.shadow === true ? "open" : options.shadow;
+      var propNames = Object.keys(template.props || {});
+
+      // Customized built-ins must extend the built-in element's own class, e.g. HTMLButtonElement.
+      var BaseElement = win.HTMLElement;
+      if (options["extends"]) {
+        BaseElement = self.document.createElement(options["extends"]).constructor;
+        if (BaseElement === win.HTMLElement || BaseElement === win.HTMLUnknownElement) {
+          throw new Error("Cannot extend '" + options["extends"] + "': it is not a built-in element");
+        }
+      }
+
+      function toAttributeName(propName) {
+        return propName.replace(/[A-Z]/g, function (match) { return "-" + match.toLowerCase(); });
+      }
+
+      // Renders the template into the element, replacing what an earlier render left there.
+      function renderHost(host) {
+        var attributes = {};
+        Array.prototype.forEach.call(host.attributes, function (attribute) { attributes[attribute.name] = attribute.value; });
+        var errors = [];
+        var props = util.resolveTemplateProps(template, util.splitTemplateAttributes(template, attributes).props, host._propValues, errors);
+        if (errors.length) {
+          throw new TypeError("<" + name + ">: " + errors.map(function (e) { return e.message; }).join(", "));
+        }
+
+        var slots;
+        if (host._templateContainer !== host) {
+          // Shadow DOM distributes the children itself; the template places <slot> elements.
+          slots = { "default": [self.document.createElement("slot")] };
+          (template.slots || []).forEach(function (slotName) {
+            var slot = self.document.createElement("slot");
+            slot.setAttribute("name", slotName);
+            slots[slotName] = [slot];
+          });
         } else {
-          element.setAttribute(attr, attributes[attr]);
+          if (!host._slottedContent) {
+            host._slottedContent = Array.prototype.filter.call(host.childNodes, function (node) {
+              return node.nodeType === 1 || (node.nodeType === 3 && node.data.trim());
+            }).map(function (node) {
+              return node.nodeType === 3 ? node.data : node;
+            });
+            host._slots = util.distributeSlots(template, host._slottedContent);
+            while (host.firstChild) host.removeChild(host.firstChild);
+          }
+          slots = host._slots;
+        }
+
+        var result = template.render(props, slots, self);
+        var nodes = (Array.isArray(result) ? result : [result]).map(function (node) {
+          return typeof node === "string" ? self.document.createTextNode(node) : node;
+        }).filter(function (node) { return node && typeof node.nodeType === "number"; });
+
+        (host._templateNodes || []).forEach(function (node) {
+          if (node.parentNode) node.parentNode.removeChild(node);
+          self.dispose(node);
+        });
+        nodes.forEach(function (node) { host._templateContainer.appendChild(node); });
+        host._templateNodes = nodes;
+        host._template = { name: template.name, props: props };
+      }
+
+      function TemplateElement() {
+        var host = Reflect.construct(BaseElement, [], this.constructor);
+        host._propValues = {};
+        host._templateContainer = shadowMode ? host.attachShadow({ mode: shadowMode }) : host;
+        return host;
+      }
+      TemplateElement.prototype = Object.create(BaseElement.prototype);
+      TemplateElement.prototype.constructor = TemplateElement;
+      Object.setPrototypeOf(TemplateElement, BaseElement);
+
+      Object.defineProperty(TemplateElement, "observedAttributes", {
+        get: function () { return propNames.map(toAttributeName); }
+      });
+
+      // Errors thrown in custom element callbacks go uncaught, so they are reported as a templateerror
+      // event on the element (with the error as its detail), and to reportError unless it is cancelled.
+      function renderHostOrReport(host) {
+        try {
+          renderHost(host);
+        } catch (error) {
+          var event = new win.CustomEvent("templateerror", { bubbles: true, cancelable: true, detail: error });
+          if (host.dispatchEvent(event) && typeof win.reportError === "function") win.reportError(error);
+        }
+      }
+
+      TemplateElement.prototype.connectedCallback = function () {
+        if (!this._templateNodes) renderHostOrReport(this);
+      };
+
+      // The rendered template is disposed and removed, and rendered again if the element is reconnected.
+      TemplateElement.prototype.disconnectedCallback = function () {
+        var host = this;
+        (host._templateNodes || []).forEach(function (node) {
+          self.dispose(node);
+          if (node.parentNode === host._templateContainer) host._templateContainer.removeChild(node);
+        });
+        delete host._templateNodes;
+      };
+
+      TemplateElement.prototype.attributeChangedCallback = function (attributeName, oldValue, newValue) {
+        var propName = attributeName.replace(/-./g, function (match) { return match.charAt(1).toUpperCase(); });
+        // The latest of the attribute and the property wins.
+        delete this._propValues[propName];
+        if (this._templateNodes && oldValue !== newValue) renderHostOrReport(this);
+      };
+
+      /**
+       * Refreshes the dynamic content, styles and attributes inside the rendered template.
+       */
+      TemplateElement.prototype.render = function () {
+        (this._templateNodes || []).forEach(function (node) {
+          if (util.isElement(node)) self.render(node);
+        });
+        return this;
+      };
+
+      // Props can also be set as properties, including values that attributes cannot hold.
+      propNames.forEach(function (propName) {
+        Object.defineProperty(TemplateElement.prototype, propName, {
+          get: function () {
+            return this._template ? this._template.props[propName] : this._propValues[propName];
+          },
+          set: function (value) {
+            this._propValues[propName] = value;
+            if (this._templateNodes) renderHost(this);
+          }
+        });
+      });
+
+      win.customElements.define(name, TemplateElement, options["extends"] ? { "extends": options["extends"] } : undefined);
+      return TemplateElement;
+    },
+
+    /**
+     * Appends a new element to the parent or sibling from its selector, if there is one.
+     * @param {Element} element - The new element.
+     * @param {Object} elementInfo - The result of resolveRelativeElement.
+     */
+    placeElement: function (element, elementInfo) {
+      if (elementInfo.parentElement) {
+        var parent = self.document.querySelector(elementInfo.parentElement);
+        if (parent) {
+          parent.appendChild(element);
+        }
+      } else if (elementInfo.siblingElement) {
+        var sibling = self.document.querySelector(elementInfo.siblingElement);
+        if (sibling && sibling.parentNode) {
+          sibling.parentNode.insertBefore(element, sibling.nextSibling);
+        }
+      } else if (elementInfo.generalSiblingElement) {
+        var generalSibling = self.document.querySelector(elementInfo.generalSiblingElement);
+        if (generalSibling && generalSibling.parentNode) {
+          generalSibling.parentNode.appendChild(element);
         }
       }
     },
@@ -338,29 +5273,52 @@ function Elementool() {
      *                                                               an Element, or an array
      *                                                               of Elements.
      * @param {Object} styles - An object containing style assignments for the created element.
+     * @param {string} optionalNamespace - The namespace of the created element.
+     * @param {Object} optionalEventListeners - Event listeners for the created element.
+     * @param {Object} optionalTemplateData - Props and slots given as objects when the selector names a template.
      * @returns {Element} - The created Element.
      */
-    make: function (selector, content, styles, optionalNamespace, optionalEventListeners) {
+    make: function (selector, content, styles, optionalNamespace, optionalEventListeners, optionalTemplateData) {
+      // Emmet-style abbreviations build a whole subtree.
+      if (this.isAbbreviation(selector)) {
+        return this.expandAbbreviation(selector, content, styles, optionalNamespace, optionalEventListeners);
+      }
+
       // Get the element relationship information.
       var elementInfo = this.resolveRelativeElement(selector);
 
       // Get the component information for the element to be created.
       var components = this.selectorToComponents(elementInfo.elementDefinition);
 
-      if(typeof components.tagName === "string" && typeof self.templates[components.tagName.toLowerCase()] === "function"){
-        return self.templates[components.tagName.toLowerCase()](
-          typeof selector.substring === "function" ? selector.substring(components.tagName.length) : selector.substr(components.tagName.length),
+      var template = this.findTemplate(components);
+      if (template && template.legacy) {
+        var nameLength = components.tagName.length + (components.namespacePrefix ? components.namespacePrefix.length + 1 : 0);
+        return template.render(
+          typeof selector.substring === "function" ? selector.substring(nameLength) : selector.substr(nameLength),
           content,
           styles,
           optionalEventListeners
         );
       }
+      if (template) {
+        var templateRoot = this.instantiateTemplate(template, components, content, styles, optionalEventListeners, optionalTemplateData);
+        if (this.isElement(templateRoot)) this.placeElement(templateRoot, elementInfo);
+        return templateRoot;
+      }
+
+      // A namespace prefix on the tag name (e.g. 'svg:rect') takes precedence over the given namespace.
+      if (components.namespacePrefix && !components.namespace) {
+        throw new SyntaxError("Unknown namespace prefix '" + components.namespacePrefix + "' in selector '" + elementInfo.elementDefinition + "' (pseudo-classes are not supported)");
+      }
+      if (components.namespace) {
+        optionalNamespace = components.namespace;
+      }
 
       // Create the new element.
       var newElement = optionalNamespace ?
-        document.createElementNS(optionalNamespace, components.tagName)
+        self.document.createElementNS(optionalNamespace, components.tagName)
         :
-        document.createElement(components.tagName || "div");
+        self.document.createElement(components.tagName || "div");
 
       // Set the ID, if provided.
       if (components.id) {
@@ -383,126 +5341,48 @@ function Elementool() {
 
       // Set the content, if provided.
       if (typeof content === "string") {
-        if (newElement.hasOwnProperty && newElement.hasOwnProperty("textContent")) {
-          newElement.textContent = content;
-        } else {
-          newElement.innerText = content;
-        }
+        this.setTextContent(newElement, content);
       } else if (typeof content === "function") {
-        if(self.elementsWithDynamicValues.indexOf(newElement) < 0) self.elementsWithDynamicValues.push(newElement);
+        this.registerDynamicElement(newElement);
         newElement._dynamicContent = content;
-        if (newElement.hasOwnProperty && newElement.hasOwnProperty("textContent")) {
-          newElement.textContent = content();
-        } else {
-          newElement.innerText = content();
-        }
+        this.setTextContent(newElement, this.evaluateDynamicValue(newElement, content));
       } else if (typeof content === "object" && typeof content.tagName === "string") {
         newElement.appendChild(content);
       } else if (typeof content === "object" && content && (content.draw || content.make || content.math)) {
         var proposedContent = self.objectToElement(content);
-        if (proposedContent instanceof Element) {
+        if (self.util.isElement(proposedContent)) {
           newElement.appendChild(proposedContent);
         }
       } else if (typeof content === "object" && typeof content.push === "function") {
-        for (var contentIndex = 0; contentIndex < content.length; contentIndex++) {
-          var thisContent = content[contentIndex];
-          if (typeof thisContent === "object" && typeof thisContent.tagName === "string") {
-            newElement.appendChild(thisContent);
-          } else if (typeof thisContent === "object" && thisContent && (thisContent.draw || thisContent.make || thisContent.math)) {
-            var proposedContent = self.objectToElement(thisContent);
-            if (typeof proposedContent === "object" && typeof proposedContent.tagName === "string") {
-              newElement.appendChild(proposedContent);
-            }
-          }
-        };
-      }
-
-      // Apply the styles, if provided.
-      if (styles) {
-        this.applyStylesToElement(newElement, styles);
-      }
-
-      // Apply the event listeners, if provided.
-      if (optionalEventListeners) {
-        for (var event in optionalEventListeners) {
-          if (optionalEventListeners.hasOwnProperty ? optionalEventListeners.hasOwnProperty(event) : optionalEventListeners[event]) {
-            if (typeof optionalEventListeners[event] === "function") {
-              newElement.addEventListener(event, optionalEventListeners[event]);
-            } else if(typeof optionalEventListeners[event] === "string" && typeof window[optionalEventListeners[event]] === "function"){
-              newElement.addEventListener(event, window[optionalEventListeners[event]]);
-            }
-          }
-        }
-      }
-
-      // Append the new element to the specified parent or sibling element, if provided.
-      if (elementInfo.parentElement) {
-        var parent = document.querySelector(elementInfo.parentElement);
-        if (parent) {
-          parent.appendChild(newElement);
-        }
-      } else if (elementInfo.siblingElement) {
-        var sibling = document.querySelector(elementInfo.siblingElement);
-        if (sibling && sibling.parentNode) {
-          sibling.parentNode.insertBefore(newElement, sibling.nextSibling);
-        }
-      }
-
-      // Add the appendTo method to the new element.
-      newElement.appendTo = function (intendedParentElement) {
-        if (typeof intendedParentElement === "object" && typeof intendedParentElement.tagName === "string") {
-          intendedParentElement.appendChild(this);
-        }
-        return this;
-      };
-
-      newElement.setStyles = function (styleObject) {
-        self.util.applyStylesToElement(this, styleObject);
-        return this;
-      };
-
-      newElement.setAttributes = function (attributesObject) {
-        self.util.setAttributesOnElement(this, attributesObject);
-        return this;
-      };
-
-      newElement.setContent = function (content) {
-        if (typeof content === "function") {
-          if(self.elementsWithDynamicValues.indexOf(newElement) < 0) self.elementsWithDynamicValues.push(newElement);
-          this._dynamicContent = content;
-          if (this.hasOwnProperty && this.hasOwnProperty("textContent")) {
-            this.textContent = content();
-          } else {
-            this.innerText = content();
-          }
-        } else {
-          if (this.hasOwnProperty && this.hasOwnProperty("textContent")) {
-            this.textContent = content;
-          } else {
-            this.innerText = content;
+        for (var contentIndex = 0; contentIndex < content.length; contentIndex++) {
+          var thisContent = content[contentIndex];
+          if (typeof thisContent === "object" && typeof thisContent.tagName === "string") {
+            newElement.appendChild(thisContent);
+          } else if (typeof thisContent === "string") {
+            newElement.appendChild(self.document.createTextNode(thisContent));
+          } else if (typeof thisContent === "object" && thisContent && (thisContent.draw || thisContent.make || thisContent.math)) {
+            var proposedContent = self.objectToElement(thisContent);
+            if (typeof proposedContent === "object" && typeof proposedContent.tagName === "string") {
+              newElement.appendChild(proposedContent);
+            }
           }
-        }
-        return this;
-      };
+        };
+      }
 
-      newElement.render = function () {
-        if (typeof this._dynamicContent === "function") {
-          if (this.hasOwnProperty && this.hasOwnProperty("textContent")) {
-            this.textContent = this._dynamicContent();
-          } else {
-            this.innerText = this._dynamicContent();
-          }
-        }
-        if (this._dynamicStyles) {
-          self.util.applyStylesToElement(this, this._dynamicStyles);
-        }
-        if (this._dynamicAttributes) {
-          self.util.setAttributesOnElement(this, this._dynamicAttributes);
-        }
-        return this;
-        // TODO: Add ability to fire render against child elements
+      // Apply the styles, if provided.
+      if (styles) {
+        this.applyStylesToElement(newElement, styles);
       }
 
+      // Apply the event listeners, if provided.
+      this.addEventListeners(newElement, optionalEventListeners);
+
+      // Append the new element to the specified parent or sibling element, if provided.
+      this.placeElement(newElement, elementInfo);
+
+      // Add the Elementool methods (appendTo, setStyles, ...) to the new element.
+      this.decorateElement(newElement);
+
       // Return the new element.
       return newElement;
     }
@@ -510,6 +5390,158 @@ function Elementool() {
 
   };
 
+  // The document elements are created in: a custom one, the page's, or a virtual one outside the browser.
+  self.document = self.options.document || (typeof document !== "undefined" ? document : self.util.createVirtualDocument());
+
+  if (self.options.autoDispose) self.util.observeLifecycle();
+
+  /**
+   * The templates (components) of this instance. Each Elementool instance has its own templates,
+   * and names with a prefix ('ui:card') keep design systems apart.
+   *
+   * A template is a render function, or an object with:
+   * - render(props, slots, elementool): Returns the root element of an instance of the template.
+   * - props: The props the template takes, as { name: { type, default, required } } or { name: type }.
+   *   Types are 'string', 'number', 'boolean', 'object', 'array', 'function', 'element' and 'any'.
+   *   A function default is called for each instance, unless the prop is a function itself.
+   * - slots: The names of the template's named slots. Every template also has a default slot.
+   *
+   * Once defined, a template is used like a tag name: make('ui:card[title=Welcome].wide', children).
+   * Declared props are read from the selector's attributes (max-count sets maxCount, and strings
+   * are converted to the prop's type); other attributes, the id, classes, styles and listeners go
+   * to the root element. Children with a slot attribute fill that named slot, the rest the default
+   * slot. Slots are passed to render as arrays that can be used as content. In objectToElement
+   * definitions, props and slots can also be given as objects.
+   *
+   * el.templates also holds each template, by its full name, as a function of the rest of the
+   * selector, content, styles and listeners (el.templates.card('[title=Hi]')), and a function
+   * assigned to it (el.templates.badge = function (restOfSelector, content) {...}) is a template.
+   * The methods below are not enumerable.
+   *
+   * Methods:
+   * - define(name, template, optionalOptions): Registers a template. Redefining a name throws,
+   *   unless optionalOptions.override is true.
+   * - add(name, templateFunction): Registers a function that receives the rest of the selector and
+   *   the raw content, styles and listeners. Existing names are kept; returns whether it was added.
+   * - remove(name): Unregisters a template; returns whether there was one.
+   * - has(name) / get(name): Look templates up.
+   * - render(name, props, slots): Creates an instance of a template.
+   * - namespace(prefix): Returns the same methods, with names relative to 'prefix:'.
+   * - defineCustomElement(elementName, templateOrName, optionalOptions): Makes a template usable as a
+   *   custom element, e.g. <ui-card title="Welcome">, in pages that do not use Elementool directly.
+   *   Declared props are observed as attributes (maxCount as max-count) and as properties, and
+   *   changing them renders the template again. With optionalOptions.shadow (true, 'open' or
+   *   'closed') the template renders into a shadow root and its slots are <slot> elements;
+   *   otherwise the element's children are sorted into the slots. With optionalOptions.extends
+   *   (e.g. 'button') it is a customized built-in element, used as <button is="ui-button">. The
+   *   element's render() refreshes the dynamic values inside. Returns the custom element class.
+   *
+   * @example
+   *
+   * el.templates.namespace('ui').define('card', {
+   *   props: { title: { type: 'string', required: true }, level: { type: 'number', default: 2 } },
+   *   slots: ['footer'],
+   *   render: function (props, slots) {
+   *     return el.make('article.card', [el.make('h' + props.level, props.title)].concat(slots.default, slots.footer));
+   *   }
+   * });
+   * el.make('ui:card[title=Welcome]', [el.make('p', 'Hello'), el.make('small[slot=footer]', 'Bye')]);
+   */
+  self.templates = self.util.createTemplateRegistry("");
+
+  /**
+   * Easing functions for tween and timeline, by name. Options can also name them in CSS notation
+   * ('ease-in-out') or give a CSS 'cubic-bezier(...)' value.
+   */
+  this.easings = {
+    linear: function (t) { return t; },
+    ease: self.util.cubicBezier(0.25, 0.1, 0.25, 1),
+    easeIn: self.util.cubicBezier(0.42, 0, 1, 1),
+    easeOut: self.util.cubicBezier(0, 0, 0.58, 1),
+    easeInOut: self.util.cubicBezier(0.42, 0, 0.58, 1),
+    easeInCubic: function (t) { return t * t * t; },
+    easeOutCubic: function (t) { return 1 - Math.pow(1 - t, 3); },
+    easeInOutCubic: function (t) { return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; },
+    easeOutBack: function (t) { return 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2); },
+    easeOutElastic: function (t) {
+      return t === 0 || t === 1 ? t : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * 2 * Math.PI / 3) + 1;
+    },
+    cubicBezier: self.util.cubicBezier
+  };
+
+  /**
+   * Animates elements or plain objects from JavaScript. Unlike the SMIL helpers this works for
+   * HTML elements and CSS styles, and numbers, colors, transforms, path data and strings with
+   * numbers in them (such as '10px') are interpolated.
+   *
+   * The returned animation has:
+   * - finished: A promise that resolves with the animation when it ends (and rejects if cancelled).
+   * - play(), pause(), seek(milliseconds), reverse(), finish() and cancel(), which resets the targets.
+   * - currentTime, duration and playState ('idle', 'running', 'paused' or 'finished').
+   *
+   * @param {Element|Object|Array|string} targets - An element, plain object, selector, collection or array of them.
+   * @param {Object} properties - For elements, { styles, attributes }; for plain objects, the keys to animate.
+   *   Each value is an end value, or [start, end]. Start values are read from the target otherwise.
+   * @param {Object} optionalOptions - { duration: 400, delay: 0, easing: 'ease', stagger: milliseconds between
+   *   targets, autoplay: true, clock } (see util.createManualClock).
+   * @returns {Object} The animation.
+   *
+   * @example
+   *
+   * el.tween('.card', { styles: { opacity: [0, 1], transform: 'translateY(0px)' } }, { duration: 300, stagger: 50 })
+   *   .finished.then(function () { console.log('done'); });
+   * el.tween(circle, { attributes: { r: 40, fill: '#f00' } }, { easing: 'ease-out' });
+   */
+  this.tween = function (targets, properties, optionalOptions) {
+    var options = optionalOptions || {};
+    return self.util.createAnimation(self.util.createTracks(self.util.animationTargets(targets), properties, options), options);
+  };
+
+  /**
+   * Creates a timeline that plays tweens in sequence. Each add() starts when the timeline so far
+   * ends, unless options.at gives a time in milliseconds, or '+=100' / '-=100' relative to that end.
+   * The timeline has the same controls as a tween, and starts playing with its first add() unless
+   * options.autoplay is false.
+   *
+   * @param {Object} optionalOptions - { autoplay: true, clock }, and defaults for added tweens
+   *   (duration, easing, ...).
+   * @returns {Object} The timeline, with add(targets, properties, optionalOptions).
+   *
+   * @example
+   *
+   * el.timeline({ duration: 200 })
+   *   .add(box, { styles: { left: '100px' } })
+   *   .add(box, { styles: { transform: 'rotate(90deg)' } })
+   *   .add(box, { styles: { opacity: 0 } }, { at: '-=100' });
+   */
+  this.timeline = function (optionalOptions) {
+    var defaults = optionalOptions || {};
+    var tracks = [];
+    // An empty timeline would finish on its first frame, so autoplay waits for something to play.
+    var autoplay = defaults.autoplay !== false;
+    var timeline = self.util.createAnimation(tracks, { clock: defaults.clock, autoplay: false });
+    timeline.add = function (targets, properties, optionalTweenOptions) {
+      var options = {};
+      [defaults, optionalTweenOptions || {}].forEach(function (source) {
+        Object.keys(source).forEach(function (key) { options[key] = source[key]; });
+      });
+      var end = timeline.duration;
+      var at = options.at === undefined ? end : options.at;
+      var relative = /^([+-])=(\d*\.?\d+)$/.exec(String(at));
+      var start = relative ? end + (relative[1] === "-" ? -1 : 1) * parseFloat(relative[2]) : Number(at);
+      self.util.createTracks(self.util.animationTargets(targets), properties, options).forEach(function (track) {
+        track.start += Math.max(0, start);
+        tracks.push(track);
+      });
+      if (autoplay) {
+        autoplay = false;
+        timeline.play();
+      }
+      return timeline;
+    };
+    return timeline;
+  };
+
   this.svgHelpers = {
 
     circle: function (cx, cy, r, styles) {
@@ -762,6 +5794,13 @@ function Elementool() {
           this.setAttribute("d", currentValue + " c" + x1 + "," + y1 + " " + x2 + "," + y2 + " " + x + "," + y);
         }
         return this;
+      },
+      pathData: function () {
+        return self.svgHelpers.pathData(this.getAttribute("d"));
+      },
+      setPathData: function (pathData) {
+        this.setAttribute("d", String(self.svgHelpers.pathData(pathData)));
+        return this;
       }
 
 
@@ -784,15 +5823,40 @@ function Elementool() {
       return returnedPath;
     },
 
+    /**
+     * Creates a path data object that can be read, edited and measured without a layout engine.
+     * Each method returns a new object, and the object serializes back to path data as a string.
+     *
+     * @example
+     *
+     * var data = el.svgHelpers.pathData("M0,0 h10 a5,5 0 0,1 0,10 Z");
+     * data.commands; // [{ type: "M", values: [0, 0] }, { type: "h", values: [10] }, ...]
+     * String(data.toAbsolute().translate(5, 5)); // "M5,5 H15 A5,5 0 0,1 15,15 Z"
+     * data.bbox(); // { x: 0, y: 0, width: 15, height: 10 }
+     * data.pointAtLength(data.length() / 2); // { x, y, angle }
+     *
+     * @param {string|Object[]|Object|Element} source - Path data, commands, a path data object, or a path element.
+     * @returns {Object} The path data object, with commands, toString(), toAbsolute(), toRelative(), normalize(),
+     *   transform(matrix), translate(x, y), scale(x, y), rotate(angle, cx, cy), bbox(), length() and pointAtLength(distance).
+     */
+    pathData: function (source) {
+      if (source && Array.isArray(source.commands)) source = source.commands;
+      if (self.util.isElement(source)) source = source.getAttribute("d");
+      var commands = Array.isArray(source) ? source.map(function (command) {
+        return { type: command.type, values: command.values.slice() };
+      }) : self.util.parsePathData(source);
+      return self.util.createPathData(commands);
+    },
+
     clipPath: function (id, content) {
       var clipPath = self.draw("clipPath", content);
-      clipPath.id = id;
+      if (id) clipPath.id = id;
       return clipPath;
     },
 
     mask: function (id, content) {
       var mask = self.draw("mask", content);
-      mask.id = id;
+      if (id) mask.id = id;
       return mask;
     },
 
@@ -802,7 +5866,7 @@ function Elementool() {
 
     pattern: function (id, width, height, content, styles) {
       var pattern = self.draw("pattern", content, styles);
-      pattern.id = id;
+      if (id) pattern.id = id;
       pattern.setAttribute("width", width);
       pattern.setAttribute("height", height);
       pattern.setAttribute("patternUnits", "userSpaceOnUse");
@@ -811,7 +5875,7 @@ function Elementool() {
 
     linearGradient: function (id, stops, x1OrDirection, y1, x2, y2) {
       var gradient = self.draw("linearGradient", stops);
-      gradient.id = id;
+      if (id) gradient.id = id;
       var x1;
       if (typeof x1OrDirection === "string") {
         if (x1OrDirection === "LR") {
@@ -887,7 +5951,7 @@ function Elementool() {
 
     radialGradient: function (id, stops, cx, cy, r, fx, fy) {
       var gradient = self.draw("radialGradient", stops);
-      gradient.id = id;
+      if (id) gradient.id = id;
       gradient.setAttribute("cx", cx);
       gradient.setAttribute("cy", cy);
       gradient.setAttribute("r", r);
@@ -901,180 +5965,992 @@ function Elementool() {
     },
 
 
-    animate: function (svgElement, attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode) {
+    /**
+     * Creates a SMIL animation element, appends it to svgElement and returns a handle for it.
+     * Used by animate, animateTransform and animateMotion.
+     *
+     * Options become attributes: arrays are joined with semicolons (values, keyTimes, keyPoints),
+     * keySplines may be given as [x1, y1, x2, y2] arrays (and imply calcMode 'spline'), and begin may
+     * be a number of seconds, another handle (to begin when it ends) or a string in which 'prev'
+     * refers to the animation created before this one, as in 'prev.end+0.5s'.
+     *
+     * The handle has the element, begin(optionalOffset), end(), onEnd(callback) and remove(), which
+     * disposes and removes the element. Its methods return the handle, so they can be chained.
+     */
+    _smil: function (kind, svgElement, attributes, options) {
+      Object.keys(options).forEach(function (key) {
+        var value = options[key];
+        if (value === undefined || value === null) return;
+        if (key === "begin") {
+          value = (Array.isArray(value) ? value : [value]).map(self.util.smilBeginValue).join(";");
+        } else if (key === "keySplines") {
+          value = value.map(function (spline) { return Array.isArray(spline) ? spline.join(" ") : spline; }).join(";");
+        } else if (Array.isArray(value)) {
+          value = value.join(";");
+        }
+        attributes[key] = value;
+      });
+      if (attributes.values !== undefined) {
+        delete attributes.from;
+        delete attributes.to;
+      }
+      if (attributes.keySplines && !attributes.calcMode) attributes.calcMode = "spline";
+
+      var animation = self.draw(kind);
+      Object.keys(attributes).forEach(function (name) {
+        if (attributes[name] !== undefined && attributes[name] !== null) animation.setAttribute(name, attributes[name]);
+      });
+      var handle = {
+        $isAnimationHandle: true,
+        element: animation,
+        begin: function (optionalOffset) {
+          if (typeof animation.beginElementAt === "function" && optionalOffset) {
+            animation.beginElementAt(optionalOffset);
+          } else if (typeof animation.beginElement === "function") {
+            animation.beginElement();
+          }
+          return handle;
+        },
+        end: function () {
+          if (typeof animation.endElement === "function") animation.endElement();
+          return handle;
+        },
+        onEnd: function (callback) {
+          self.util.addTrackedEventListener(animation, "endEvent", callback);
+          return handle;
+        },
+        remove: function () {
+          self.destroy(animation);
+          return handle;
+        }
+      };
+      svgElement.appendChild(animation);
+      self._lastAnimation = animation;
+      return handle;
+    },
+
+    /**
+     * Animates an attribute with SMIL.
+     * @param {Element} svgElement - The element to animate.
+     * @param {string} attributeToAnimate - The attribute, e.g. 'r'.
+     * @param {string|Object} fromValue - The start value (the current value by default), or an options
+     *   object with from, to, dur, repeatCount, fill and any other attributes (see _smil).
+     * @param {string} toValue - The end value.
+     * @param {string} duration - The duration, '1s' by default.
+     * @param {string} repeatCount - The repeat count, '1' by default.
+     * @param {string} fillMode - 'freeze' (the default) or 'remove'.
+     * @param {Object} optionalOptions - More attributes (see _smil).
+     * @returns {Object} The handle of the <animate> element (see _smil).
+     *
+     * @example
+     *
+     * el.svgHelpers.animate(circle, 'r', { values: [10, 20, 10], keyTimes: [0, 0.3, 1], dur: '2s' });
+     * el.svgHelpers.animate(circle, 'opacity', { to: 0, begin: 'prev.end' }).onEnd(function () { circle.remove(); });
+     */
+    animate: function (svgElement, attributeToAnimate, fromValue, toValue, duration, repeatCount, fillMode, optionalOptions) {
+      var options = self.util.smilOptions(fromValue, toValue, duration, repeatCount, fillMode, optionalOptions);
+
+      var handle = this._smil("animate", svgElement, {
+        attributeName: attributeToAnimate,
+        from: options.from !== undefined ? options.from : svgElement.getAttribute(attributeToAnimate),
+        to: options.to !== undefined ? options.to : svgElement.getAttribute(attributeToAnimate),
+        dur: options.dur,
+        repeatCount: options.repeatCount,
+        fill: options.fill
+      }, options.rest);
+
+      // Without an explicit begin, the animation starts now, even if the document has been running a while.
+      if (options.rest.begin === undefined) handle.begin();
+
+      return handle;
+
+    },
+
+    /**
+     * Animates the transform attribute with SMIL.
+     * @param {Element} svgElement - The element to animate.
+     * @param {string} type - 'translate', 'scale', 'rotate', 'skewX' or 'skewY'.
+     * @param {string|Object} fromValue - The start value, or an options object (see animate).
+     * @param {string} toValue - The end value.
+     * @param {string} duration - The duration, '1s' by default.
+     * @param {string} repeatCount - The repeat count, '1' by default.
+     * @param {string} fillMode - 'freeze' (the default) or 'remove'.
+     * @param {Object} optionalOptions - More attributes (see _smil).
+     * @returns {Object} The handle of the <animateTransform> element (see _smil).
+     */
+    animateTransform: function (svgElement, type, fromValue, toValue, duration, repeatCount, fillMode, optionalOptions) {
+      var options = self.util.smilOptions(fromValue, toValue, duration, repeatCount, fillMode, optionalOptions);
+
+      return this._smil("animateTransform", svgElement, {
+        attributeName: "transform",
+        type: type,
+        from: options.from !== undefined ? options.from : svgElement.getAttribute("transform"),
+        to: options.to !== undefined ? options.to : svgElement.getAttribute("transform"),
+        dur: options.dur,
+        repeatCount: options.repeatCount,
+        fill: options.fill
+      }, options.rest);
+    },
+
+    /**
+     * Moves an element along a path with SMIL.
+     * @param {Element} svgElement - The element to animate.
+     * @param {string|Element|Object} path - Path data, path data from pathData(), or a path element. A path
+     *   element in a document is referenced with <mpath> (and given an id if it has none); a detached
+     *   one has its path data copied.
+     * @param {string|Object} duration - The duration, '1s' by default, or an options object (see animate),
+     *   e.g. { dur: '2s', rotate: 'auto', keyPoints: [0, 1], keyTimes: [0, 1] }.
+     * @param {string} repeatCount - The repeat count, '1' by default.
+     * @param {string} fillMode - 'freeze' (the default) or 'remove'.
+     * @param {Object} optionalOptions - More attributes (see _smil).
+     * @returns {Object} The handle of the <animateMotion> element (see _smil).
+     */
+    animateMotion: function (svgElement, path, duration, repeatCount, fillMode, optionalOptions) {
+      var options = typeof duration === "object" && duration !== null ?
+        self.util.smilOptions(duration) :
+        self.util.smilOptions(undefined, undefined, duration, repeatCount, fillMode, optionalOptions);
+      var pathElement = self.util.isElement(path) ? path : undefined;
+      var referenced = pathElement && pathElement.parentNode;
+
+      var handle = this._smil("animateMotion", svgElement, {
+        dur: options.dur,
+        repeatCount: options.repeatCount,
+        fill: options.fill,
+        path: referenced ? undefined : String(pathElement ? pathElement.getAttribute("d") : path)
+      }, options.rest);
+
+      if (referenced) {
+        if (!pathElement.id) pathElement.id = "elementool-path-" + (++self._idCount);
+        var mpath = self.draw("mpath");
+        mpath.setAttribute("href", "#" + pathElement.id);
+        mpath.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", "#" + pathElement.id);
+        handle.element.appendChild(mpath);
+      }
+      return handle;
+    },
+
+    moveElementBehind: function (elementToMove, elementToMoveBehind) {
+      if (!elementToMoveBehind && typeof this === "object" && this.isSvg) {
+        elementToMoveBehind = elementToMove;
+        elementToMove = this;
+      }
+      if (elementToMoveBehind.parentNode) {
+        elementToMoveBehind.parentNode.insertBefore(elementToMove, elementToMoveBehind);
+      }
+    },
+
+    /**
+     * Masks an element. In an <svg>, a mask without an id (or not yet in the document) is added to the
+     * defs registry (see defs), which gives it an id, shares identical masks and removes them once unused.
+     * Elsewhere, it goes next to the element, so an element with neither an <svg> nor a parent is refused.
+     * @param {Element} element - The element to mask.
+     * @param {Element} maskElement - The <mask> element, e.g. from mask().
+     */
+    addMaskToElement: function (element, maskElement) {
+      this._addDefinitionToElement(element, maskElement, "mask");
+    },
+
+
+    /**
+     * Clips an element, like addMaskToElement.
+     * @param {Element} element - The element to clip.
+     * @param {Element} clipPathElement - The <clipPath> element, e.g. from clipPath().
+     */
+    addClipPathToElement: function (element, clipPathElement) {
+      this._addDefinitionToElement(element, clipPathElement, "clip-path");
+    },
 
-      // if fromValue is not provided, get the current value of the attribute
-      if (!fromValue) {
-        fromValue = svgElement.getAttribute(attributeToAnimate);
+    _addDefinitionToElement: function (element, definition, attribute) {
+      if (definition && definition.$isDefinitionRef) {
+        element.setAttribute(attribute, String(definition));
+        return;
+      }
+      if (!self.util.isElement(definition)) return;
+      var root = self.util.findSvgRoot(element);
+      if (root && !(definition.id && definition.parentNode)) {
+        element.setAttribute(attribute, String(this.defs(root).add(definition)));
+        return;
       }
+      if (!definition.parentNode && !element.parentNode) {
+        throw new Error("Cannot add a <" + definition.localName + "> to an element that is neither in an <svg> nor has a parent; insert the element first");
+      }
+      if (!definition.id) definition.id = definition.localName + "-" + (++self._idCount);
+      element.setAttribute(attribute, "url(#" + definition.id + ")");
+      // Outside an <svg>, the definition goes next to the element.
+      if (!definition.parentNode) {
+        element.parentNode.insertBefore(definition, element);
+      }
+    },
+
+    /**
+     * Returns the defs registry of an <svg> element (the outermost one an element is in), which keeps
+     * gradients, patterns, masks and clip paths in its <defs>.
+     *
+     * Definitions get stable ids from their content, unique in the document, and identical definitions
+     * are shared. The registry returns references ({ id, element, href, restore() }) that give url(#id)
+     * as strings, so they can be used as style or attribute values. Definitions the registry named
+     * that nothing in the <svg> references any more are removed (automatically where MutationObserver
+     * is available, or with collect()), and put back when a reference is used again or an element
+     * that references them is inserted again. Definitions added with ids of their own are never removed.
+     *
+     * The registry has add(definitionElement, optionalOptions) ({ keep: true } never collects the
+     * definition), get(id), remove(id), linearGradient(stops, ...), radialGradient(stops, ...),
+     * pattern(width, height, content, styles), mask(content), clipPath(content) (as the helpers,
+     * without the id), collect(), which returns the ids it removed, and disconnect().
+     *
+     * @param {Element} svgElement - An <svg> element, or an element in one.
+     * @returns {Object} The registry.
+     *
+     * @example
+     *
+     * var defs = el.svgHelpers.defs(svg);
+     * var fade = defs.linearGradient([el.svgHelpers.stop('0%', 'white'), el.svgHelpers.stop('100%', 'black')], 'TB');
+     * el.svgHelpers.rect(0, 0, 100, 100, { fill: fade }).appendTo(svg);
+     */
+    defs: function (svgElement) {
+      var root = self.util.findSvgRoot(svgElement) || svgElement;
+      return root._defsRegistry || (root._defsRegistry = self.util.createDefsRegistry(root));
+    },
+
+    /**
+     * Creates a <marker>, for drawing shapes such as arrowheads at the vertices of lines, paths and
+     * polylines (see addMarkers).
+     * @param {Element|Element[]} content - The marker's content, drawn in its viewBox.
+     * @param {Object} optionalAttributes - Attributes; by default { viewBox: '0 0 10 10', refX: 5, refY: 5,
+     *   markerWidth: 6, markerHeight: 6, orient: 'auto-start-reverse' }.
+     * @returns {Element} The <marker> element.
+     */
+    marker: function (content, optionalAttributes) {
+      var attributes = { viewBox: "0 0 10 10", refX: 5, refY: 5, markerWidth: 6, markerHeight: 6, orient: "auto-start-reverse" };
+      Object.keys(optionalAttributes || {}).forEach(function (name) { attributes[name] = optionalAttributes[name]; });
+      var marker = self.draw("marker", content);
+      self.setAttributes(marker, attributes);
+      return marker;
+    },
 
-      // if toValue is not provided, get the current value of the attribute
-      if (!toValue) {
-        toValue = svgElement.getAttribute(attributeToAnimate);
+    /**
+     * Creates an arrowhead marker that points along the line at its end (and back along it at its start).
+     * @param {Object} optionalOptions - { shape: 'triangle' (the default), 'open', 'circle' or 'square',
+     *   size: 6 (in stroke widths), color: 'currentColor' ('context-stroke' matches the line where supported) }.
+     * @returns {Element} The <marker> element.
+     */
+    arrowhead: function (optionalOptions) {
+      var options = optionalOptions || {};
+      var shape = options.shape || "triangle";
+      var color = options.color || "currentColor";
+      var size = options.size || 6;
+      var content;
+      if (shape === "triangle") {
+        content = this.path("M0,0 L10,5 L0,10 Z", { fill: color });
+      } else if (shape === "open") {
+        content = this.polyline("1,1 9,5 1,9", { fill: "none", stroke: color, strokeWidth: 1.5, strokeLinecap: "round", strokeLinejoin: "round" });
+      } else if (shape === "circle") {
+        content = this.circle(5, 5, 4, { fill: color });
+      } else if (shape === "square") {
+        content = this.rect(1, 1, 8, 8, { fill: color });
+      } else {
+        throw new Error("Unknown arrowhead shape '" + shape + "'");
       }
+      return this.marker(content, { refX: shape === "triangle" || shape === "open" ? 9 : 5, markerWidth: size, markerHeight: size });
+    },
+
+    /**
+     * Adds markers to a line, path or polyline, through the defs registry of its <svg> (see defs).
+     * @param {Element} element - The element.
+     * @param {Object} markers - { start, mid, end }, each a marker element, a defs reference, or the name
+     *   of an arrowhead shape (see arrowhead).
+     * @returns {Element} The element.
+     *
+     * @example
+     *
+     * var line = el.svgHelpers.line(0, 0, 100, 0, { stroke: 'black' }).appendTo(svg);
+     * el.svgHelpers.addMarkers(line, { end: 'triangle', start: el.svgHelpers.arrowhead({ shape: 'circle', size: 4 }) });
+     */
+    addMarkers: function (element, markers) {
+      var helpers = this;
+      ["start", "mid", "end"].forEach(function (position) {
+        var marker = markers[position];
+        if (!marker) return;
+        if (typeof marker === "string") marker = helpers.arrowhead({ shape: marker });
+        helpers._addDefinitionToElement(element, marker, "marker-" + position);
+      });
+      return element;
+    },
+
+    /**
+     * Creates a <filter> with methods that add filter primitives to it. Each method takes the
+     * primitive's main values and then optional attributes (in, in2, result, x, y...), and returns the
+     * filter, so that primitives chain; without in, a primitive takes the result of the one before.
+     *
+     * Methods: gaussianBlur(stdDeviation), offset(dx, dy), dropShadow(dx, dy, stdDeviation, color, opacity),
+     * colorMatrix(type, values), blend(mode, in2), composite(operator, in2), flood(color, opacity),
+     * morphology(operator, radius), turbulence(baseFrequency, numOctaves), displacementMap(scale, in2),
+     * merge(inputs), and primitive(name, attributes, optionalContent) for any other.
+     *
+     * @param {Object} optionalAttributes - Attributes of the filter, e.g. { x: '-20%', width: '140%' }.
+     * @returns {Element} The <filter> element.
+     *
+     * @example
+     *
+     * var glow = el.svgHelpers.filter()
+     *   .gaussianBlur(3, { in: 'SourceAlpha' })
+     *   .colorMatrix('matrix', [0, 0, 0, 0, 1, 0, 0, 0, 0, 0.8, 0, 0, 0, 0, 1, 0, 0, 0, 0.6, 0], { result: 'glow' })
+     *   .merge(['glow', 'SourceGraphic']);
+     * el.svgHelpers.addFilterToElement(circle, glow);
+     */
+    filter: function (optionalAttributes) {
+      var filter = self.draw("filter");
+      self.setAttributes(filter, optionalAttributes || {});
+      var add = function (name, values, optionalExtra, optionalContent) {
+        var node = self.draw(name, optionalContent);
+        [values, optionalExtra || {}].forEach(function (attributes) {
+          Object.keys(attributes).forEach(function (attribute) {
+            var value = attributes[attribute];
+            if (value === undefined || value === null) return;
+            node.setAttribute(attribute, Array.isArray(value) ? value.join(" ") : value);
+          });
+        });
+        filter.appendChild(node);
+        return filter;
+      };
+      filter.primitive = function (name, attributes, optionalContent) {
+        return add(name, attributes || {}, undefined, optionalContent);
+      };
+      filter.gaussianBlur = function (stdDeviation, optionalExtra) {
+        return add("feGaussianBlur", { stdDeviation: stdDeviation }, optionalExtra);
+      };
+      filter.offset = function (dx, dy, optionalExtra) {
+        return add("feOffset", { dx: dx, dy: dy }, optionalExtra);
+      };
+      filter.dropShadow = function (dx, dy, stdDeviation, color, opacity, optionalExtra) {
+        return add("feDropShadow", { dx: dx, dy: dy, stdDeviation: stdDeviation, "flood-color": color, "flood-opacity": opacity }, optionalExtra);
+      };
+      filter.colorMatrix = function (type, values, optionalExtra) {
+        return add("feColorMatrix", { type: type, values: values }, optionalExtra);
+      };
+      filter.blend = function (mode, in2, optionalExtra) {
+        return add("feBlend", { mode: mode, in2: in2 }, optionalExtra);
+      };
+      filter.composite = function (operator, in2, optionalExtra) {
+        return add("feComposite", { operator: operator, in2: in2 }, optionalExtra);
+      };
+      filter.flood = function (color, opacity, optionalExtra) {
+        return add("feFlood", { "flood-color": color, "flood-opacity": opacity }, optionalExtra);
+      };
+      filter.morphology = function (operator, radius, optionalExtra) {
+        return add("feMorphology", { operator: operator, radius: radius }, optionalExtra);
+      };
+      filter.turbulence = function (baseFrequency, numOctaves, optionalExtra) {
+        return add("feTurbulence", { baseFrequency: baseFrequency, numOctaves: numOctaves }, optionalExtra);
+      };
+      filter.displacementMap = function (scale, in2, optionalExtra) {
+        return add("feDisplacementMap", { scale: scale, in2: in2 }, optionalExtra);
+      };
+      filter.merge = function (inputs, optionalExtra) {
+        return add("feMerge", {}, optionalExtra, inputs.map(function (input) {
+          var node = self.draw("feMergeNode");
+          node.setAttribute("in", input);
+          return node;
+        }));
+      };
+      return filter;
+    },
+
+    /**
+     * Applies a filter to an element, like addMaskToElement.
+     * @param {Element} element - The element.
+     * @param {Element|Object} filter - The <filter> element (see filter), or a defs reference to one.
+     */
+    addFilterToElement: function (element, filter) {
+      this._addDefinitionToElement(element, filter, "filter");
+    },
+
+    /**
+     * Returns the sprite sheet of an <svg> element: icons defined once as <symbol>s in its <defs> and
+     * stamped with <use>. The symbols are never collected by the defs registry, so a hidden <svg> can
+     * hold the icons for a whole page.
+     *
+     * The sheet has define(name, content, optionalAttributes), which takes the symbol's content (or a
+     * <symbol>) and attributes such as viewBox, and returns a defs reference; use(name, x, y, width,
+     * height, styles), which returns a new <use> element; has(name), get(name) and remove(name).
+     *
+     * @param {Element} svgElement - An <svg> element, or an element in one.
+     * @returns {Object} The sprite sheet.
+     *
+     * @example
+     *
+     * var icons = el.svgHelpers.sprites(svg);
+     * icons.define('check', el.svgHelpers.path('M4 12 L10 18 L20 6', { fill: 'none', stroke: 'currentColor' }), { viewBox: '0 0 24 24' });
+     * items.forEach(function (item, i) { icons.use('check', 0, i * 24, 16, 16).appendTo(svg); });
+     */
+    sprites: function (svgElement) {
+      var root = self.util.findSvgRoot(svgElement) || svgElement;
+      return root._spriteSheet || (root._spriteSheet = self.util.createSpriteSheet(root));
+    },
 
-      // if duration is not provided, default to 1 second
-      if (!duration) {
-        duration = "1s";
+    groupElements: function (elements) {
+      var group = self.draw("g");
+      // if the first element of the array has a parent, append the group to the parent
+      if (elements[0].parentNode) {
+        elements[0].parentNode.appendChild(group);
       }
+      elements.forEach(function (element) {
+        group.appendChild(element);
+      });
+      return group;
+    }
+
+  };
+
+  /**
+   * Declarative SVG charts built on svgHelpers: scales, axes and bar, line, area, scatter and
+   * pie/donut series.
+   *
+   * @example
+   *
+   * var chart = el.charts.chart({
+   *   width: 400, height: 240,
+   *   data: [{ month: 'Jan', sales: 12, target: 10 }, { month: 'Feb', sales: 18, target: 15 }],
+   *   x: { value: 'month', type: 'band', padding: 0.2 },
+   *   y: { label: 'Sales' },
+   *   series: [{ type: 'bar', value: 'sales' }, { type: 'line', value: 'target' }]
+   * });
+   * chart.element.appendTo(document.body);
+   * chart.update(newData);
+   */
+  this.charts = {
+
+    palette: ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"],
+
+    /**
+     * Turns a key or a function into a function of a datum and its index.
+     * @param {string|number|Function} keyOrFunction - The key to read, or the function itself.
+     * @returns {Function}
+     */
+    accessor: function (keyOrFunction) {
+      if (typeof keyOrFunction === "function") return keyOrFunction;
+      return function (datum) { return keyOrFunction === undefined ? datum : datum[keyOrFunction]; };
+    },
+
+    /**
+     * Returns [min, max] of values, ignoring undefined, null and NaN.
+     * @param {Array} values - Numbers or Dates.
+     * @returns {Array} The extent; [0, 1] when there are no values.
+     */
+    extent: function (values) {
+      var defined = values.filter(function (value) { return value !== undefined && value !== null && !isNaN(value); });
+      if (!defined.length) return [0, 1];
+      return defined.reduce(function (extent, value) {
+        return [+value < +extent[0] ? value : extent[0], +value > +extent[1] ? value : extent[1]];
+      }, [defined[0], defined[0]]);
+    },
+
+    /**
+     * Returns a round step (1, 2 or 5 times a power of ten) for about count ticks between min and max.
+     * @param {number} min - The start.
+     * @param {number} max - The end.
+     * @param {number} count - The number of ticks wanted.
+     * @returns {number}
+     */
+    tickStep: function (min, max, count) {
+      var rawStep = Math.abs(max - min) / Math.max(1, count);
+      var power = Math.pow(10, Math.floor(Math.log(rawStep) / Math.LN10));
+      var error = rawStep / power;
+      return (error >= Math.sqrt(50) ? 10 : error >= Math.sqrt(10) ? 5 : error >= Math.sqrt(2) ? 2 : 1) * power;
+    },
 
-      // if repeatCount is not provided, default to 1
-      if (!repeatCount) {
-        repeatCount = "1";
+    /**
+     * Returns about count round numbers between min and max, e.g. [0, 20, 40, 60, 80, 100].
+     * @param {number} min - The start.
+     * @param {number} max - The end.
+     * @param {number} count - The number of ticks wanted.
+     * @returns {number[]}
+     */
+    linearTicks: function (min, max, count) {
+      if (min === max) return [min];
+      var low = Math.min(min, max);
+      var high = Math.max(min, max);
+      var step = this.tickStep(low, high, count);
+      var ticks = [];
+      // The tolerance keeps e.g. 0.3 / 0.1 = 2.9999999999999996 from dropping the last tick.
+      for (var i = Math.ceil(low / step - 1e-9); i <= Math.floor(high / step + 1e-9); i++) {
+        ticks.push(Number((i * step).toPrecision(12)));
       }
+      return min > max ? ticks.reverse() : ticks;
+    },
 
-      // if fillMode is not provided, default to "freeze"
-      if (!fillMode) {
-        fillMode = "freeze";
+    /**
+     * Extends [min, max] outwards to round numbers.
+     * @param {number} min - The start.
+     * @param {number} max - The end.
+     * @param {number} count - The number of ticks wanted.
+     * @returns {number[]}
+     */
+    niceDomain: function (min, max, count) {
+      if (min === max) return [min, max];
+      var step = this.tickStep(min, max, count);
+      var floor = function (value) { return Number((Math.floor(value / step + 1e-9) * step).toPrecision(12)); };
+      var ceil = function (value) { return Number((Math.ceil(value / step - 1e-9) * step).toPrecision(12)); };
+      return min < max ? [floor(min), ceil(max)] : [ceil(min), floor(max)];
+    },
+
+    /**
+     * Returns about count time ticks between start and end, on whole seconds, minutes, hours, days,
+     * weeks, months or years in UTC.
+     * @param {number} start - The start timestamp.
+     * @param {number} end - The end timestamp.
+     * @param {number} count - The number of ticks wanted.
+     * @param {Object} optionalInterval - The interval to use instead of choosing one.
+     * @returns {Object} { ticks (Dates), unit, step, size (approximate interval in ms) }.
+     */
+    timeTicks: function (start, end, count, optionalInterval) {
+      var second = 1000, minute = 60 * second, hour = 60 * minute, day = 24 * hour;
+      var intervals = [
+        ["second", 1, second], ["second", 5, 5 * second], ["second", 15, 15 * second], ["second", 30, 30 * second],
+        ["minute", 1, minute], ["minute", 5, 5 * minute], ["minute", 15, 15 * minute], ["minute", 30, 30 * minute],
+        ["hour", 1, hour], ["hour", 3, 3 * hour], ["hour", 6, 6 * hour], ["hour", 12, 12 * hour],
+        ["day", 1, day], ["day", 2, 2 * day], ["week", 1, 7 * day], ["week", 2, 14 * day],
+        ["month", 1, 30 * day], ["month", 3, 91 * day], ["year", 1, 365 * day]
+      ];
+      var low = Math.min(start, end);
+      var high = Math.max(start, end);
+      var interval = optionalInterval;
+      if (!interval) {
+        var target = (high - low) / Math.max(1, count);
+        var chosen = intervals.filter(function (candidate) { return candidate[2] >= target; })[0];
+        if (!chosen) {
+          var years = Math.max(1, this.tickStep(0, target / (365 * day), 1));
+          chosen = ["year", Math.ceil(years), Math.ceil(years) * 365 * day];
+        }
+        interval = { unit: chosen[0], step: chosen[1], size: chosen[2] };
       }
 
-      // Create attribute string for the animate element
-      var animateString = [
-        ["attributeName", attributeToAnimate],
-        ["from", fromValue],
-        ["to", toValue],
-        ["dur", duration],
-        ["repeatCount", repeatCount],
-        ["fill", fillMode]
-      ].map(function (pair) {
-        return "[" + pair[0] + '="' + pair[1] + '"' + "]";
-      }).join("");
+      var ticks = [];
+      var date = new Date(low);
+      if (interval.unit === "month" || interval.unit === "year") {
+        var months = interval.unit === "year" ? interval.step * 12 : interval.step;
+        var index = date.getUTCFullYear() * 12 + date.getUTCMonth();
+        index = Math.ceil(index / months) * months;
+        for (var time = Date.UTC(Math.floor(index / 12), index % 12); time <= high; time = Date.UTC(Math.floor(index / 12), index % 12)) {
+          if (time >= low) ticks.push(new Date(time));
+          index += months;
+        }
+      } else {
+        for (var t = Math.ceil(low / interval.size) * interval.size; t <= high; t += interval.size) {
+          ticks.push(new Date(t));
+        }
+      }
+      return { ticks: ticks, unit: interval.unit, step: interval.step, size: interval.size };
+    },
 
-      var animateElement = self.draw("animate" + animateString);
-      svgElement.appendChild(animateElement);
+    /**
+     * Creates a linear scale: a function from domain values to range values (e.g. pixels).
+     * @param {number[]} domain - [min, max] of the data.
+     * @param {number[]} range - [start, end] of the output.
+     * @param {Object} optionalOptions - { nice: true } extends the domain to round ticks; { clamp: true } keeps output within the range.
+     * @returns {Function} The scale, with domain, range, ticks(count), tickFormat(value) and invert(output).
+     */
+    scaleLinear: function (domain, range, optionalOptions) {
+      var options = optionalOptions || {};
+      var d = options.nice ? self.charts.niceDomain(domain[0], domain[1], options.ticks || 5) : [domain[0], domain[1]];
+      var scale = function (value) {
+        var t = d[1] === d[0] ? 0.5 : (value - d[0]) / (d[1] - d[0]);
+        if (options.clamp) t = Math.max(0, Math.min(1, t));
+        return range[0] + t * (range[1] - range[0]);
+      };
+      scale.type = "linear";
+      scale.domain = d;
+      scale.range = range.slice();
+      scale.invert = function (output) {
+        return d[0] + (output - range[0]) / (range[1] - range[0]) * (d[1] - d[0]);
+      };
+      scale.ticks = function (optionalCount) {
+        return self.charts.linearTicks(d[0], d[1], optionalCount || 5);
+      };
+      scale.tickFormat = self.util.formatNumber;
+      return scale;
+    },
 
-      if(animateElement.beginElement) animateElement.beginElement();
+    /**
+     * Creates a logarithmic scale. The domain must be positive.
+     * @param {number[]} domain - [min, max] of the data.
+     * @param {number[]} range - [start, end] of the output.
+     * @param {Object} optionalOptions - { base: 10, nice: true, clamp: true }.
+     * @returns {Function} The scale, with ticks at the powers of the base.
+     */
+    scaleLog: function (domain, range, optionalOptions) {
+      var options = optionalOptions || {};
+      var base = options.base || 10;
+      if (!(domain[0] > 0 && domain[1] > 0)) throw new RangeError("Log scales need a positive domain");
+      var log = function (value) { return Math.log(value) / Math.log(base); };
+      var d = options.nice ? [Math.pow(base, Math.floor(log(domain[0]))), Math.pow(base, Math.ceil(log(domain[1])))] : [domain[0], domain[1]];
+      var scale = function (value) {
+        var t = d[1] === d[0] ? 0.5 : (log(value) - log(d[0])) / (log(d[1]) - log(d[0]));
+        if (options.clamp) t = Math.max(0, Math.min(1, t));
+        return range[0] + t * (range[1] - range[0]);
+      };
+      scale.type = "log";
+      scale.domain = d;
+      scale.range = range.slice();
+      scale.invert = function (output) {
+        return Math.pow(base, log(d[0]) + (output - range[0]) / (range[1] - range[0]) * (log(d[1]) - log(d[0])));
+      };
+      scale.ticks = function () {
+        var low = Math.min(d[0], d[1]);
+        var high = Math.max(d[0], d[1]);
+        var ticks = [];
+        for (var power = Math.floor(log(low)); power <= Math.ceil(log(high)); power++) {
+          var tick = Number(Math.pow(base, power).toPrecision(12));
+          if (tick >= low && tick <= high) ticks.push(tick);
+        }
+        return ticks;
+      };
+      scale.tickFormat = self.util.formatNumber;
+      return scale;
+    },
 
-      return animateElement;
+    /**
+     * Creates a time scale. Ticks fall on whole seconds, minutes, hours, days, weeks, months or
+     * years (in UTC), and are formatted to match.
+     * @param {Array} domain - [start, end] as Dates or timestamps.
+     * @param {number[]} range - [start, end] of the output.
+     * @param {Object} optionalOptions - { nice: true, clamp: true }.
+     * @returns {Function} The scale; invert and ticks return Dates.
+     */
+    scaleTime: function (domain, range, optionalOptions) {
+      var options = optionalOptions || {};
+      var d = [+domain[0], +domain[1]];
+      var interval = self.charts.timeTicks(d[0], d[1], options.ticks || 5);
+      if (options.nice && interval.ticks.length) {
+        d = [Math.min(d[0], +self.charts.timeTicks(d[0] - interval.size, d[0], 1, interval).ticks[0] || d[0]), d[1]];
+        var after = self.charts.timeTicks(d[1], d[1] + interval.size, 1, interval).ticks;
+        if (after.length) d[1] = +after[0];
+      }
+      var linear = this.scaleLinear(d, range, { clamp: options.clamp });
+      var scale = function (value) { return linear(+value); };
+      scale.type = "time";
+      scale.domain = [new Date(d[0]), new Date(d[1])];
+      scale.range = range.slice();
+      scale.invert = function (output) { return new Date(linear.invert(output)); };
+      scale.ticks = function (optionalCount) {
+        interval = self.charts.timeTicks(d[0], d[1], optionalCount || 5);
+        return interval.ticks;
+      };
+      scale.tickFormat = function (date) {
+        var iso = new Date(+date).toISOString();
+        var unit = interval.unit;
+        if (unit === "year") return iso.slice(0, 4);
+        if (unit === "month") return iso.slice(0, 7);
+        if (unit === "day" || unit === "week") return iso.slice(0, 10);
+        if (unit === "second") return iso.slice(11, 19);
+        return iso.slice(11, 16);
+      };
+      return scale;
+    },
 
+    /**
+     * Creates a band scale for categories, which are given equal bands of the range.
+     * @param {Array} domain - The categories, in order.
+     * @param {number[]} range - [start, end] of the output.
+     * @param {Object} optionalOptions - { padding, paddingInner, paddingOuter } as fractions of a step, and align (0 to 1).
+     * @returns {Function} The scale, giving the start of a category's band, with bandwidth(), step() and center(category).
+     */
+    scaleBand: function (domain, range, optionalOptions) {
+      var options = optionalOptions || {};
+      var paddingInner = options.paddingInner !== undefined ? options.paddingInner : options.padding || 0;
+      var paddingOuter = options.paddingOuter !== undefined ? options.paddingOuter : options.padding || 0;
+      var align = options.align !== undefined ? options.align : 0.5;
+      var n = domain.length;
+      var step = (range[1] - range[0]) / Math.max(1, n - paddingInner + paddingOuter * 2);
+      var start = range[0] + (range[1] - range[0] - step * (n - paddingInner)) * align;
+      var bandwidth = step * (1 - paddingInner);
+      var keys = domain.map(String);
+      var scale = function (value) {
+        var index = keys.indexOf(String(value));
+        return index < 0 ? undefined : start + step * index;
+      };
+      scale.type = "band";
+      scale.domain = domain.slice();
+      scale.range = range.slice();
+      scale.bandwidth = function () { return bandwidth; };
+      scale.step = function () { return step; };
+      scale.center = function (value) {
+        var position = scale(value);
+        return position === undefined ? undefined : position + bandwidth / 2;
+      };
+      scale.ticks = function () { return domain.slice(); };
+      scale.tickFormat = String;
+      return scale;
     },
 
-    animateTransform: function (svgElement, type, fromValue, toValue, duration, repeatCount, fillMode) {
+    /**
+     * Draws an axis for a scale, with a domain line, ticks and labels. The axis runs along the
+     * scale's range from (0, 0); position it with a transform.
+     * @param {Function} scale - A scale from scaleLinear, scaleLog, scaleTime or scaleBand.
+     * @param {string} orientation - 'bottom', 'top', 'left' or 'right': the side the ticks point to.
+     * @param {Object} optionalOptions - { ticks: count, tickValues, tickSize: 6, format: function, label }.
+     * @returns {Element} The axis <g> element.
+     */
+    axis: function (scale, orientation, optionalOptions) {
+      var options = optionalOptions || {};
+      var horizontal = orientation === "bottom" || orientation === "top";
+      var sign = orientation === "top" || orientation === "left" ? -1 : 1;
+      var tickSize = options.tickSize !== undefined ? options.tickSize : 6;
+      var format = options.format || scale.tickFormat;
+      var position = scale.type === "band" ? scale.center : scale;
+      var values = options.tickValues || scale.ticks(options.ticks);
 
-      // if fromValue is not provided, get the current value of the attribute
-      if (!fromValue) {
-        fromValue = svgElement.getAttribute("transform");
-      }
+      var axis = self.draw("g.axis.axis-" + orientation);
+      var range = scale.range;
+      (horizontal ?
+        self.svgHelpers.line(range[0], 0, range[1], 0, { stroke: "currentColor" }) :
+        self.svgHelpers.line(0, range[0], 0, range[1], { stroke: "currentColor" })
+      ).setAttributes({ "class": "domain" }).appendTo(axis);
 
-      // if toValue is not provided, get the current value of the attribute
-      if (!toValue) {
-        toValue = svgElement.getAttribute("transform");
-      }
+      values.forEach(function (value) {
+        var offset = position(value);
+        var labelOffset = sign * (tickSize + 3);
+        var tick = self.draw("g.tick", [
+          horizontal ?
+            self.svgHelpers.line(0, 0, 0, sign * tickSize, { stroke: "currentColor" }) :
+            self.svgHelpers.line(0, 0, sign * tickSize, 0, { stroke: "currentColor" }),
+          horizontal ?
+            self.svgHelpers.text(0, labelOffset, String(format(value)), "center", sign > 0 ? "top" : "bottom") :
+            self.svgHelpers.text(labelOffset, 0, String(format(value)), sign > 0 ? "left" : "right", "center")
+        ]);
+        tick.setAttribute("transform", horizontal ? "translate(" + offset + ",0)" : "translate(0," + offset + ")");
+        axis.appendChild(tick);
+      });
 
-      // if duration is not provided, default to 1 second
-      if (!duration) {
-        duration = "1s";
+      if (options.label) {
+        var middle = (range[0] + range[1]) / 2;
+        var labelDistance = sign * (tickSize + 24);
+        var label = horizontal ?
+          self.svgHelpers.text(middle, labelDistance + sign * 6, String(options.label), "center", sign > 0 ? "top" : "bottom") :
+          self.svgHelpers.text(labelDistance, middle, String(options.label), "center", sign > 0 ? "top" : "bottom");
+        if (!horizontal) label.setAttribute("transform", "rotate(-90 " + labelDistance + " " + middle + ")");
+        label.setAttribute("class", "axis-label");
+        axis.appendChild(label);
       }
+      return axis;
+    },
 
-      // if repeatCount is not provided, default to 1
-      if (!repeatCount) {
-        repeatCount = "1";
+    /**
+     * Returns path data for a pie or donut slice. Angles are in degrees, clockwise from the top,
+     * as in util.polarToCartesian.
+     * @param {number} cx - The x-coordinate of the center.
+     * @param {number} cy - The y-coordinate of the center.
+     * @param {number} outerRadius - The outer radius.
+     * @param {number} innerRadius - The inner radius; 0 for a pie slice.
+     * @param {number} startAngle - The start angle.
+     * @param {number} endAngle - The end angle.
+     * @returns {string} The path data.
+     */
+    arc: function (cx, cy, outerRadius, innerRadius, startAngle, endAngle) {
+      // A full circle cannot be one arc command, so it is drawn as two halves.
+      if (endAngle - startAngle >= 359.999) {
+        var middle = startAngle + 180;
+        return this.arc(cx, cy, outerRadius, innerRadius, startAngle, middle) + " " + this.arc(cx, cy, outerRadius, innerRadius, middle, endAngle);
       }
-
-      // if fillMode is not provided, default to "freeze"
-      if (!fillMode) {
-        fillMode = "freeze";
+      var largeArc = endAngle - startAngle > 180 ? 1 : 0;
+      var outerStart = self.util.polarToCartesian(cx, cy, outerRadius, startAngle);
+      var outerEnd = self.util.polarToCartesian(cx, cy, outerRadius, endAngle);
+      var d = "M" + outerStart.toXY(",") + " A" + outerRadius + "," + outerRadius + " 0 " + largeArc + ",1 " + outerEnd.toXY(",");
+      if (innerRadius > 0) {
+        var innerEnd = self.util.polarToCartesian(cx, cy, innerRadius, endAngle);
+        var innerStart = self.util.polarToCartesian(cx, cy, innerRadius, startAngle);
+        d += " L" + innerEnd.toXY(",") + " A" + innerRadius + "," + innerRadius + " 0 " + largeArc + ",0 " + innerStart.toXY(",");
+      } else {
+        d += " L" + cx + "," + cy;
       }
+      return d + " Z";
+    },
 
-      // Create attribute string for the animate element
-      var animateString = [
-        ["attributeName", "transform"],
-        ["type", type],
-        ["from", fromValue],
-        ["to", toValue],
-        ["dur", duration],
-        ["repeatCount", repeatCount],
-        ["fill", fillMode]
-      ].map(function (pair) {
-        return "[" + pair[0] + '="' + pair[1] + '"' + "]";
-      }).join("");
-
-      var animateElement = self.draw("animateTransform" + animateString);
-      svgElement.appendChild(animateElement);
+    /**
+     * Creates a chart from data and dimensions.
+     *
+     * Options:
+     * - data: The data array.
+     * - width, height: The size of the SVG (400 by 300 by default), and margin: { top, right, bottom, left }.
+     * - x, y: { value (a key or a function of the datum and index), type ('linear', 'log', 'time'
+     *   or 'band'), domain, nice, padding (band), and the axis options ticks, format and label }.
+     *   A string is short for { value }. The x type defaults to 'band' for strings, 'time' for
+     *   Dates and 'linear' otherwise; the y domain is the extent of all series (with zero for bars
+     *   and areas) unless given.
+     * - series: [{ type ('bar', 'line', 'area', 'scatter', 'pie' or 'donut'), value, styles }].
+     *   Scatter series take r (a number, key or function). Pie and donut series take label, for
+     *   each slice's title, and innerRadius (a fraction of the radius; 0.5 for donuts).
+     * - axes: false to leave the axes out, or { x: false } / { y: false }.
+     *
+     * @param {Object} options - The chart options.
+     * @returns {Object} The chart: { element (the <svg>), scales ({ x, y }), update(data, optionalOptions) }.
+     */
+    chart: function (options) {
+      var charts = this;
+      var svg = self.draw("svg.chart");
+      var chart = {
+        element: svg,
+        options: options,
+        scales: {},
+        update: function (data, optionalOptions) {
+          var merged = {};
+          Object.keys(chart.options).forEach(function (key) { merged[key] = chart.options[key]; });
+          Object.keys(optionalOptions || {}).forEach(function (key) { merged[key] = optionalOptions[key]; });
+          if (data) merged.data = data;
+          chart.options = merged;
+          charts._render(chart);
+          return chart;
+        }
+      };
+      this._render(chart);
+      return chart;
     },
 
-    animateMotion: function (svgElement, path, duration, repeatCount, fillMode) {
+    _render: function (chart) {
+      var charts = this;
+      var options = chart.options;
+      var data = options.data || [];
+      var series = options.series || [];
+      var width = options.width || 400;
+      var height = options.height || 300;
+      var isPie = series.length > 0 && series.every(function (s) { return s.type === "pie" || s.type === "donut"; });
+      var margin = options.margin || (isPie ? { top: 10, right: 10, bottom: 10, left: 10 } : { top: 20, right: 20, bottom: 40, left: 50 });
+      var innerWidth = width - margin.left - margin.right;
+      var innerHeight = height - margin.top - margin.bottom;
+      var svg = chart.element;
 
-      // if duration is not provided, default to 1 second
-      if (!duration) {
-        duration = "1s";
-      }
+      while (svg.firstChild) self.destroy(svg.firstChild);
+      self.setAttributes(svg, { width: width, height: height, viewBox: "0 0 " + width + " " + height });
 
-      // if repeatCount is not provided, default to 1
-      if (!repeatCount) {
-        repeatCount = "1";
-      }
+      var plot = self.draw("g.chart-plot");
+      plot.setAttribute("transform", "translate(" + margin.left + "," + margin.top + ")");
+      svg.appendChild(plot);
 
-      // if fillMode is not provided, default to "freeze"
-      if (!fillMode) {
-        fillMode = "freeze";
+      if (isPie) {
+        chart.scales = {};
+        series.forEach(function (s, index) { plot.appendChild(charts._pie(s, index, data, innerWidth, innerHeight)); });
+        return;
       }
 
-      // Create attribute string for the animate element
-      var animateString = [
-        ["dur", duration],
-        ["repeatCount", repeatCount],
-        ["fill", fillMode],
-        ["path", path]
-      ].map(function (pair) {
-        return "[" + pair[0] + '="' + pair[1] + '"' + "]";
-      }).join("");
-
-      var animateElement = self.draw("animateMotion" + animateString);
-      svgElement.appendChild(animateElement);
-    },
+      var xOptions = typeof options.x === "object" ? options.x : { value: options.x };
+      var yOptions = typeof options.y === "object" ? options.y : { value: options.y };
+      var x = self.charts.accessor(xOptions.value);
+      var xValues = data.map(x);
+      var xType = xOptions.type || (typeof xValues[0] === "string" ? "band" : xValues[0] instanceof Date ? "time" : "linear");
 
-    moveElementBehind: function (elementToMove, elementToMoveBehind) {
-      if (!elementToMoveBehind && typeof this === "object" && this instanceof SVGElement) {
-        elementToMoveBehind = elementToMove;
-        elementToMove = this;
+      var xScale;
+      if (xType === "band") {
+        var categories = xOptions.domain || xValues.filter(function (value, index) { return xValues.indexOf(value) === index; });
+        xScale = this.scaleBand(categories, [0, innerWidth], { padding: xOptions.padding !== undefined ? xOptions.padding : 0.1 });
+      } else {
+        // Bars are centered on their x values, so the range is inset by half a bar step on each side.
+        var hasBars = series.some(function (s) { return s.type === "bar"; });
+        var inset = hasBars ? innerWidth / Math.max(1, data.length) / 2 : 0;
+        var xDomain = xOptions.domain || self.charts.extent(xValues);
+        var xFactories = { linear: "scaleLinear", log: "scaleLog", time: "scaleTime" };
+        xScale = this[xFactories[xType]](xDomain, [inset, innerWidth - inset], { nice: xOptions.nice });
       }
-      if (elementToMoveBehind.parentNode) {
-        elementToMoveBehind.parentNode.insertBefore(elementToMove, elementToMoveBehind);
+
+      var yDomain = yOptions.domain;
+      if (!yDomain) {
+        var yValues = [];
+        series.forEach(function (s) {
+          var value = self.charts.accessor(s.value || yOptions.value);
+          data.forEach(function (d, i) { yValues.push(value(d, i)); });
+          if ((s.type === "bar" || s.type === "area") && (yOptions.type || "linear") === "linear") yValues.push(0);
+        });
+        yDomain = self.charts.extent(yValues);
       }
-    },
+      var yFactories = { linear: "scaleLinear", log: "scaleLog", time: "scaleTime" };
+      var yScale = this[yFactories[yOptions.type || "linear"]](yDomain, [innerHeight, 0], { nice: yOptions.nice !== undefined ? yOptions.nice : (yOptions.type || "linear") === "linear" });
+      chart.scales = { x: xScale, y: yScale };
 
-    addMaskToElement: function (element, maskElement) {
-      if (maskElement instanceof Element) {
-        if (maskElement.id) {
-          element.setAttribute("mask", "url(#" + maskElement.id + ")");
-        } else {
-          var maskId = "mask" + Math.random().toString().slice(2);
-          maskElement.id = maskId;
-          element.setAttribute("mask", "url(#" + maskId + ")");
-        }
-        // if the mask element isn't in the DOM we'll need to add it
-        if (!maskElement.parentNode) {
-          element.parentNode.insertBefore(maskElement, element);
-        }
+      series.forEach(function (s, index) {
+        var group = charts._series(s, index, data, x, xScale, yScale, yOptions);
+        plot.appendChild(group);
+      });
+
+      var axes = options.axes === undefined ? {} : options.axes;
+      if (axes !== false && axes.x !== false) {
+        var xAxis = this.axis(xScale, "bottom", { ticks: xOptions.ticks, format: xOptions.format, label: xOptions.label });
+        xAxis.setAttribute("transform", "translate(" + margin.left + "," + (margin.top + innerHeight) + ")");
+        svg.appendChild(xAxis);
+      }
+      if (axes !== false && axes.y !== false) {
+        var yAxis = this.axis(yScale, "left", { ticks: yOptions.ticks, format: yOptions.format, label: yOptions.label });
+        yAxis.setAttribute("transform", "translate(" + margin.left + "," + margin.top + ")");
+        svg.appendChild(yAxis);
       }
     },
 
+    _series: function (s, index, data, x, xScale, yScale, yOptions) {
+      var color = this.palette[index % this.palette.length];
+      var y = self.charts.accessor(s.value || yOptions.value);
+      var xPosition = function (d, i) { return xScale.type === "band" ? xScale.center(x(d, i)) : xScale(x(d, i)); };
+      var defined = function (d, i) { var value = y(d, i); return value !== undefined && value !== null && !isNaN(value); };
+      var group = self.draw("g.series.series-" + s.type);
+      var baseline = yScale(Math.max(Math.min(yScale.domain[0], yScale.domain[1]), Math.min(0, Math.max(yScale.domain[0], yScale.domain[1]))));
+      if (yScale.type !== "linear") baseline = yScale.range[0];
 
-    addClipPathToElement: function (element, clipPathElement) {
-      if (clipPathElement instanceof Element) {
-        if (clipPathElement.id) {
-          element.setAttribute("clip-path", "url(#" + clipPathElement.id + ")");
-        } else {
-          var clipPathId = "clipPath" + Math.random().toString().slice(2);
-          clipPathElement.id = clipPathId;
-          element.setAttribute("clip-path", "url(#" + clipPathId + ")");
-        }
-        // if the clip path element isn't in the DOM we'll need to add it
-        if (!clipPathElement.parentNode) {
-          element.parentNode.insertBefore(clipPathElement, element);
+      if (s.type === "bar") {
+        // Other than band scales, the range starts half a bar step in (see _render).
+        var barWidth = xScale.type === "band" ? xScale.bandwidth() : Math.max(1, xScale.range[0] * 2 * 0.8);
+        data.forEach(function (d, i) {
+          if (!defined(d, i)) return;
+          var top = yScale(y(d, i));
+          self.svgHelpers.rect(xPosition(d, i) - barWidth / 2, Math.min(top, baseline), barWidth, Math.abs(baseline - top), [{ fill: color }, s.styles || {}]).appendTo(group);
+        });
+      } else if (s.type === "line" || s.type === "area") {
+        // Missing values break the line (or area) into segments.
+        var segments = [[]];
+        data.forEach(function (d, i) {
+          if (!defined(d, i)) {
+            if (segments[segments.length - 1].length) segments.push([]);
+            return;
+          }
+          segments[segments.length - 1].push([xPosition(d, i), yScale(y(d, i))]);
+        });
+        segments = segments.filter(function (segment) { return segment.length; });
+        var toPoints = function (segment) { return segment.map(function (point) { return point.join(","); }); };
+        if (s.type === "area" && segments.length) {
+          var areaPath = segments.map(function (segment) {
+            return "M" + segment[0][0] + "," + baseline + " L" + toPoints(segment).join(" L") + " L" + segment[segment.length - 1][0] + "," + baseline + " Z";
+          }).join(" ");
+          self.svgHelpers.path(areaPath, [{ fill: color, fillOpacity: 0.4, stroke: "none" }, s.styles || {}]).appendTo(group);
+        } else if (s.type === "line") {
+          segments.forEach(function (segment) {
+            self.svgHelpers.polyline(toPoints(segment).join(" "), [{ fill: "none", stroke: color, strokeWidth: 2 }, s.styles || {}]).appendTo(group);
+          });
         }
+      } else if (s.type === "scatter") {
+        var r = typeof s.r === "number" ? function () { return s.r; } : s.r ? self.charts.accessor(s.r) : function () { return 3; };
+        data.forEach(function (d, i) {
+          if (!defined(d, i)) return;
+          self.svgHelpers.circle(xPosition(d, i), yScale(y(d, i)), r(d, i), [{ fill: color }, s.styles || {}]).appendTo(group);
+        });
+      } else {
+        throw new Error("Unknown series type '" + s.type + "'");
       }
+      return group;
     },
 
-    groupElements: function (elements) {
-      var group = self.draw("g");
-      // if the first element of the array has a parent, append the group to the parent
-      if (elements[0].parentNode) {
-        elements[0].parentNode.appendChild(group);
-      }
-      elements.forEach(function (element) {
-        group.appendChild(element);
+    _pie: function (s, index, data, innerWidth, innerHeight) {
+      var charts = this;
+      var value = self.charts.accessor(s.value);
+      var label = s.label ? self.charts.accessor(s.label) : undefined;
+      var radius = Math.min(innerWidth, innerHeight) / 2;
+      var innerRadius = radius * (s.innerRadius !== undefined ? s.innerRadius : s.type === "donut" ? 0.5 : 0);
+      var total = data.reduce(function (sum, d, i) { return sum + Math.max(0, value(d, i)); }, 0);
+      var group = self.draw("g.series.series-" + s.type);
+      var angle = 0;
+      data.forEach(function (d, i) {
+        var sweep = total ? Math.max(0, value(d, i)) / total * 360 : 0;
+        if (!sweep) return;
+        var slice = self.svgHelpers.path(charts.arc(innerWidth / 2, innerHeight / 2, radius, innerRadius, angle, angle + sweep), [{ fill: charts.palette[i % charts.palette.length], stroke: "#fff" }, s.styles || {}]);
+        slice.setAttribute("class", "slice");
+        if (label) self.draw("title", String(label(d, i))).appendTo(slice);
+        group.appendChild(slice);
+        angle += sweep;
       });
       return group;
     }
@@ -1103,9 +6979,180 @@ function Elementool() {
       element.setAttribute("role", "link");
       if (customDescription) this.description(element, customDescription);
       return element;
+    },
+    /**
+     * Marks a form control as invalid with aria-invalid. A message is shown in an element after the
+     * control (role alert, class error-message), linked with aria-describedby and aria-errormessage.
+     */
+    invalid: function (element, message) {
+      element.setAttribute("aria-invalid", "true");
+      if (!message) return element;
+      var messageElement = element._errorMessage;
+      if (!messageElement) {
+        messageElement = self.document.createElement("span");
+        messageElement.id = (element.id || "elementool-field-" + (++self._fieldCount)) + "-error";
+        messageElement.className = "error-message";
+        messageElement.setAttribute("role", "alert");
+        if (element.parentNode) element.parentNode.insertBefore(messageElement, element.nextSibling);
+        var describedBy = (element.getAttribute("aria-describedby") || "").split(/\s+/).filter(function (id) { return !!id; });
+        element.setAttribute("aria-describedby", describedBy.concat(messageElement.id).join(" "));
+        element.setAttribute("aria-errormessage", messageElement.id);
+        element._errorMessage = messageElement;
+      }
+      messageElement.textContent = message;
+      return element;
+    },
+    /**
+     * Clears what invalid() set on a form control.
+     */
+    valid: function (element) {
+      element.removeAttribute("aria-invalid");
+      var messageElement = element._errorMessage;
+      if (messageElement) {
+        if (messageElement.parentNode) messageElement.parentNode.removeChild(messageElement);
+        var describedBy = (element.getAttribute("aria-describedby") || "").split(/\s+/).filter(function (id) { return id && id !== messageElement.id; });
+        if (describedBy.length) {
+          element.setAttribute("aria-describedby", describedBy.join(" "));
+        } else {
+          element.removeAttribute("aria-describedby");
+        }
+        element.removeAttribute("aria-errormessage");
+        delete element._errorMessage;
+      }
+      return element;
     }
   }
 
+  /**
+   * Creates a scoped stylesheet class. The styles take the same JS or CSS notation as inline
+   * styles, plus nested selectors ('&:hover', '::before', '& > li'), at-rules ('@media (...)',
+   * '@supports (...)') and '@keyframes name' blocks. The class name is a hash of the rules, so
+   * identical styles share one class and are only added to the stylesheet once.
+   *
+   * The returned class can be passed as the styles of make, draw, setStyles and definitions, alone
+   * or in an array together with other classes and inline style objects. It converts to its class
+   * name, and its selector can be used in other css() calls.
+   *
+   * @param {Object} styles - The styles of the class.
+   * @returns {Object} The class: { className, selector, rules, toString }.
+   *
+   * @example
+   *
+   * var button = el.css({ padding: '4px 8px', '&:hover': { background: '#eee' }, '@media (max-width: 600px)': { padding: 0 } });
+   * el.make('button', 'Save', [button, { color: 'green' }]);
+   */
+  this.css = function (styles) {
+    var placeholder = "\u0001";
+    var template = this.util.compileStyleRules("." + placeholder, styles || {}).join("\n");
+    if (self._styleClasses[template]) return self._styleClasses[template];
+
+    var className = "el-" + this.util.hashString(template);
+    var rules = template.split(placeholder).join(className).split("\n").filter(function (rule) { return !!rule; });
+    var styleClass = {
+      $isStyle: true,
+      className: className,
+      selector: "." + className,
+      rules: rules,
+      toString: function () { return className; }
+    };
+    // Only cached once the rules are in, so that rules the engine rejects are not taken as added.
+    this.util.insertStyleRules(rules);
+    self._styleClasses[template] = styleClass;
+    return styleClass;
+  };
+
+  /**
+   * Returns the rules added by css() so far, e.g. to put them in a <style> element of a
+   * server-rendered page.
+   * @returns {string}
+   */
+  this.css.text = function () {
+    return self._styleRules.join("\n");
+  };
+
+  /**
+   * Design token themes. A theme is a set of tokens (colors, spacing, typography...) that is applied
+   * to a root element as CSS custom properties: { colors: { primary: '#06c' } } sets
+   * --colors-primary. Styles given to make, draw, setStyles and css() refer to tokens as
+   * '$colors.primary', which becomes var(--colors-primary), so switching the theme restyles them.
+   * Other text is left as it is; references to tokens missing from a defined group, such as
+   * '$colors.txt', are reported by validate().
+   *
+   * Methods:
+   * - define(name, tokens, optionalOptions): Defines or replaces a theme. With
+   *   optionalOptions.extends, the tokens are added to those of another theme.
+   * - apply(name, optionalRoot): Sets the theme's custom properties on the root (the document element
+   *   by default), replacing the previous theme's, and sets its data-theme attribute.
+   * - current(optionalRoot): Returns the name of the theme applied to the root.
+   * - followColorScheme({ light, dark }, optionalRoot): Applies the theme for the user's
+   *   prefers-color-scheme, now and whenever it changes. Returns a function that stops following.
+   * - token(path): Returns the var(--...) reference for a token.
+   *
+   * @example
+   *
+   * el.themes.define('light', { colors: { text: '#222', background: '#fff' }, spacing: { sm: '4px' } });
+   * el.themes.define('dark', { colors: { text: '#eee', background: '#111' } }, { extends: 'light' });
+   * el.themes.followColorScheme({ light: 'light', dark: 'dark' });
+   * el.make('p', 'Hello', { color: '$colors.text', padding: '$spacing.sm' });
+   */
+  self.themes = {
+    define: function (name, tokens, optionalOptions) {
+      var base = optionalOptions && optionalOptions["extends"];
+      if (base && !self._themes[base]) throw new Error("Unknown theme '" + base + "'");
+      var flat = {};
+      var own = self.util.flattenTokens(tokens);
+      [base ? self._themes[base] : {}, own].forEach(function (source) {
+        Object.keys(source).forEach(function (path) { flat[path] = source[path]; });
+      });
+      self._themes[name] = flat;
+      Object.keys(flat).forEach(function (path) { self._tokenPaths[path] = true; });
+      return this;
+    },
+    apply: function (name, optionalRoot) {
+      var root = optionalRoot || self.document.documentElement;
+      var theme = self._themes[name];
+      if (!theme) throw new Error("Unknown theme '" + name + "'");
+      (root._themeProperties || []).forEach(function (property) { root.style.removeProperty(property); });
+      root._themeProperties = Object.keys(theme).map(function (path) {
+        var property = self.util.tokenProperty(path);
+        root.style.setProperty(property, String(self.util.resolveTokens(theme[path])));
+        return property;
+      });
+      root.setAttribute("data-theme", name);
+      return root;
+    },
+    current: function (optionalRoot) {
+      var root = optionalRoot || self.document.documentElement;
+      return root.getAttribute("data-theme") || undefined;
+    },
+    followColorScheme: function (schemes, optionalRoot) {
+      var themes = this;
+      var win = self.document.defaultView;
+      var query = win && typeof win.matchMedia === "function" ? win.matchMedia("(prefers-color-scheme: dark)") : undefined;
+      function update() {
+        themes.apply(query && query.matches ? schemes.dark : schemes.light, optionalRoot);
+      }
+      update();
+      if (!query) return function () {};
+      if (query.addEventListener) {
+        query.addEventListener("change", update);
+      } else {
+        query.addListener(update);
+      }
+      return function () {
+        if (query.removeEventListener) {
+          query.removeEventListener("change", update);
+        } else {
+          query.removeListener(update);
+        }
+      };
+    },
+    token: function (path) {
+      if (!self._tokenPaths[path]) throw new Error("Unknown design token '$" + path + "'");
+      return self.util.resolveTokens("$" + path);
+    }
+  };
+
   /**
    * Applies styles from the given style object to the specified Element.
    * @param {Element} element - The Element to which the styles will be applied.
@@ -1119,24 +7166,457 @@ function Elementool() {
     this.util.setAttributesOnElement(element, attributesObject);
   };
 
+  /**
+   * Named event handlers of this instance. Listeners given as strings, e.g. in objectToElement
+   * definitions, are looked up here before falling back to global functions.
+   *
+   * Methods: define(name, handler), remove(name), has(name) and get(name).
+   *
+   * @example
+   *
+   * el.handlers.define('save', function (event) { ... });
+   * el.objectToElement({ make: 'button', content: 'Save', listeners: { click: 'save' } });
+   */
+  self.handlers = {
+    define: function (name, handler) {
+      if (typeof handler !== "function") throw new TypeError("Handler '" + name + "' must be a function");
+      self._handlers[name] = handler;
+      return this;
+    },
+    remove: function (name) {
+      var existed = self._handlers.hasOwnProperty(name);
+      delete self._handlers[name];
+      return existed;
+    },
+    has: function (name) {
+      return self._handlers.hasOwnProperty(name);
+    },
+    get: function (name) {
+      return self._handlers.hasOwnProperty(name) ? self._handlers[name] : undefined;
+    }
+  };
+
+  /**
+   * Adds an event listener that off() or the returned function can remove again.
+   *
+   * @param {Element} element - The Element to listen on.
+   * @param {string} key - The event name, optionally followed by a selector to delegate to
+   *   matching descendants, e.g. 'click .row'.
+   * @param {Function|string|Object} listener - A function, a handler name, or
+   *   { handler, once, passive, capture }.
+   * @returns {Function} A function that removes the listener.
+   *
+   * @example
+   *
+   * var stop = el.on(table, 'click tr', function (event, row) { row.classList.toggle('selected'); });
+   */
+  this.on = function (element, key, listener) {
+    var listeners = {};
+    listeners[key] = listener;
+    var added = this.util.addEventListeners(element, listeners);
+    if (!added.length) throw new TypeError("No handler found for '" + key + "'");
+    return function () {
+      self.util.removeEventListeners(element, added);
+    };
+  };
+
+  /**
+   * Removes event listeners added by make, draw, objectToElement, on and the other Elementool APIs.
+   *
+   * @param {Element} element - The Element listened on.
+   * @param {string} optionalKey - The event name and delegation selector, e.g. 'click' or 'click .row'.
+   *   Without it, every listener is removed.
+   * @param {Function|string} optionalListener - Only remove this function or named handler.
+   */
+  this.off = function (element, optionalKey, optionalListener) {
+    var parsedKey = optionalKey ? this.util.parseListenerKey(optionalKey) : undefined;
+    var resolved = optionalListener ? this.util.resolveListener(optionalListener) : undefined;
+    var handler = resolved ? resolved.handler : optionalListener;
+    this.util.removeEventListeners(element, (element._listeners || []).filter(function (record) {
+      return (!parsedKey || (record.event === parsedKey.event && record.selector === parsedKey.selector)) &&
+        (!handler || record.handler === handler);
+    }));
+  };
+
+  /**
+   * Binds a form control to a value in a store (see store) or a signal, both ways: the control
+   * shows the value and follows its changes, and user input writes back to it. Works with text
+   * inputs, textareas, selects (multiple selects hold arrays), checkboxes (booleans, or membership
+   * of their value in an array), radio buttons (the value of the checked one) and number and range
+   * inputs (numbers). When the store has no value at the path yet, it takes the control's value.
+   *
+   * @param {Element} element - The input, select or textarea.
+   * @param {Object} store - A store, or a signal.
+   * @param {string} path - The dotted path in the store, e.g. 'user.name'. Not used for signals.
+   * @returns {Function} A function that removes the binding. dispose() removes it as well.
+   *
+   * @example
+   *
+   * var form = el.store({ user: { name: '', newsletter: false } });
+   * el.bind(el.make('input[type=text]').appendTo(document.body), form, 'user.name');
+   * el.bind(el.make('input[type=checkbox]').appendTo(document.body), form, 'user.newsletter');
+   */
+  this.bind = function (element, store, path) {
+    var read = store.$isStore ? function () { return store.$get(path); } : store.get;
+    var peek = store.$isStore ? function () { return store.$get(path); } : store.peek;
+    var write = store.$isStore ? function (value) { store.$set(path, value); } : store.set;
+
+    if (peek() === undefined && (element.type !== "radio" || element.checked)) {
+      write(this.util.readControlValue(element));
+    }
+
+    var binding = {
+      dependencies: [],
+      notify: function () {
+        self.util.clearDependencies(binding);
+        self.util.writeControlValue(element, self.util.trackDependencies(binding, read));
+      }
+    };
+    binding.notify();
+
+    var event = ["checkbox", "radio", "select-one", "select-multiple"].indexOf(element.type) > -1 ? "change" : "input";
+    var record = this.util.addTrackedEventListener(element, event, function () {
+      write(self.util.readControlValue(element, peek()));
+    });
+    element._bindings = (element._bindings || []).concat(binding);
+
+    return function () {
+      self.util.clearDependencies(binding);
+      self.util.removeEventListeners(element, [record]);
+      element._bindings = element._bindings.filter(function (b) { return b !== binding; });
+    };
+  };
+
+  /**
+   * Reads the values of a form's named controls into an object. Field names can nest:
+   * 'user.name' and 'user[name]' set user.name, 'items[0].id' builds arrays, and 'tags[]' collects
+   * several fields into an array. Checkboxes that share their name with others give arrays of the
+   * checked values; a lone checkbox gives a boolean, or its value when it has one and is checked.
+   * Number and range inputs give numbers. Disabled controls and buttons are left out.
+   *
+   * @param {Element} form - The form, or another element containing the controls.
+   * @returns {Object} The values.
+   *
+   * @example
+   *
+   * el.on(form, 'submit', function (event) { event.preventDefault(); save(el.formToObject(form)); });
+   */
+  this.formToObject = function (form) {
+    var values = {};
+    var controls = this.util.formControls(form);
+    controls.forEach(function (control) {
+      var keys = self.util.parseFieldName(control.name);
+      var current = self.util.getFieldValue(values, keys);
+      if (control.type === "checkbox") {
+        var isGroup = keys[keys.length - 1] === "" || controls.filter(function (c) { return c.type === "checkbox" && c.name === control.name; }).length > 1;
+        if (isGroup) {
+          if (current === undefined) self.util.setFieldValue(values, keys[keys.length - 1] === "" ? keys.slice(0, -1) : keys, current = []);
+          if (control.checked) current.push(control.value);
+        } else if (!control.hasAttribute("value")) {
+          self.util.setFieldValue(values, keys, control.checked);
+        } else if (control.checked) {
+          self.util.setFieldValue(values, keys, control.value);
+        }
+      } else if (control.type === "radio") {
+        if (control.checked) self.util.setFieldValue(values, keys, control.value);
+      } else {
+        self.util.setFieldValue(values, keys, self.util.readControlValue(control));
+      }
+    });
+    return values;
+  };
+
+  /**
+   * Fills a form's named controls from an object; the reverse of formToObject. Controls whose
+   * field has no value in the object are left as they are.
+   *
+   * @param {Element} form - The form, or another element containing the controls.
+   * @param {Object} values - The values.
+   * @returns {Element} The form.
+   */
+  this.objectToForm = function (form, values) {
+    var positions = {};
+    this.util.formControls(form).forEach(function (control) {
+      var keys = self.util.parseFieldName(control.name);
+      var value = self.util.getFieldValue(values, keys);
+      if (keys[keys.length - 1] === "" && Array.isArray(value) && control.type !== "checkbox" && control.type !== "select-multiple") {
+        // Fields named like 'tags[]' take the items of the array in turn.
+        positions[control.name] = positions[control.name] || 0;
+        value = value[positions[control.name]++];
+      }
+      if (value !== undefined) self.util.writeControlValue(control, value);
+    });
+    return form;
+  };
+
+  /**
+   * Validates a form's named controls, and marks the invalid ones with aria-invalid and an error
+   * message (see accessibilityHelpers.invalid); valid ones are cleared. Controls are checked
+   * against their HTML constraints (required, pattern, min...) and against the given rules, keyed
+   * by field name. A rule is an object with any of required, min, max, minLength, maxLength,
+   * pattern, validate (a function returning false or an error message) and message, or a function
+   * of the value and all values that returns an error message when the value is invalid.
+   *
+   * @param {Element} form - The form, or another element containing the controls.
+   * @param {Object} optionalRules - The rules for each field name; a rule or an array of rules.
+   * @returns {Object} { valid, errors (messages by field name), values (see formToObject) }.
+   *
+   * @example
+   *
+   * var result = el.validateForm(form, {
+   *   email: { required: true, pattern: /@/, message: 'Enter an email address' },
+   *   confirm: function (value, values) { if (value !== values.password) return 'Passwords differ'; }
+   * });
+   */
+  this.validateForm = function (form, optionalRules) {
+    var rules = optionalRules || {};
+    var values = this.formToObject(form);
+    var errors = {};
+    var groups = {};
+    var names = [];
+    this.util.formControls(form).forEach(function (control) {
+      if (!groups[control.name]) {
+        groups[control.name] = [];
+        names.push(control.name);
+      }
+      groups[control.name].push(control);
+    });
+
+    names.forEach(function (name) {
+      var controls = groups[name];
+      var message;
+      controls.some(function (control) {
+        if (control.validity && !control.validity.valid) message = control.validationMessage || "Invalid value";
+        return !!message;
+      });
+      if (!message) {
+        message = self.util.checkFieldRules(self.util.getFieldValue(values, self.util.parseFieldName(name)), rules[name], values);
+      }
+      // Radio buttons and checkboxes sharing a name show one message, after the first of them.
+      controls.forEach(function (control, index) {
+        if (!message) {
+          self.accessibilityHelpers.valid(control);
+        } else if (index === 0) {
+          self.accessibilityHelpers.invalid(control, message);
+        } else {
+          control.setAttribute("aria-invalid", "true");
+        }
+      });
+      if (message) errors[name] = message;
+    });
+
+    return { valid: !names.some(function (name) { return errors[name]; }), errors: errors, values: values };
+  };
+
+  /**
+   * Wraps elements in a chainable collection that works on any DOM node, not only those built by
+   * make. Elements in the collection get the Elementool element methods (appendTo, setStyles,
+   * setAttributes, setContent, render...), which the collection calls on each of them.
+   *
+   * @param {string|Node|Node[]|NodeList|Object} target - A CSS selector, a node, an array or list
+   *   of nodes, or another collection.
+   * @param {Element} optionalContext - The element to search with a selector. Defaults to the document.
+   * @returns {Object} The collection: an array-like object with the elements at its indices, a
+   *   length, and chainable methods.
+   *
+   * @example
+   *
+   * el.select('.todo li')
+   *   .toggleClass('done', true)
+   *   .setStyles({ opacity: 0.5 })
+   *   .on('click', function () { el.select(this).remove(true); });
+   */
+  this.select = function (target, optionalContext) {
+    var nodes = [];
+    (function collect(item) {
+      if (item === undefined || item === null) return;
+      if (typeof item === "string") {
+        collect((optionalContext || self.document).querySelectorAll(item));
+      } else if (typeof item.nodeType === "number") {
+        if (nodes.indexOf(item) < 0) nodes.push(item);
+      } else if (typeof item.length === "number") {
+        Array.prototype.forEach.call(item, collect);
+      }
+    })(target);
+
+    nodes.forEach(function (node) {
+      if (self.util.isElement(node) && typeof node.render !== "function") self.util.decorateElement(node);
+    });
+
+    var collection = { $isCollection: true, length: nodes.length };
+    nodes.forEach(function (node, index) { collection[index] = node; });
+
+    function forEachElement(callback) {
+      nodes.forEach(function (node, index) {
+        if (self.util.isElement(node)) callback(node, index);
+      });
+      return collection;
+    }
+
+    function classNames(names) {
+      return Array.prototype.slice.call(names).join(" ").split(/\s+/).filter(function (name) { return !!name; });
+    }
+
+    collection.toArray = function () { return nodes.slice(); };
+    collection.get = function (index) { return nodes[index < 0 ? nodes.length + index : index]; };
+    collection.first = function () { return self.select(nodes[0]); };
+    collection.each = function (callback) {
+      nodes.forEach(function (node, index) { callback.call(node, node, index); });
+      return collection;
+    };
+    collection.filter = function (selectorOrFunction) {
+      return self.select(nodes.filter(function (node, index) {
+        if (typeof selectorOrFunction === "function") return selectorOrFunction.call(node, node, index);
+        return self.util.isElement(node) && node.matches(selectorOrFunction);
+      }));
+    };
+    collection.find = function (selector) {
+      var found = [];
+      forEachElement(function (element) { found.push(element.querySelectorAll(selector)); });
+      return self.select(found);
+    };
+    collection.closest = function (selector) {
+      var found = [];
+      forEachElement(function (element) { found.push(element.closest(selector)); });
+      return self.select(found);
+    };
+
+    collection.appendTo = function (parent) {
+      var target = self.select(parent)[0];
+      if (target) nodes.forEach(function (node) { target.appendChild(node); });
+      return collection;
+    };
+    collection.remove = function (optionalDispose) {
+      nodes.forEach(function (node) { self.remove(node, optionalDispose); });
+      return collection;
+    };
+
+    ["setStyles", "setAttributes", "setContent", "render", "onMount", "onUnmount"].forEach(function (method) {
+      collection[method] = function () {
+        var args = arguments;
+        return forEachElement(function (element) { element[method].apply(element, args); });
+      };
+    });
+
+    collection.addClass = function () {
+      var names = classNames(arguments);
+      return forEachElement(function (element) { names.forEach(function (name) { element.classList.add(name); }); });
+    };
+    collection.removeClass = function () {
+      var names = classNames(arguments);
+      return forEachElement(function (element) { names.forEach(function (name) { element.classList.remove(name); }); });
+    };
+    collection.toggleClass = function (name, optionalForce) {
+      return forEachElement(function (element) { element.classList.toggle(name, optionalForce); });
+    };
+    collection.hasClass = function (name) {
+      return nodes.some(function (node) { return self.util.isElement(node) && node.classList.contains(name); });
+    };
+
+    collection.on = function (key, listener) {
+      return forEachElement(function (element) { self.on(element, key, listener); });
+    };
+    collection.off = function (optionalKey, optionalListener) {
+      return forEachElement(function (element) { self.off(element, optionalKey, optionalListener); });
+    };
+
+    return collection;
+  };
+
   /**
    * Removes the specified element from its parent node.
    * @param {Element} element - The Element to be removed.
+   * @param {boolean} optionalDispose - Whether to dispose the element as well (see dispose).
    */
-  this.remove = function (element) {
+  this.remove = function (element, optionalDispose) {
     if (element && element.parentNode) {
       element.parentNode.removeChild(element);
     }
+    if (element && optionalDispose) this.dispose(element);
   };
 
   /**
    * Removes all child nodes of the specified element.
    * @param {Element} element - The Element whose child nodes will be removed.
+   * @param {boolean} optionalDispose - Whether to dispose the removed elements as well (see dispose).
    */
-  this.removeAllChildren = function (element) {
+  this.removeAllChildren = function (element, optionalDispose) {
     while (element.firstChild) {
-      element.removeChild(element.firstChild);
+      var child = element.removeChild(element.firstChild);
+      if (optionalDispose) this.dispose(child);
+    }
+  };
+
+  /**
+   * Releases everything Elementool holds for an element and its descendants, so they can be garbage
+   * collected: they are unregistered from render(), unsubscribed from signals, their tracked event
+   * listeners are removed and their SMIL animations are stopped and removed.
+   * Disposed elements are left in place; use destroy to remove them too.
+   *
+   * @param {Element} element - The root of the subtree to dispose.
+   * @returns {Element} The element.
+   */
+  this.dispose = function (element) {
+    var animationNames = ["animate", "animateTransform", "animateMotion", "set"];
+    var animations = [];
+    this.util.walk(element, function (e) {
+      self.util.unregisterDynamicElement(e);
+      var pending = self._pendingRenders.indexOf(e);
+      if (pending > -1) self._pendingRenders.splice(pending, 1);
+      if (e._reactiveDependent) self.util.clearDependencies(e._reactiveDependent);
+      (e._bindings || []).forEach(function (binding) { self.util.clearDependencies(binding); });
+      delete e._bindings;
+      self.util.removeEventListeners(e, e._listeners || []);
+      delete e._dynamicContent;
+      delete e._dynamicStyles;
+      delete e._dynamicAttributes;
+      delete e._dynamicTextNodes;
+      delete e._renderedList;
+      if (e._defsRegistry) e._defsRegistry.disconnect();
+      if (e.isSvg && animationNames.indexOf(e.localName) > -1) animations.push(e);
+    });
+    animations.forEach(function (animation) {
+      if (typeof animation.endElement === "function") {
+        try { animation.endElement(); } catch (e) { /* not running */ }
+      }
+      self.remove(animation);
+    });
+    return element;
+  };
+
+  /**
+   * Disposes an element and its descendants (see dispose) and removes it from its parent.
+   * @param {Element} element - The Element to destroy.
+   */
+  this.destroy = function (element) {
+    this.remove(element, true);
+  };
+
+  /**
+   * Registers a function to call when the element is attached to the document. If it already is,
+   * the function is called straight away. Attachment is detected with a MutationObserver.
+   * @param {Element} element - The Element to watch.
+   * @param {Function} hook - Called with the element.
+   */
+  this.onMount = function (element, hook) {
+    element._onMount = (element._onMount || []).concat(hook);
+    if (this.util.isConnected(element)) {
+      element._mounted = true;
+      hook.call(element, element);
     }
+    this.util.observeLifecycle();
+  };
+
+  /**
+   * Registers a function to call when the element is detached from the document.
+   * Detachment is detected with a MutationObserver.
+   * @param {Element} element - The Element to watch.
+   * @param {Function} hook - Called with the element.
+   */
+  this.onUnmount = function (element, hook) {
+    element._onUnmount = (element._onUnmount || []).concat(hook);
+    if (this.util.isConnected(element)) element._mounted = true;
+    this.util.observeLifecycle();
   };
 
   /**
@@ -1145,15 +7625,97 @@ function Elementool() {
    * @param {Element|Element[]} contentToAppend - A single Element or an array of Elements to be appended.
    */
   this.append = function (element, contentToAppend) {
-    if (contentToAppend instanceof Element) {
+    if (self.util.isElement(contentToAppend)) {
       element.appendChild(contentToAppend);
     } else if (Array.isArray(contentToAppend)) {
       contentToAppend.forEach(function (child) {
-        if (child instanceof Element) {
+        if (self.util.isElement(child)) {
           element.appendChild(child);
         }
       });
     }
   };
 
+
+  /**
+   * Renders a list of items into a container, reusing the elements of items whose keys were
+   * rendered before. Only the children that changed are created, moved or removed, so focus,
+   * scroll positions and listeners on unchanged children are kept.
+   *
+   * The container should only hold the elements rendered by renderList. Keys are compared as strings
+   * and must be unique. Works with HTML (make) and SVG (draw) children alike.
+   *
+   * @param {Element} container - The Element the list is rendered into.
+   * @param {Array} items - The items to render, in order.
+   * @param {Function} keyFn - Returns the key of an item: keyFn(item, index).
+   * @param {Function} itemFactory - Creates the Element for an item with a new key: itemFactory(item, index).
+   * @param {Function} optionalUpdate - Called for items whose Element is reused: optionalUpdate(element, item, index).
+   * @returns {Element} The container.
+   *
+   * @example
+   *
+   * el.renderList(tbody, rows, function (row) { return row.id; }, function (row) {
+   *   return el.make('tr', [el.make('td', row.name)]);
+   * });
+   */
+  this.renderList = function (container, items, keyFn, itemFactory, optionalUpdate) {
+    var previous = container._renderedList || { keys: [], elements: {} };
+    var previousPositions = {};
+    previous.keys.forEach(function (key, index) { previousPositions[key] = index; });
+
+    var keys = [];
+    var elements = {};
+    (items || []).forEach(function (item, index) {
+      var key = String(keyFn(item, index));
+      if (elements.hasOwnProperty(key)) {
+        throw new Error("renderList: duplicate key '" + key + "'");
+      }
+      var element = previous.elements[key];
+      if (element) {
+        if (typeof optionalUpdate === "function") optionalUpdate(element, item, index);
+      } else {
+        element = itemFactory(item, index);
+      }
+      keys.push(key);
+      elements[key] = element;
+    });
+
+    // Remove the elements of items that have gone.
+    previous.keys.forEach(function (key) {
+      if (!elements.hasOwnProperty(key) && previous.elements[key].parentNode === container) {
+        container.removeChild(previous.elements[key]);
+      }
+    });
+
+    // Elements whose previous positions form the longest increasing run can stay where they are;
+    // everything else is inserted before its next sibling, working backwards from the end.
+    var reusedPositions = [];
+    var reusedKeys = [];
+    keys.forEach(function (key) {
+      if (previousPositions.hasOwnProperty(key) && previous.elements[key] === elements[key]) {
+        reusedPositions.push(previousPositions[key]);
+        reusedKeys.push(key);
+      }
+    });
+    var stationary = {};
+    this.util.longestIncreasingSubsequence(reusedPositions).forEach(function (position) {
+      stationary[reusedKeys[position]] = true;
+    });
+
+    var nextSibling = null;
+    for (var i = keys.length - 1; i >= 0; i--) {
+      var element = elements[keys[i]];
+      if (!stationary[keys[i]] || element.parentNode !== container) {
+        container.insertBefore(element, nextSibling);
+      }
+      nextSibling = element;
+    }
+
+    container._renderedList = { keys: keys, elements: elements };
+    return container;
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Elementool;
 }
@@ -39,4 +39,1721 @@ describe('append function', () => {
     expect(element.firstChild).toBe(children[0]);
     expect(element.lastChild).toBe(children[2]);
   });
-});
\ No newline at end of file
+});
+
+describe('renderToString', () => {
+  const Elementool = require('./index.js');
+  let server;
+
+  beforeEach(() => {
+    server = new Elementool({ document: new Elementool().util.createVirtualDocument() });
+  });
+
+  test('serializes definitions without a DOM', () => {
+    const markup = server.renderToString({
+      make: 'div#card.card',
+      content: [{ make: 'h2', content: 'Fish & <Chips>' }, { make: 'br' }],
+      styles: { marginLeft: '2px', '--accent': 'red' }
+    });
+    expect(markup).toBe('<div id="card" class="card" style="margin-left: 2px; --accent: red;"><h2>Fish &amp; &lt;Chips&gt;</h2><br></div>');
+  });
+
+  test('adds namespaces to SVG roots and self-closes empty SVG elements', () => {
+    const markup = server.renderToString({ draw: 'svg[width=10]', content: [{ draw: 'circle[r=5]' }] });
+    expect(markup).toBe('<svg xmlns="http://www.w3.org/2000/svg" width="10"><circle r="5"/></svg>');
+  });
+
+  test('evaluates dynamic values once and does not keep the built elements', () => {
+    const content = jest.fn(() => 'now');
+    expect(server.renderToString({ make: 'p', content: content, attributes: { title: () => 'x"y' } })).toBe('<p title="x&quot;y">now</p>');
+    expect(content).toHaveBeenCalledTimes(1);
+    expect(server.elementsWithDynamicValues.length).toBe(0);
+  });
+
+  test('escapes closing tags in raw text and declares float once', () => {
+    const markup = server.renderToString({ make: 'script', content: 'var s = "</script><b>";' });
+    expect(markup).toBe('<script>var s = "<\\/script><b>";</script>');
+
+    const element = server.make('div', '', { cssFloat: 'left' });
+    element.style.float = 'right';
+    expect(server.renderToString(element)).toBe('<div style="float: right;"></div>');
+  });
+
+  test('serializes live DOM elements', () => {
+    const el = new dom.window.Elementool();
+    const element = el.make('ul', [el.make('li', 'one'), el.draw('svg')]);
+    expect(el.renderToString(element)).toBe('<ul><li>one</li><svg xmlns="http://www.w3.org/2000/svg"/></ul>');
+  });
+});
+
+
+describe('hydrate', () => {
+  let el;
+  let container;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    container = document.createElement('div');
+  });
+
+  test('reattaches methods, listeners and dynamic values to existing markup', () => {
+    let count = 0;
+    const click = jest.fn();
+    const definition = {
+      make: 'section.counter',
+      content: [
+        { make: 'span', content: () => 'Count: ' + count },
+        { make: 'button', content: 'Add', listeners: { click: click } }
+      ]
+    };
+    container.innerHTML = el.renderToString(definition);
+    const section = container.firstChild;
+
+    const result = el.hydrate(section, definition);
+    expect(result.mismatches).toEqual([]);
+    expect(section.firstChild.textContent).toBe('Count: 0');
+
+    section.lastChild.dispatchEvent(new dom.window.Event('click'));
+    expect(click).toHaveBeenCalledTimes(1);
+
+    count = 3;
+    section.firstChild.render();
+    expect(section.firstChild.textContent).toBe('Count: 3');
+    expect(typeof section.setStyles).toBe('function');
+  });
+
+  test('subscribes hydrated dynamic values to the signals they read', () => {
+    const count = el.signal(1);
+    const definition = { make: 'p', content: () => String(count.get()), styles: { width: () => count.get() + 'px' }, attributes: { title: () => 'n' + count.get() } };
+    container.innerHTML = el.renderToString(definition);
+    expect(el.hydrate(container.firstChild, definition).mismatches).toEqual([]);
+    count.set(2);
+    el.flushRenders();
+    expect(container.innerHTML).toBe('<p style="width: 2px;" title="n2">2</p>');
+  });
+
+  test('reports mismatches with their paths', () => {
+    container.innerHTML = '<ul class="list"><li>One</li><p>Two</p></ul>';
+    const result = el.hydrate(container.firstChild, {
+      make: 'ul.list.wide',
+      content: [{ make: 'li', content: 'One' }, { make: 'li', content: 'Three' }]
+    });
+    expect(result.mismatches.map((m) => m.path)).toEqual(['', 'content[1]', 'content[1]']);
+    expect(result.mismatches[0].expected).toBe('wide');
+  });
+});
+
+
+describe('renderList', () => {
+  let el;
+  let factory;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    factory = jest.fn((item) => el.make('li', item.label));
+  });
+
+  const ids = (items) => items.map((id) => ({ id: id, label: 'Item ' + id }));
+  const key = (item) => item.id;
+
+  test('reuses elements by key and only moves the ones that changed position', () => {
+    const list = el.make('ul');
+    el.renderList(list, ids([1, 2, 3, 4, 5]), key, factory);
+    const first = list.firstChild;
+    const insertBefore = jest.spyOn(list, 'insertBefore');
+
+    el.renderList(list, ids([5, 1, 2, 3, 4]), key, factory);
+    expect(Array.from(list.children).map((li) => li.textContent)).toEqual(['Item 5', 'Item 1', 'Item 2', 'Item 3', 'Item 4']);
+    expect(insertBefore).toHaveBeenCalledTimes(1);
+    expect(list.children[1]).toBe(first);
+    expect(factory).toHaveBeenCalledTimes(5);
+  });
+
+  test('creates new items, removes missing ones and updates reused ones', () => {
+    const list = el.make('ul');
+    const update = jest.fn();
+    el.renderList(list, ids([1, 2, 3]), key, factory);
+    el.renderList(list, ids([3, 4]), key, factory, update);
+    expect(Array.from(list.children).map((li) => li.textContent)).toEqual(['Item 3', 'Item 4']);
+    expect(update).toHaveBeenCalledWith(list.firstChild, { id: 3, label: 'Item 3' }, 0);
+  });
+
+  test('renders SVG children and rejects duplicate keys', () => {
+    const group = el.draw('g');
+    el.renderList(group, [10, 20], (x) => x, (x) => el.svgHelpers.circle(x, x, 5));
+    expect(Array.from(group.children).map((c) => c.getAttribute('cx'))).toEqual(['10', '20']);
+    expect(() => el.renderList(group, [1, 1], (x) => x, (x) => el.draw('rect'))).toThrow('duplicate key');
+  });
+});
+
+
+describe('reactive state', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool({ scheduler: () => {} });
+  });
+
+  test('re-renders only the elements that read a signal, once per batch', () => {
+    const count = el.signal(1);
+    const other = el.signal('a');
+    const counter = el.make('p', () => 'Count: ' + count.get(), { width: () => count.get() * 10 + 'px' });
+    const unrelated = el.make('p', () => other.get());
+    const render = jest.spyOn(unrelated, 'render');
+    const counterRender = jest.spyOn(counter, 'render');
+
+    count.set(2);
+    count.set(3);
+    expect(counter.textContent).toBe('Count: 1');
+    el.flushRenders();
+    expect(counter.textContent).toBe('Count: 3');
+    expect(counter.style.width).toBe('30px');
+    expect(counterRender).toHaveBeenCalledTimes(1);
+    expect(render).not.toHaveBeenCalled();
+  });
+
+  test('renders the rest of a batch when one element throws', () => {
+    const count = el.signal(1);
+    el.make('p', () => {
+      if (count.get() > 1) throw new Error('Broken');
+      return 'fine';
+    });
+    const second = el.make('p', () => 'Count: ' + count.get());
+    count.set(2);
+    expect(() => el.flushRenders()).toThrow('Broken');
+    expect(second.textContent).toBe('Count: 2');
+  });
+
+  test('tracks nested store properties and computed values', () => {
+    const state = el.store({ user: { first: 'Ada', last: 'Lovelace' } });
+    const fullName = el.computed(() => state.user.first + ' ' + state.user.last);
+    const heading = el.make('h1', () => fullName.get(), undefined);
+    const title = el.make('p', undefined).setAttributes({ title: () => state.$get('user.last') });
+
+    state.user.first = 'Augusta';
+    state.$set('user.last', 'King');
+    el.flushRenders();
+    expect(heading.textContent).toBe('Augusta King');
+    expect(title.getAttribute('title')).toBe('King');
+    expect(state.$toObject()).toEqual({ user: { first: 'Augusta', last: 'King' } });
+  });
+
+  test('batches renders through the scheduler', () => {
+    const scheduled = [];
+    const batched = new dom.window.Elementool({ scheduler: (callback) => scheduled.push(callback) });
+    const value = batched.signal('x');
+    const element = batched.make('span', () => value.get());
+    value.set('y');
+    value.set('z');
+    expect(scheduled.length).toBe(1);
+    scheduled[0]();
+    expect(element.textContent).toBe('z');
+  });
+});
+
+
+describe('render', () => {
+  let el;
+  let value;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    value = 'a';
+  });
+
+  test('renders the whole subtree with deep: true', () => {
+    const inner = el.make('span', () => value);
+    const outer = el.make('div', [el.make('p', [inner])]);
+    value = 'b';
+    outer.render();
+    expect(inner.textContent).toBe('a');
+    outer.render({ deep: true });
+    expect(inner.textContent).toBe('b');
+  });
+
+  test('skips detached elements when rendering globally', () => {
+    const attached = el.make('p', () => value).appendTo(document.body);
+    const detached = el.make('p', () => value);
+    value = 'b';
+    el.render();
+    expect(attached.textContent).toBe('b');
+    expect(detached.textContent).toBe('a');
+    attached.remove();
+  });
+
+  test('stops scoped renders at nested render roots', () => {
+    const widgetText = el.make('span', () => value);
+    const widget = el.renderRoot(el.make('div.widget', [widgetText]));
+    const pageText = el.make('span', () => value);
+    const page = el.make('main', [pageText, widget]);
+    value = 'b';
+    el.render(page);
+    expect(pageText.textContent).toBe('b');
+    expect(widgetText.textContent).toBe('a');
+    widget.render({ deep: true });
+    expect(widgetText.textContent).toBe('b');
+  });
+});
+
+
+describe('lifecycle', () => {
+  let el;
+  const mutationsDelivered = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('dispose unregisters dynamic values, signals, listeners and animations', () => {
+    const count = el.signal(0);
+    const click = jest.fn();
+    const label = el.make('span', () => count.get());
+    const button = el.make('button', [label], undefined, { click: click });
+    const circle = el.draw('circle');
+    circle.animate('r', '1', '2');
+
+    el.dispose(button);
+    el.dispose(circle);
+    button.dispatchEvent(new dom.window.Event('click'));
+    count.set(1);
+    expect(click).not.toHaveBeenCalled();
+    expect(el.elementsWithDynamicValues).not.toContain(label);
+    expect(el._pendingRenders).toEqual([]);
+    expect(circle.children.length).toBe(0);
+  });
+
+  test('destroy and removeAllChildren dispose the removed subtrees', () => {
+    const parent = el.make('ul', [el.make('li', () => 'a'), el.make('li', () => 'b')]);
+    const dynamicChild = parent.firstChild;
+    el.removeAllChildren(parent, true);
+    expect(el.elementsWithDynamicValues).not.toContain(dynamicChild);
+
+    const item = el.make('p', () => 'c').appendTo(parent);
+    el.destroy(item);
+    expect(item.parentNode).toBeNull();
+    expect(el.elementsWithDynamicValues.length).toBe(0);
+  });
+
+  test('runs mount and unmount hooks', async () => {
+    const events = [];
+    const element = el.make('div')
+      .onMount(() => events.push('mount'))
+      .onUnmount(() => events.push('unmount'));
+    document.body.appendChild(element);
+    await mutationsDelivered();
+    element.remove();
+    await mutationsDelivered();
+    expect(events).toEqual(['mount', 'unmount']);
+  });
+
+  test('disposes detached elements automatically with autoDispose', async () => {
+    const auto = new dom.window.Elementool({ autoDispose: true });
+    const element = auto.make('p', () => 'x').appendTo(document.body);
+    element.remove();
+    await mutationsDelivered();
+    expect(auto.elementsWithDynamicValues).not.toContain(element);
+  });
+});
+
+
+describe('selector parsing', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('parses escapes, namespaced tags, quoted values and boolean attributes', () => {
+    expect(el.util.selectorToComponents('svg:rect#a\\:b.c\\.d[title="x ] > y"][disabled]')).toEqual({
+      tagName: 'rect',
+      id: 'a:b',
+      classList: ['c.d'],
+      attributes: { title: 'x ] > y', disabled: '' },
+      namespacePrefix: 'svg',
+      namespace: 'http://www.w3.org/2000/svg'
+    });
+    expect(el.make('svg:circle[r=5]').namespaceURI).toBe('http://www.w3.org/2000/svg');
+  });
+
+  test('splits on the last combinator outside attribute values', () => {
+    expect(el.util.resolveRelativeElement('main .list > li[title="a + b ~ c"]')).toEqual({
+      elementDefinition: 'li[title="a + b ~ c"]',
+      combinator: '>',
+      parentElement: 'main .list',
+      siblingElement: undefined,
+      generalSiblingElement: undefined
+    });
+    expect(el.util.resolveRelativeElement('h1 ~ p').generalSiblingElement).toBe('h1');
+  });
+
+  test('places elements after general siblings', () => {
+    const section = el.make('section#placement', [el.make('h1'), el.make('p')]).appendTo(document.body);
+    const note = el.make('#placement h1 ~ aside');
+    expect(section.lastChild).toBe(note);
+    section.remove();
+  });
+
+  test('puts xlink: and xml: attributes in their namespaces', () => {
+    const use = el.draw('use[xlink:href=#a][xml:lang=en]');
+    expect(use.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe('#a');
+    expect(use.getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang')).toBe('en');
+  });
+
+  test('throws clear errors for unsupported syntax', () => {
+    expect(() => el.util.selectorToComponents('a:hover')).toThrow('Pseudo-classes and pseudo-elements are not supported at position 1');
+    expect(() => el.make('a:hover')).toThrow('Pseudo-classes');
+    expect(el.util.selectorToComponents('#x\\110000').id).toBe('x\uFFFD');
+    expect(() => el.util.selectorToComponents('a[href^=http]')).toThrow("Unsupported attribute operator '^='");
+    expect(() => el.util.selectorToComponents('*')).toThrow('universal selector');
+    expect(() => el.util.resolveRelativeElement('div[title="open')).toThrow('Unterminated string');
+  });
+});
+
+
+describe('abbreviations', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('builds nested, multiplied and numbered elements', () => {
+    const list = el.make('ul.list>li.item*3>a[href=#]{Item $}');
+    expect(list.outerHTML).toBe('<ul class="list"><li class="item"><a href="#">Item 1</a></li><li class="item"><a href="#">Item 2</a></li><li class="item"><a href="#">Item 3</a></li></ul>');
+    expect(typeof list.lastChild.firstChild.setStyles).toBe('function');
+  });
+
+  test('supports groups, climbing up, text nodes and padded, reversed numbering', () => {
+    const definitions = el.make('dl>(dt{Term $}+dd{Detail $})*2^p#note$$@-', undefined, { color: 'red' });
+    expect(definitions.toArray().map((e) => e.outerHTML)).toEqual([
+      '<dl style="color: red;"><dt>Term 1</dt><dd>Detail 1</dd><dt>Term 2</dt><dd>Detail 2</dd></dl>',
+      '<p id="note01" style="color: red;"></p>'
+    ]);
+    expect(el.make('p>{Click }+a{here}').outerHTML).toBe('<p>Click <a>here</a></p>');
+  });
+
+  test('accepts attributes, text and multiplication in any order', () => {
+    expect(el.make('ul>li*2{Item $}.item').outerHTML).toBe('<ul><li class="item">Item 1</li><li class="item">Item 2</li></ul>');
+    const circles = el.draw('svg>g>circle*2[r=$]').querySelectorAll('circle');
+    expect(Array.from(circles).map((circle) => circle.getAttribute('r'))).toEqual(['1', '2']);
+    expect(el.make('p>a{Link}[href=#$]*2').innerHTML).toBe('<a href="#1">Link</a><a href="#2">Link</a>');
+    expect(() => el.make('ul>li*2*3')).toThrow("Unexpected character '*'");
+  });
+
+  test('returns a chainable collection for several top-level nodes', () => {
+    const container = el.make('div');
+    const pair = el.make('dt{A}+dd{B}*2').setAttributes({ title: 'x' }).appendTo(container);
+    expect(pair.length).toBe(3);
+    expect(container.innerHTML).toBe('<dt title="x">A</dt><dd title="x">B</dd><dd title="x">B</dd>');
+    expect(() => el.make('h1{Title}~p*2')).toThrow("General sibling placement ('~') is not supported in abbreviations");
+  });
+
+  test('creates SVG children with draw and inside svg elements', () => {
+    const group = el.draw('g>circle[r=$]*2');
+    expect(group.lastChild.namespaceURI).toBe('http://www.w3.org/2000/svg');
+    expect(group.lastChild.getAttribute('r')).toBe('2');
+    expect(el.make('figure>svg>rect*2').querySelector('rect').namespaceURI).toBe('http://www.w3.org/2000/svg');
+  });
+
+  test('leaves plain selectors and bad abbreviations to the selector rules', () => {
+    expect(el.util.isAbbreviation('ul>li')).toBe(false);
+    expect(el.util.isAbbreviation('li:nth-child(2) > b[title="x*2"]')).toBe(false);
+    expect(() => el.make('ul>(li*2')).toThrow("Expected ')'");
+  });
+});
+
+
+describe('tagged templates', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('binds attributes, styles, listeners and content', () => {
+    const click = jest.fn();
+    const item = el.make('li', 'from make');
+    const element = el.html`<ul class="list ${'wide'}" hidden=${false} onclick=${click} style=${{ color: 'red' }}>${[item, { make: 'li', content: 'from a definition' }]}<li>Fish &amp; ${'<chips>'}</li></ul>`;
+    expect(element.outerHTML).toBe('<ul class="list wide" style="color: red;"><li>from make</li><li>from a definition</li><li>Fish &amp; &lt;chips&gt;</li></ul>');
+    element.dispatchEvent(new dom.window.Event('click'));
+    expect(click).toHaveBeenCalledTimes(1);
+  });
+
+  test('turns functions into dynamic content, attributes and text', () => {
+    const count = el.signal(1);
+    const element = el.html`<p title=${() => 'Count ' + count.get()}>Count: ${() => count.get()}<b>${() => count.get() * 2}</b></p>`;
+    count.set(2);
+    expect(element.outerHTML).toBe('<p title="Count 1">Count: 1<b>2</b></p>');
+    el.flushRenders();
+    expect(element.outerHTML).toBe('<p title="Count 2">Count: 2<b>4</b></p>');
+    expect(el.elementsWithDynamicValues).toContain(element.lastChild);
+  });
+
+  test('parses each template once and switches namespaces', () => {
+    const circle = (r) => el.svg`<circle r=${r}/>`;
+    const parse = jest.spyOn(el.util, 'parseMarkupTemplate');
+    expect(circle(1).getAttribute('r')).toBe('1');
+    expect(circle(2).getAttribute('r')).toBe('2');
+    expect(el._templateCache.get(parse.mock.calls[0][0])).toBeDefined();
+    expect(circle(3).namespaceURI).toBe('http://www.w3.org/2000/svg');
+    const figure = el.html`<figure><svg><linearGradient id="g"/></svg></figure>`;
+    expect(figure.querySelector('linearGradient').namespaceURI).toBe('http://www.w3.org/2000/svg');
+  });
+
+  test('rejects malformed markup', () => {
+    expect(() => el.html`<div><p></div>`).toThrow('Unexpected closing tag </div>');
+  });
+});
+
+
+describe('definition validation', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('reports path-annotated errors', () => {
+    expect(el.validate({
+      make: 'ul',
+      content: [{ make: 'li', contents: 'One' }, { draw: 'circle', styles: { fill: null } }, 5, { make: 'p', draw: 'g' }, { make: 'a[href^=x]' }]
+    })).toEqual([
+      { path: 'content[0].contents', message: "Unknown property 'contents'" },
+      { path: 'content[1].styles.fill', message: 'Expected a string, a number or a function' },
+      { path: 'content[2]', message: 'Expected an element definition object' },
+      { path: 'content[3]', message: 'Only one of make, draw or math may be given' },
+      { path: 'content[4].make', message: "Unsupported attribute operator '^=' at position 6 in selector 'a[href^=x]'" }
+    ]);
+    expect(el.validate({ make: 'p', content: () => 'x', listeners: { click: () => {} } })).toEqual([]);
+  });
+
+  test('throws in strict mode instead of failing silently', () => {
+    const definition = { make: 'ul', content: [{ make: 'li', listeners: { click: 'noSuchHandler' } }] };
+    expect(el.objectToElement(definition)).toBeInstanceOf(dom.window.Element);
+    expect(() => el.objectToElement(definition, { strict: true })).toThrow('content[0].listeners.click: Expected a function, the name of a handler or global function');
+    const strict = new dom.window.Elementool({ strict: true });
+    expect(() => strict.objectToElement({ make: 'p', content: 3 })).toThrow(/^Invalid element definition/);
+    expect(el.objectToElement({ make: 'a:hover' })).toBeUndefined();
+  });
+
+  test('rejects abbreviations that create several elements', () => {
+    const definition = { make: 'li*2', attributes: { title: 'x' } };
+    expect(el.validate(definition)).toEqual([{ path: 'make', message: 'Abbreviations in definitions must create a single element' }]);
+    expect(el.objectToElement(definition)).toBeUndefined();
+    expect(() => el.objectToElement(definition, { strict: true })).toThrow('make: Abbreviations in definitions must create a single element');
+    expect(el.objectToElement({ make: 'ul>li*2', attributes: { title: 'x' } }, { strict: true }).outerHTML).toBe('<ul title="x"><li></li><li></li></ul>');
+  });
+
+  test('treats boolean attribute values as boolean attributes', () => {
+    const input = el.objectToElement({ make: 'input', attributes: { disabled: false, required: true } }, { strict: true });
+    expect(input.outerHTML).toBe('<input required="">');
+    expect(input.disabled).toBe(false);
+    input.setAttributes({ required: false });
+    expect(input.hasAttribute('required')).toBe(false);
+  });
+
+  test('publishes the schema', () => {
+    expect(JSON.parse(fs.readFileSync('definition.schema.json').toString())).toEqual(JSON.parse(JSON.stringify(el.definitionSchema)));
+  });
+});
+
+
+describe('elementToObject', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('captures selectors, attributes, styles and children', () => {
+    const element = el.make('div.card', [el.make('h2#title', 'Hello'), el.make('p', 'World')], { marginTop: '4px' });
+    element.setAttribute('data-id', '7');
+    expect(el.elementToObject(element)).toEqual({
+      make: '.card',
+      attributes: { 'data-id': '7' },
+      styles: { marginTop: '4px' },
+      content: [{ make: 'h2#title', content: 'Hello' }, { make: 'p', content: 'World' }]
+    });
+  });
+
+  test('picks draw and math from the namespace', () => {
+    const svg = el.draw('svg', [el.draw('circle[r=4]')]);
+    expect(el.elementToObject(svg)).toEqual({ draw: 'svg', content: { draw: 'circle', attributes: { r: '4' } } });
+    expect(el.elementToObject(el.math('mi', 'x'))).toEqual({ math: 'mi', content: 'x' });
+  });
+
+  test('round-trips mixed content and escaped names through objectToElement', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<p id="a:b" class="1st note">Hello <b>bold</b> world<!-- note --></p>\n';
+    const definition = el.elementToObject(container.firstChild);
+    expect(definition.make).toBe('p#a\\:b.\\31 st.note');
+    expect(el.validate(definition)).toEqual([]);
+    expect(el.objectToElement(definition, { strict: true }).outerHTML).toBe('<p id="a:b" class="1st note">Hello <b>bold</b> world</p>');
+  });
+
+  test('keeps whitespace between elements and drops indentation', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<p>\n  <b>a</b> <i>b</i>\n</p>';
+    expect(el.objectToElement(el.elementToObject(container.firstChild)).outerHTML).toBe('<p><b>a</b> <i>b</i></p>');
+  });
+
+  test('round-trips namespaced attributes and reports unknown namespaces', () => {
+    const use = el.draw('use[xlink:href=#a]');
+    const copy = el.objectToElement({ draw: 'svg', content: el.elementToObject(use) }, { strict: true });
+    expect(copy.firstChild.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe('#a');
+
+    const element = el.draw('g');
+    element.setAttributeNS('urn:example', 'ex:data', '1');
+    expect(() => el.elementToObject(element)).toThrow(/namespace urn:example/);
+  });
+});
+
+
+describe('templates', () => {
+  let el;
+  let card;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    card = {
+      props: { title: { type: 'string', required: true }, level: { type: 'number', default: 2 }, open: 'boolean' },
+      slots: ['footer'],
+      render: (props, slots) => el.make('article.card', [el.make('h' + props.level, props.title)].concat(slots.default, slots.footer))
+    };
+  });
+
+  test('reads props from attributes and sorts children into slots', () => {
+    el.templates.namespace('ui').define('card', card);
+    const element = el.make('ui:card#intro.wide[title=Hello][level=3][data-x=1]', [
+      el.make('small[slot=footer]', 'Bye'),
+      'Some text'
+    ], { color: 'red' });
+    expect(element.outerHTML).toBe('<article class="card wide" id="intro" data-x="1" style="color: red;"><h3>Hello</h3>Some text<small>Bye</small></article>');
+    expect(element._template.props).toEqual({ title: 'Hello', level: 3, open: undefined });
+    expect(typeof element.setContent).toBe('function');
+  });
+
+  test('checks prop types and required props', () => {
+    el.templates.define('card', card);
+    expect(() => el.make('card[level=3]')).toThrow("Missing required prop 'title'");
+    expect(() => el.make('card[title=a][level=high]')).toThrow("Prop 'level' expected a number");
+    expect(() => el.templates.render('card', { title: 1 })).toThrow("Prop 'title' expected a string but got a number");
+    expect(() => el.templates.render('card', { title: 'a', size: 1 })).toThrow("Unknown prop 'size'");
+    expect(() => el.make('card[title=a]', el.make('p[slot=header]'))).toThrow("Template 'card' has no slot 'header'");
+  });
+
+  test('can be overridden, removed and kept apart per instance and namespace', () => {
+    el.templates.define('card', card);
+    expect(() => el.templates.define('card', () => el.make('p'))).toThrow('already defined');
+    el.templates.define('card', () => el.make('p.replaced'), { override: true });
+    expect(el.make('card').className).toBe('replaced');
+    expect(el.templates.has('ui:card')).toBe(false);
+    expect(new dom.window.Elementool().templates.has('card')).toBe(false);
+    expect(el.templates.remove('card')).toBe(true);
+    expect(el.make('card').tagName).toBe('CARD');
+  });
+
+  test('keeps the behaviour of templates added with add', () => {
+    const calls = [];
+    expect(el.templates.add('legacy', function () { calls.push([].slice.call(arguments)); return el.make('b'); })).toBe(true);
+    expect(el.templates.add('Legacy', () => el.make('i'))).toBe(false);
+    el.make('legacy.x', 'text');
+    expect(calls[0].slice(0, 2)).toEqual(['.x', 'text']);
+  });
+
+  test('keeps templates as functions on el.templates', () => {
+    el.templates.define('card', card);
+    expect(Object.keys(el.templates)).toEqual(['card']);
+    expect(el.templates.card('[title=Hi].wide').outerHTML).toBe('<article class="card wide"><h2>Hi</h2></article>');
+
+    el.templates.badge = (rest, content) => el.make('span.badge' + rest, content);
+    expect(el.make('badge#b', 'New').outerHTML).toBe('<span id="b" class="badge">New</span>');
+    expect(el.templates.has('badge')).toBe(true);
+    expect(el.templates.remove('badge')).toBe(true);
+    expect(el.templates.badge).toBe(undefined);
+    expect(typeof el.templates.define).toBe('function');
+  });
+
+  test('work in objectToElement definitions with props and slots', () => {
+    el.templates.namespace('ui').define('card', card);
+    const definition = { make: 'ui:card', props: { title: 'Report', open: true }, slots: { footer: [{ make: 'small', content: 'End' }] }, content: 'Body' };
+    expect(el.validate(definition)).toEqual([]);
+    expect(el.objectToElement(definition, { strict: true }).outerHTML).toBe('<article class="card"><h2>Report</h2>Body<small>End</small></article>');
+    expect(el.validate({ make: 'ui:card', props: { title: 2 }, slots: { aside: 'x' } })).toEqual([
+      { path: 'props.title', message: "Prop 'title' expected a string but got a number" },
+      { path: 'slots.aside', message: "Template 'ui:card' has no slot 'aside'" }
+    ]);
+    expect(el.validate({ make: 'div', props: {} })).toEqual([{ path: 'props', message: 'props and slots can only be given to templates' }]);
+  });
+});
+
+
+describe('custom elements', () => {
+  let el;
+  let container;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    el.templates.define('card', {
+      props: { title: { type: 'string', default: 'Untitled' }, maxCount: { type: 'number', default: 1 } },
+      slots: ['footer'],
+      render: (props, slots) => el.make('article', [el.make('h2', () => props.title + ' ' + props.maxCount)].concat(slots.default, slots.footer))
+    });
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('renders a template with props from attributes and children in slots', () => {
+    const CardElement = el.templates.defineCustomElement('light-card', 'card');
+    expect(CardElement.observedAttributes).toEqual(['title', 'max-count']);
+    container.innerHTML = '<light-card title="Hi" max-count="3"><small slot="footer">Bye</small>Body</light-card>';
+    const card = container.firstChild;
+    expect(card instanceof CardElement).toBe(true);
+    expect(card.innerHTML).toBe('<article><h2>Hi 3</h2>Body<small>Bye</small></article>');
+
+    card.setAttribute('title', 'Hello');
+    expect(card.innerHTML).toBe('<article><h2>Hello 3</h2>Body<small>Bye</small></article>');
+    card.maxCount = 5;
+    expect(card.maxCount).toBe(5);
+    expect(card.querySelector('h2').textContent).toBe('Hello 5');
+  });
+
+  test('renders into a shadow root with slot elements', () => {
+    el.templates.defineCustomElement('shadow-card', 'card', { shadow: true });
+    container.innerHTML = '<shadow-card><small slot="footer">Bye</small></shadow-card>';
+    const card = container.firstChild;
+    expect(card.shadowRoot.innerHTML).toBe('<article><h2>Untitled 1</h2><slot></slot><slot name="footer"></slot></article>');
+    expect(card.innerHTML).toBe('<small slot="footer">Bye</small>');
+  });
+
+  test('forwards render to the dynamic values inside', () => {
+    let label = 'one';
+    el.templates.defineCustomElement('live-label', { render: () => el.make('span', () => label) });
+    const element = document.createElement('live-label');
+    container.appendChild(element);
+    label = 'two';
+    expect(element.render()).toBe(element);
+    expect(element.innerHTML).toBe('<span>two</span>');
+  });
+
+  test('disposes the template on disconnect and renders it again on reconnect', () => {
+    el.templates.defineCustomElement('moving-card', 'card');
+    const card = document.createElement('moving-card');
+    container.appendChild(card);
+    const heading = card.querySelector('h2');
+    expect(el.elementsWithDynamicValues).toContain(heading);
+
+    card.remove();
+    expect(el.elementsWithDynamicValues).not.toContain(heading);
+    expect(card.innerHTML).toBe('');
+
+    card.setAttribute('title', 'Back');
+    container.appendChild(card);
+    expect(card.innerHTML).toBe('<article><h2>Back 1</h2></article>');
+    expect(el.elementsWithDynamicValues).toContain(card.querySelector('h2'));
+  });
+
+  test('reports invalid props as a templateerror event', () => {
+    el.templates.defineCustomElement('strict-card', 'card');
+    const errors = [];
+    container.addEventListener('templateerror', (event) => {
+      event.preventDefault();
+      errors.push(event.detail.message);
+    });
+    container.innerHTML = '<strict-card max-count="many"></strict-card>';
+    expect(errors).toEqual([expect.stringContaining('<strict-card>: ')]);
+    expect(container.firstChild.innerHTML).toBe('');
+  });
+
+  test('extends built-in elements', () => {
+    const ButtonElement = el.templates.defineCustomElement('fancy-button', { render: () => el.make('b', 'Go') }, { extends: 'button' });
+    container.innerHTML = '<button is="fancy-button"></button>';
+    const button = container.firstChild;
+    expect(button instanceof ButtonElement).toBe(true);
+    expect(button instanceof dom.window.HTMLButtonElement).toBe(true);
+    expect(button.innerHTML).toBe('<b>Go</b>');
+    expect(() => el.templates.defineCustomElement('fancy-thing', { render: () => el.make('b') }, { extends: 'thing' })).toThrow("Cannot extend 'thing'");
+  });
+});
+
+
+describe('css', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('compiles nested selectors, at-rules and keyframes into hashed classes', () => {
+    const button = el.css({
+      fontSize: '14px',
+      '--accent': 'red',
+      '&:hover, &:focus': { color: 'var(--accent)' },
+      '::before': { content: '"*"' },
+      '& > span': { WebkitUserSelect: 'none' },
+      '@media (max-width: 600px)': { fontSize: '12px' },
+      '@keyframes pulse': { from: { opacity: 0 }, '50%': { opacity: 1 } }
+    });
+    expect(button.className).toMatch(/^el-[0-9a-z]+$/);
+    expect(String(button)).toBe(button.className);
+    const s = button.selector;
+    expect(button.rules).toEqual([
+      s + ' { font-size: 14px; --accent: red; }',
+      s + ':hover, ' + s + ':focus { color: var(--accent); }',
+      s + '::before { content: "*"; }',
+      s + ' > span { -webkit-user-select: none; }',
+      '@media (max-width: 600px) { ' + s + ' { font-size: 12px; } }',
+      '@keyframes pulse { from { opacity: 0; } 50% { opacity: 1; } }'
+    ]);
+  });
+
+  test('deduplicates identical styles and injects each class once', () => {
+    const first = el.css({ color: 'red', ':hover': { color: 'blue' } });
+    const second = el.css({ color: 'red', ':hover': { color: 'blue' } });
+    expect(second).toBe(first);
+    expect(el.css({ color: 'green' }).className).not.toBe(first.className);
+    const sheets = document.head.querySelectorAll('style[data-elementool]');
+    const style = sheets[sheets.length - 1];
+    expect(style.textContent.split(first.selector + ' {').length - 1).toBe(1);
+    expect(el.css.text()).toContain(first.selector + ':hover { color: blue; }');
+    expect(() => el.css({ color: () => 'red' })).toThrow('Stylesheet values cannot be functions');
+  });
+
+  test('does not cache classes whose rules the engine rejects', () => {
+    const sheet = { cssRules: [], deleteRule(index) { this.cssRules.splice(index, 1); } };
+    sheet.insertRule = function (rule) {
+      if (rule.indexOf('::-bogus') >= 0) throw new dom.window.DOMException('Failed to parse the rule', 'SyntaxError');
+      this.cssRules.push(rule);
+    };
+    el._styleSheet = sheet;
+    const styles = { color: 'red', '&::-bogus': { color: 'blue' } };
+    expect(() => el.css(styles)).toThrow('Failed to parse the rule');
+    expect(sheet.cssRules).toEqual([]);
+    expect(() => el.css(styles)).toThrow('Failed to parse the rule');
+    expect(el.css.text()).not.toContain('-bogus');
+  });
+
+  test('classes can be used as styles in make, setStyles and definitions', () => {
+    const card = el.css({ padding: '4px' });
+    const wide = el.css({ width: '100%' });
+    const element = el.make('div.box', 'Hi', [card, { color: 'red' }]);
+    expect(element.className).toBe('box ' + card.className);
+    expect(element.style.color).toBe('red');
+    element.setStyles(wide);
+    expect(element.classList.contains(wide.className)).toBe(true);
+    expect(el.validate({ make: 'p', styles: [card, { margin: {} }] })).toEqual([{ path: 'styles[1].margin', message: 'Expected a string, a number or a function' }]);
+    expect(el.objectToElement({ make: 'p', styles: card }).className).toBe(card.className);
+  });
+});
+
+
+describe('themes', () => {
+  let el;
+  let root;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    root = document.createElement('div');
+    el.themes.define('light', { colors: { text: '#222', accent: '$colors.text' }, typography: { fontSize: '16px' } });
+    el.themes.define('dark', { colors: { text: '#eee' } }, { extends: 'light' });
+    el.themes.define('contrast', { colors: { text: '#000' } });
+  });
+
+  test('applies tokens to a root as custom properties and switches themes', () => {
+    el.themes.apply('dark', root);
+    expect(root.style.getPropertyValue('--colors-text')).toBe('#eee');
+    expect(root.style.getPropertyValue('--colors-accent')).toBe('var(--colors-text)');
+    expect(root.style.getPropertyValue('--typography-font-size')).toBe('16px');
+    expect(el.themes.current(root)).toBe('dark');
+
+    el.themes.apply('contrast', root);
+    expect(root.style.getPropertyValue('--colors-text')).toBe('#000');
+    expect(root.style.getPropertyValue('--typography-font-size')).toBe('');
+    expect(root.getAttribute('data-theme')).toBe('contrast');
+  });
+
+  test('resolves token references in styles and reports unknown tokens', () => {
+    const element = el.make('p', 'Hi', { '--border': '1px solid $colors.accent', fontSize: '$typography.fontSize' });
+    expect(element.style.getPropertyValue('--border')).toBe('1px solid var(--colors-accent)');
+    expect(el.css({ color: '$colors.text' }).rules).toEqual([expect.stringContaining('{ color: var(--colors-text); }')]);
+    expect(el.themes.token('colors.text')).toBe('var(--colors-text)');
+    expect(() => el.make('p', 'Hi', { color: '$colors.txt' })).toThrow("Unknown design token '$colors.txt' in '$colors.txt'");
+    expect(() => el.css({ border: '1px solid $colors.txt' })).toThrow("Unknown design token '$colors.txt'");
+    expect(el.make('div', '', { backgroundImage: 'url(/img/$logo.png)' }).style.backgroundImage).toBe('url(/img/$logo.png)');
+    expect(() => el.themes.token('colors.txt')).toThrow("Unknown design token '$colors.txt'");
+    expect(el.validate({ make: 'p', styles: { content: '"$logo.png"' } })).toEqual([]);
+    expect(el.validate({ make: 'p', styles: { color: '$colors.txt' } })).toEqual([{ path: 'styles.color', message: "Unknown design token '$colors.txt'" }]);
+  });
+
+  test('follows prefers-color-scheme', () => {
+    const listeners = [];
+    const query = { matches: false, addEventListener: (event, listener) => listeners.push(listener), removeEventListener: () => listeners.pop() };
+    dom.window.matchMedia = () => query;
+    try {
+      const stop = el.themes.followColorScheme({ light: 'light', dark: 'dark' }, root);
+      expect(el.themes.current(root)).toBe('light');
+      query.matches = true;
+      listeners.forEach((listener) => listener());
+      expect(el.themes.current(root)).toBe('dark');
+      stop();
+      expect(listeners).toEqual([]);
+    } finally {
+      delete dom.window.matchMedia;
+    }
+  });
+});
+
+
+describe('event listeners', () => {
+  let el;
+  let click;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    click = (target) => target.dispatchEvent(new dom.window.MouseEvent('click', { bubbles: true }));
+  });
+
+  test('passes listener options on', () => {
+    const calls = [];
+    const button = el.make('button', 'Go', undefined, { click: { handler: () => calls.push('once'), once: true } });
+    expect(button._listeners.length).toBe(1);
+    click(button);
+    click(button);
+    expect(calls).toEqual(['once']);
+    expect(button._listeners).toEqual([]);
+  });
+
+  test('delegates to descendants matching a selector', () => {
+    const calls = [];
+    const table = el.make('table', [
+      el.make('tr.row#a', [el.make('td', 'A')]),
+      el.make('tr#b', [el.make('td', 'B')])
+    ], undefined, {
+      'click .row': function (event, row) { calls.push([this.id, row.id, event.type]); },
+      'click tr': { handler: (event, row) => calls.push(row.id), once: true }
+    });
+    click(table.querySelector('#b td'));
+    click(table.querySelector('#a td').firstChild.parentNode);
+    click(table);
+    expect(calls).toEqual(['b', ['a', 'a', 'click']]);
+  });
+
+  test('looks up named handlers on the instance', () => {
+    const calls = [];
+    el.handlers.define('save', () => calls.push('save'));
+    const button = el.objectToElement({ make: 'button', listeners: { click: 'save', 'click span': { handler: 'save' } } }, { strict: true });
+    click(button);
+    expect(calls).toEqual(['save']);
+    expect(new dom.window.Elementool().handlers.has('save')).toBe(false);
+    expect(el.validate({ make: 'p', listeners: { click: { handler: 'save', twice: true } } })[0].path).toBe('listeners.click');
+  });
+
+  test('on and off remove listeners later', () => {
+    const calls = [];
+    const handler = () => calls.push('handler');
+    const list = el.make('ul', [el.make('li', 'One')], undefined, { click: handler });
+    const stop = el.on(list, 'click li', () => calls.push('delegated'));
+    click(list.firstChild);
+    stop();
+    click(list.firstChild);
+    el.off(list, 'click', handler);
+    click(list.firstChild);
+    expect(calls).toEqual(['handler', 'delegated', 'handler']);
+    expect(list._listeners).toEqual([]);
+    expect(() => el.on(list, 'click', 'missing')).toThrow("No handler found for 'click'");
+  });
+});
+
+
+describe('forms', () => {
+  let el;
+  let input;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    input = (element, value) => {
+      if (typeof value === 'boolean') element.checked = value; else element.value = value;
+      const event = ['checkbox', 'radio', 'select-one', 'select-multiple'].indexOf(element.type) > -1 ? 'change' : 'input';
+      element.dispatchEvent(new dom.window.Event(event, { bubbles: true }));
+    };
+  });
+
+  test('binds controls to a store both ways', () => {
+    const state = el.store({ user: { name: 'Ada', age: 36, tags: ['a'] }, plan: 'pro' });
+    const name = el.make('input[type=text]');
+    const age = el.make('input[type=number]');
+    const tagB = el.make('input[type=checkbox][value=b]');
+    const free = el.make('input[type=radio][name=plan][value=free]');
+    const pro = el.make('input[type=radio][name=plan][value=pro]');
+    const agree = el.make('input[type=checkbox]');
+    el.bind(name, state, 'user.name');
+    el.bind(age, state, 'user.age');
+    el.bind(tagB, state, 'user.tags');
+    el.bind(free, state, 'plan');
+    el.bind(pro, state, 'plan');
+    const unbind = el.bind(agree, state, 'agree');
+
+    expect([name.value, age.value, tagB.checked, free.checked, pro.checked]).toEqual(['Ada', '36', false, false, true]);
+    expect(state.agree).toBe(false);
+
+    input(name, 'Grace');
+    input(age, '40');
+    input(tagB, true);
+    input(free, true);
+    expect(state.$toObject()).toEqual({ user: { name: 'Grace', age: 40, tags: ['a', 'b'] }, plan: 'free', agree: false });
+
+    state.user = { name: 'Linus', age: 1, tags: [] };
+    state.plan = 'pro';
+    expect([name.value, age.value, tagB.checked, free.checked, pro.checked]).toEqual(['Linus', '1', false, false, true]);
+
+    unbind();
+    state.agree = true;
+    expect(agree.checked).toBe(false);
+    el.dispose(name);
+    state.user.name = 'Alan';
+    expect(name.value).toBe('Linus');
+  });
+
+  test('binds a select to a signal', () => {
+    const color = el.signal();
+    const select = el.make('select', [el.make('option', 'red'), el.make('option', 'blue')]);
+    el.bind(select, color);
+    expect(color.peek()).toBe('red');
+    input(select, 'blue');
+    expect(color.peek()).toBe('blue');
+  });
+
+  test('formToObject and objectToForm understand nested names', () => {
+    const form = document.createElement('form');
+    form.innerHTML = [
+      '<input name="user.name" value="Ada">',
+      '<input name="user[address][city]" value="London">',
+      '<input name="items[0].qty" type="number" value="2">',
+      '<input name="tags[]" value="x"><input name="tags[]" value="y">',
+      '<input type="checkbox" name="colors" value="red" checked><input type="checkbox" name="colors" value="blue">',
+      '<input type="checkbox" name="agree" checked>',
+      '<input type="radio" name="size" value="s"><input type="radio" name="size" value="m" checked>',
+      '<select name="langs" multiple><option selected>en</option><option>fr</option></select>',
+      '<textarea name="bio">Hi</textarea>',
+      '<input name="secret" value="no" disabled><button name="go">Go</button>'
+    ].join('');
+    const values = {
+      user: { name: 'Ada', address: { city: 'London' } },
+      items: [{ qty: 2 }],
+      tags: ['x', 'y'],
+      colors: ['red'],
+      agree: true,
+      size: 'm',
+      langs: ['en'],
+      bio: 'Hi'
+    };
+    expect(el.formToObject(form)).toEqual(values);
+
+    el.objectToForm(form, { user: { name: 'Grace' }, items: [{ qty: 5 }], tags: ['p', 'q'], colors: ['blue'], agree: false, size: 's', langs: ['en', 'fr'] });
+    expect(el.formToObject(form)).toEqual({
+      user: { name: 'Grace', address: { city: 'London' } },
+      items: [{ qty: 5 }],
+      tags: ['p', 'q'],
+      colors: ['blue'],
+      agree: false,
+      size: 's',
+      langs: ['en', 'fr'],
+      bio: 'Hi'
+    });
+  });
+
+  test('validateForm sets aria-invalid and error messages', () => {
+    const form = document.createElement('form');
+    form.innerHTML = '<input id="email" name="email" required><input name="age" type="number" value="12"><input name="nick" value="ok">';
+    const email = form.querySelector('#email');
+    const result = el.validateForm(form, {
+      age: { min: 18, message: 'Adults only' },
+      nick: [{ minLength: 2 }, (value) => value === 'ok' ? 'Taken' : undefined]
+    });
+    expect(result.valid).toBe(false);
+    expect(Object.keys(result.errors)).toEqual(['email', 'age', 'nick']);
+    expect(result.errors.age).toBe('Adults only');
+    expect(result.errors.nick).toBe('Taken');
+    expect(email.getAttribute('aria-invalid')).toBe('true');
+    expect(email.getAttribute('aria-describedby')).toBe('email-error');
+    expect(email.nextSibling.outerHTML).toMatch(/^<span id="email-error" class="error-message" role="alert">.+<\/span>$/);
+
+    email.value = 'a@b.c';
+    form.querySelector('[name=age]').value = '30';
+    form.querySelector('[name=nick]').value = 'new';
+    expect(el.validateForm(form, { age: { min: 18 } })).toEqual({ valid: true, errors: {}, values: { email: 'a@b.c', age: 30, nick: 'new' } });
+    expect(email.hasAttribute('aria-invalid')).toBe(false);
+    expect(email.hasAttribute('aria-describedby')).toBe(false);
+    expect(form.querySelectorAll('.error-message').length).toBe(0);
+  });
+});
+
+
+describe('select', () => {
+  let el;
+  let list;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    list = document.createElement('ul');
+    list.innerHTML = '<li class="a">One</li><li class="b"><span>Two</span></li><li class="a">Three</li>';
+    document.body.appendChild(list);
+  });
+
+  afterEach(() => {
+    list.remove();
+  });
+
+  test('wraps elements found with selectors, nodes and lists', () => {
+    expect(el.select('li.a', list).length).toBe(2);
+    expect(el.select(list.children).length).toBe(3);
+    expect(el.select([list.firstChild, list.firstChild, el.select('li.b', list)]).toArray()).toEqual([list.children[0], list.children[1]]);
+    expect(el.select(list)[0]).toBe(list);
+    expect(typeof list.setContent).toBe('function');
+  });
+
+  test('applies element methods and classes to every element', () => {
+    let count = 0;
+    const items = el.select('li', list)
+      .setStyles({ color: 'red' })
+      .setAttributes({ 'data-x': '1' })
+      .addClass('item', 'x y')
+      .removeClass('y')
+      .toggleClass('a')
+      .setContent(() => 'Item ' + count);
+    expect(list.innerHTML).toBe(['item x', 'b item x a', 'item x'].map((className) => '<li class="' + className + '" style="color: red;" data-x="1">Item 0</li>').join(''));
+    count = 1;
+    expect(items.render()).toBe(items);
+    expect(list.textContent).toBe('Item 1Item 1Item 1');
+    expect(items.hasClass('b')).toBe(true);
+    expect(items.filter('.b').length).toBe(1);
+  });
+
+  test('traverses, listens and removes', () => {
+    const span = el.select('span', list);
+    expect(span.closest('li').get(0)).toBe(list.children[1]);
+    expect(el.select(list).find('li').length).toBe(3);
+
+    const clicked = [];
+    const handler = function () { clicked.push(this.className); };
+    const items = el.select('li', list).on('click', handler);
+    list.children[2].click();
+    items.off('click', handler);
+    list.children[2].click();
+    expect(clicked).toEqual(['a']);
+
+    const seen = [];
+    items.each((item, index) => seen.push(index));
+    expect(seen).toEqual([0, 1, 2]);
+
+    el.select('.a', list).remove(true).appendTo(el.select('li.b', list));
+    expect(list.innerHTML).toBe('<li class="b"><span>Two</span><li class="a">One</li><li class="a">Three</li></li>');
+  });
+});
+
+describe('charts', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('scales map, invert and tick their domains', () => {
+    const linear = el.charts.scaleLinear([0, 93], [100, 0], { nice: true });
+    expect(linear.domain).toEqual([0, 100]);
+    expect(linear(25)).toBe(75);
+    expect(linear.invert(50)).toBe(50);
+    expect(linear.ticks(5)).toEqual([0, 20, 40, 60, 80, 100]);
+    expect(el.charts.scaleLinear([0, 0.3], [0, 1]).ticks(3).map(el.util.formatNumber)).toEqual(['0', '0.1', '0.2', '0.3']);
+
+    const log = el.charts.scaleLog([3, 2000], [0, 100], { nice: true });
+    expect(log.ticks()).toEqual([1, 10, 100, 1000, 10000]);
+    expect(log(100)).toBe(50);
+
+    const time = el.charts.scaleTime([Date.UTC(2024, 0, 1), Date.UTC(2024, 11, 31)], [0, 100]);
+    expect(time.ticks().map(time.tickFormat)).toEqual(['2024-01', '2024-04', '2024-07', '2024-10']);
+    expect(time.invert(0).getTime()).toBe(Date.UTC(2024, 0, 1));
+
+    const band = el.charts.scaleBand(['a', 'b', 'c', 'd'], [0, 100]);
+    expect(band('c')).toBe(50);
+    expect(band.bandwidth()).toBe(25);
+    expect(band.center('a')).toBe(12.5);
+    expect(band('z')).toBeUndefined();
+  });
+
+  test('draws axes with a tick per value', () => {
+    const axis = el.charts.axis(el.charts.scaleLinear([0, 10], [0, 200]), 'bottom', { ticks: 5, label: 'Count' });
+    expect(axis.getAttribute('class')).toBe('axis axis-bottom');
+    expect(axis.querySelectorAll('.tick').length).toBe(6);
+    expect(Array.from(axis.querySelectorAll('.tick text')).map((text) => text.textContent)).toEqual(['0', '2', '4', '6', '8', '10']);
+    expect(axis.querySelector('.tick:nth-of-type(2)').getAttribute('transform')).toBe('translate(40,0)');
+    expect(axis.querySelector('.axis-label').textContent).toBe('Count');
+  });
+
+  test('draws arcs clockwise from the top', () => {
+    expect(el.charts.arc(50, 50, 50, 0, 0, 90)).toBe('M50,0 A50,50 0 0,1 100,50 L50,50 Z');
+    expect(el.charts.arc(50, 50, 50, 25, 0, 360).split('M').length).toBe(3);
+  });
+
+  test('renders series from data and re-renders on update', () => {
+    const chart = el.charts.chart({
+      width: 300, height: 200, margin: { top: 0, right: 0, bottom: 0, left: 0 },
+      data: [{ month: 'Jan', sales: 10 }, { month: 'Feb', sales: 20 }],
+      x: 'month',
+      y: { value: 'sales', domain: [0, 20] },
+      series: [{ type: 'bar' }, { type: 'line' }, { type: 'scatter', r: 4 }]
+    });
+    const svg = chart.element;
+    expect(svg.getAttribute('viewBox')).toBe('0 0 300 200');
+    const bars = svg.querySelectorAll('.series-bar rect');
+    expect(bars.length).toBe(2);
+    expect(bars[1].getAttribute('y')).toBe('0');
+    expect(bars[1].getAttribute('height')).toBe('200');
+    expect(bars[0].getAttribute('height')).toBe('100');
+    expect(svg.querySelector('.series-line polyline').getAttribute('points').split(' ').length).toBe(2);
+    expect(svg.querySelectorAll('.series-scatter circle').length).toBe(2);
+    expect(svg.querySelectorAll('.axis').length).toBe(2);
+
+    chart.update([{ month: 'Jan', sales: 5 }, { month: 'Feb', sales: 10 }, { month: 'Mar', sales: 20 }]);
+    expect(svg.querySelectorAll('.series-bar rect').length).toBe(3);
+    expect(svg.querySelectorAll('.axis-bottom .tick').length).toBe(3);
+    expect(chart.scales.x.domain).toEqual(['Jan', 'Feb', 'Mar']);
+  });
+
+  test('keeps bars on linear and time x scales inside the plot', () => {
+    const chart = el.charts.chart({
+      width: 300, height: 200, margin: { top: 0, right: 0, bottom: 0, left: 0 },
+      data: [{ x: 0, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 3 }],
+      x: 'x', y: 'y',
+      series: [{ type: 'bar' }]
+    });
+    const bars = Array.from(chart.element.querySelectorAll('.series-bar rect'));
+    expect(chart.scales.x.range).toEqual([50, 250]);
+    expect(+bars[0].getAttribute('x')).toBe(10);
+    expect(+bars[2].getAttribute('x') + +bars[2].getAttribute('width')).toBe(290);
+  });
+
+  test('breaks lines and areas at missing values', () => {
+    const chart = el.charts.chart({
+      data: [{ x: 0, y: 1 }, { x: 1, y: null }, { x: 2, y: 3 }, { x: 3, y: 2 }],
+      x: 'x', y: 'y',
+      series: [{ type: 'line' }, { type: 'area' }, { type: 'scatter' }]
+    });
+    const lines = chart.element.querySelectorAll('.series-line polyline');
+    expect(Array.from(lines).map((line) => line.getAttribute('points').split(' ').length)).toEqual([1, 2]);
+    expect(chart.element.querySelector('.series-area path').getAttribute('d').split('M').length).toBe(3);
+    expect(chart.element.querySelectorAll('.series-scatter circle').length).toBe(3);
+  });
+
+  test('provides the helpers behind scales and ticks', () => {
+    expect(el.charts.linearTicks(0, 1, 5)).toEqual([0, 0.2, 0.4, 0.6, 0.8, 1]);
+    expect(el.charts.niceDomain(3, 93, 5)).toEqual([0, 100]);
+    expect(el.charts.extent([3, null, 1, NaN])).toEqual([1, 3]);
+    expect(el.charts.accessor('a')({ a: 2 })).toBe(2);
+    const twoWeeks = el.charts.timeTicks(Date.UTC(2024, 0, 1), Date.UTC(2024, 2, 1), 5);
+    expect([twoWeeks.unit, twoWeeks.step]).toEqual(['week', 2]);
+    expect(el.util.linearTicks).toBeUndefined();
+  });
+
+  test('renders pie and donut slices', () => {
+    const data = [{ name: 'a', value: 1 }, { name: 'b', value: 3 }, { name: 'c', value: 0 }];
+    const chart = el.charts.chart({ data: data, series: [{ type: 'donut', value: 'value', label: 'name' }] });
+    const slices = chart.element.querySelectorAll('.series-donut path.slice');
+    expect(slices.length).toBe(2);
+    expect(slices[1].querySelector('title').textContent).toBe('b');
+    expect(chart.element.querySelector('.axis')).toBeNull();
+    expect(() => el.charts.chart({ data: data, x: 'name', series: [{ type: 'radar' }] })).toThrow("Unknown series type 'radar'");
+  });
+});
+
+describe('path data', () => {
+  let el;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+  });
+
+  test('parses and serializes path data', () => {
+    const data = el.svgHelpers.pathData('M10-20l.5.5e1 1.5-2a5 5 0 0110 10zm1,1 2,2');
+    expect(data.commands.map((command) => command.type).join('')).toBe('Mllazml');
+    expect(data.commands[3].values).toEqual([5, 5, 0, 0, 1, 10, 10]);
+    expect(String(data)).toBe('M10,-20 l0.5,5 l1.5,-2 a5,5 0 0,1 10,10 z m1,1 l2,2');
+    expect(() => el.svgHelpers.pathData('M0 0 L10')).toThrow("Expected a number at position 8 in path data 'M0 0 L10'");
+    expect(() => el.svgHelpers.pathData('L0 0')).toThrow('Expected a moveto command at position 0');
+  });
+
+  test('converts between absolute, relative and normalized commands', () => {
+    const data = el.svgHelpers.pathData('M0,0 h10 a5,5 0 0,1 0,10 Z m5,5 v5');
+    expect(String(data.toAbsolute())).toBe('M0,0 H10 A5,5 0 0,1 10,10 Z M5,5 V10');
+    expect(String(data.toAbsolute().toRelative())).toBe('M0,0 h10 a5,5 0 0,1 0,10 z m5,5 v5');
+    expect(String(el.svgHelpers.pathData('M0 0 Q10 10 20 0 T40 0').normalize())).toBe('M0,0 C6.66666666667,6.66666666667 13.3333333333,6.66666666667 20,0 C26.6666666667,-6.66666666667 33.3333333333,-6.66666666667 40,0');
+    expect(el.svgHelpers.pathData('M0 0 A10 10 0 0 1 20 0').normalize().commands.map((command) => command.type)).toEqual(['M', 'C', 'C']);
+  });
+
+  test('transforms paths, including arcs', () => {
+    const data = el.svgHelpers.pathData('M0 0 H10 V10');
+    expect(String(data.translate(5, 5))).toBe('M5,5 H15 V15');
+    expect(String(data.rotate(90))).toBe('M0,0 L0,10 L-10,10');
+    expect(String(data.transform('scale(2) translate(1)'))).toBe('M2,0 H22 V20');
+    const circle = el.svgHelpers.pathData('M0,0 A10,10 0 0,1 20,0 A10,10 0 0,1 0,0');
+    expect(String(circle.transform([2, 0, 0, 1, 0, 0]))).toBe('M0,0 A20,10 0 0,1 40,0 A20,10 0 0,1 0,0');
+    expect(circle.transform([1, 0, 0, -1, 0, 0]).commands[1].values[4]).toBe(0);
+    const skewed = circle.transform('skewX(30) rotate(20)');
+    const box = skewed.bbox();
+    const normalizedBox = circle.normalize().transform('skewX(30) rotate(20)').bbox();
+    expect(box.width).toBeCloseTo(normalizedBox.width, 2);
+    expect(box.height).toBeCloseTo(normalizedBox.height, 2);
+  });
+
+  test('measures paths without a layout engine', () => {
+    const data = el.svgHelpers.pathData('M0,0 h10 a5,5 0 0,1 0,10 Z');
+    expect(data.bbox()).toEqual({ x: 0, y: 0, width: 15, height: 10 });
+    expect(el.svgHelpers.pathData('M0 0 L10 0 L10 10 Z C0 -20 -20 -20 -20 0').bbox()).toEqual({ x: -20, y: -15, width: 30, height: 25 });
+    expect(el.svgHelpers.pathData('M0 0 L3 4 l3 -4').length()).toBe(10);
+    expect(el.svgHelpers.pathData('M0,0 A10,10 0 0,1 20,0 A10,10 0 0,1 0,0').length()).toBeCloseTo(2 * Math.PI * 10, 1);
+    expect(el.svgHelpers.pathData('M0 0 L3 4 l3 -4').pointAtLength(7.5)).toEqual({ x: 4.5, y: 2, angle: expect.closeTo(-53.13, 2) });
+    expect(el.svgHelpers.pathData('M0 0 H10').pointAtLength(20)).toEqual({ x: 10, y: 0, angle: 0 });
+
+    const path = el.svgHelpers.path('M0 0').lineTo(3, 4);
+    expect(path.pathData().length()).toBe(5);
+    expect(path.setPathData(path.pathData().scale(2)).getAttribute('d')).toBe('M0,0 L6,8');
+  });
+});
+
+describe('tween and timeline', () => {
+  let el;
+  let clock;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    clock = el.util.createManualClock();
+  });
+
+  test('tweens numbers, colors, transforms and paths on an injectable clock', () => {
+    const target = { x: 0, color: '#000000', transform: 'translate(0 0)', d: 'M0 0 L10 0' };
+    el.tween(target, { x: 100, color: 'rgba(255, 0, 0, 0.5)', transform: 'rotate(90)', d: 'M0 0 L10 10 L20 0' }, { duration: 100, easing: 'linear', clock: clock });
+    clock.tick(50);
+    expect(target.x).toBe(50);
+    expect(target.color).toBe('rgba(128, 0, 0, 0.75)');
+    expect(target.transform).toBe('translate(0 0) rotate(45) skewX(0) scale(1 1)');
+    expect(el.svgHelpers.pathData(target.d).commands.length).toBe(3);
+    expect(el.svgHelpers.pathData(target.d).pointAtLength(0)).toEqual({ x: 0, y: 0, angle: expect.any(Number) });
+    clock.tick(50);
+    expect(target.x).toBe(100);
+    expect(target.color).toBe('rgba(255, 0, 0, 0.5)');
+  });
+
+  test('tweens styles and attributes of elements with easing and stagger', () => {
+    const boxes = [el.make('div'), el.make('div')];
+    el.tween(boxes, { styles: { opacity: [0, 1], marginLeft: '20px' }, attributes: { 'data-step': [0, 10] } }, { duration: 100, stagger: 50, easing: 'ease-in', clock: clock });
+    clock.tick(75);
+    expect(Number(boxes[0].style.opacity)).toBeCloseTo(el.easings.easeIn(0.75), 5);
+    expect(Number(boxes[1].style.opacity)).toBeCloseTo(el.easings.easeIn(0.25), 5);
+    clock.tick(100);
+    expect(boxes.map((box) => box.style.opacity + ' ' + box.style.marginLeft + ' ' + box.getAttribute('data-step'))).toEqual(['1 20px 10', '1 20px 10']);
+    expect(el.util.resolveEasing('cubic-bezier(0, 0, 1, 1)')(0.3)).toBeCloseTo(0.3, 6);
+    expect(() => el.tween({}, {}, { easing: 'wobble' })).toThrow("Unknown easing 'wobble'");
+  });
+
+  test('tweens CSS transforms with CSS units', () => {
+    const box = el.make('div');
+    const slide = el.make('div', '', { transform: 'translateX(0px)' });
+    el.tween(box, { styles: { transform: 'rotate(0.25turn)' } }, { duration: 100, easing: 'linear', clock: clock });
+    el.tween(slide, { styles: { transform: 'translateX(100px)' } }, { duration: 100, easing: 'linear', clock: clock });
+    clock.tick(50);
+    expect(box.style.transform).toBe('translate(0px, 0px) rotate(45deg) skewX(0deg) scale(1, 1)');
+    expect(slide.style.transform).toBe('translateX(50px)');
+    expect(el.util.interpolate('rotate(0deg)', 'translate(10%) rotate(90deg)', true)(0.25)).toBe('rotate(0deg)');
+  });
+
+  test('switches halfway between values in different units', () => {
+    expect(el.util.interpolate('10px', '50%')(0.25)).toBe('10px');
+    expect(el.util.interpolate('10px', '2em')(0.5)).toBe('2em');
+    expect(el.util.interpolate('0', '20px')(0.5)).toBe('10px');
+  });
+
+  test('tells path data from other values starting with m', async () => {
+    const target = { transform: 'matrix(1 0 0 1 0 0)', anchor: 'middle' };
+    el.tween(target, { transform: 'matrix(2 0 0 2 10 10)', anchor: 'end' }, { duration: 100, easing: 'linear', clock: clock });
+    clock.tick(50);
+    expect(target).toEqual({ transform: 'matrix(1.5 0 0 1.5 5 5)', anchor: 'end' });
+
+    const broken = { set x(value) { if (value > 50) throw new Error('Too far'); } };
+    const animation = el.tween(broken, { x: [0, 100] }, { duration: 100, easing: 'linear', clock: clock });
+    clock.tick(75);
+    await expect(animation.finished).rejects.toThrow('Too far');
+    expect(animation.playState).toBe('idle');
+  });
+
+  test('pauses, seeks, reverses and resolves finished', async () => {
+    const target = { x: 0 };
+    const animation = el.tween(target, { x: 100 }, { duration: 100, easing: 'linear', clock: clock });
+    clock.tick(40);
+    animation.pause();
+    clock.tick(40);
+    expect(target.x).toBe(40);
+    expect(animation.playState).toBe('paused');
+    animation.seek(80);
+    expect(target.x).toBe(80);
+    animation.play();
+    clock.tick(20);
+    expect(animation.playState).toBe('finished');
+    await expect(animation.finished).resolves.toBe(animation);
+
+    animation.reverse();
+    clock.tick(30);
+    expect(target.x).toBe(70);
+    clock.tick(100);
+    expect(target.x).toBe(0);
+    await animation.finished;
+
+    const cancelled = el.tween(target, { x: 50 }, { duration: 100, clock: clock });
+    clock.tick(50);
+    cancelled.cancel();
+    expect(target.x).toBe(0);
+    expect(cancelled.playState).toBe('idle');
+    await expect(cancelled.finished).rejects.toThrow('Animation cancelled');
+  });
+
+  test('timelines sequence tweens that continue from each other', () => {
+    const target = { x: 0, y: 0 };
+    const timeline = el.timeline({ duration: 100, easing: 'linear', clock: clock })
+      .add(target, { x: 100 })
+      .add(target, { x: 200 })
+      .add(target, { y: 10 }, { at: '-=50' });
+    expect(timeline.duration).toBe(250);
+    clock.tick(150);
+    expect(target).toEqual({ x: 150, y: 0 });
+    clock.tick(50);
+    expect(target).toEqual({ x: 200, y: 5 });
+    timeline.seek(50);
+    expect(target).toEqual({ x: 50, y: 0 });
+    timeline.finish();
+    expect(target).toEqual({ x: 200, y: 10 });
+    expect(timeline.playState).toBe('finished');
+  });
+
+  test('timelines start playing with their first add', async () => {
+    const target = { x: 0 };
+    const timeline = el.timeline({ duration: 100, easing: 'linear', clock: clock });
+    clock.tick(16);
+    await Promise.resolve();
+    expect(timeline.playState).toBe('idle');
+    timeline.add(target, { x: 100 });
+    clock.tick(50);
+    expect(target.x).toBe(50);
+    clock.tick(50);
+    await expect(timeline.finished).resolves.toBe(timeline);
+  });
+});
+
+describe('SMIL animations', () => {
+  let el;
+  let svg;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    svg = el.draw('svg');
+    document.body.appendChild(svg);
+  });
+
+  afterEach(() => {
+    svg.remove();
+  });
+
+  test('returns handles from every helper', () => {
+    const circle = el.svgHelpers.circle(10, 10, 5).appendTo(svg);
+    const grow = el.svgHelpers.animate(circle, 'r', '5', '10', '2s');
+    const turn = el.svgHelpers.animateTransform(circle, 'rotate', '0', '90');
+    const move = el.svgHelpers.animateMotion(circle, 'M0,0 L10,10');
+    expect([grow, turn, move].map((handle) => handle.element.localName)).toEqual(['animate', 'animateTransform', 'animateMotion']);
+    expect(grow.element.getAttribute('dur')).toBe('2s');
+    expect(move.element.getAttribute('path')).toBe('M0,0 L10,10');
+    ['begin', 'end', 'onEnd', 'remove'].forEach((method) => expect(typeof turn[method]).toBe('function'));
+
+    const ended = jest.fn();
+    grow.onEnd(ended);
+    grow.element.dispatchEvent(new dom.window.Event('endEvent'));
+    expect(ended).toHaveBeenCalledTimes(1);
+    expect(grow.begin().end()).toBe(grow);
+
+    turn.remove();
+    expect(circle.querySelector('animateTransform')).toBeNull();
+  });
+
+  test('animate on SVG elements passes options and returns the handle', () => {
+    const circle = el.draw('circle').appendTo(svg);
+    const pulse = circle.animate('r', { values: [1, 2, 1] }, undefined, undefined, undefined, undefined, { begin: 2 });
+    expect(pulse.element.parentNode).toBe(circle);
+    expect(pulse.element.getAttribute('values')).toBe('1;2;1');
+    expect(pulse.element.getAttribute('begin')).toBe('2s');
+  });
+
+  test('chains animations with prev, handles and offsets', () => {
+    const rect = el.svgHelpers.rect(0, 0, 10, 10).appendTo(svg);
+    const move = el.svgHelpers.animateMotion(rect, 'M0,0 L100,0', { dur: '1s' });
+    const rotate = el.svgHelpers.animateTransform(rect, 'rotate', { from: '0', to: '90', begin: 'prev.end' });
+    const fade = el.svgHelpers.animate(rect, 'opacity', { to: 0, begin: ['prev.end+0.5s', 3] });
+    const again = el.svgHelpers.animate(rect, 'x', '0', '10', '1s', '1', 'freeze', { begin: move });
+    expect(rotate.element.getAttribute('begin')).toBe(move.element.id + '.end');
+    expect(fade.element.getAttribute('begin')).toBe(rotate.element.id + '.end+0.5s;3s');
+    expect(again.element.getAttribute('begin')).toBe(move.element.id + '.end');
+    expect(fade.element.getAttribute('from')).toBeNull();
+    expect(fade.element.getAttribute('to')).toBe('0');
+    expect(new Set([move.element.id, rotate.element.id]).size).toBe(2);
+  });
+
+  test('supports values, keyTimes and keySplines', () => {
+    const circle = el.svgHelpers.circle(10, 10, 5).appendTo(svg);
+    const pulse = el.svgHelpers.animate(circle, 'r', { values: [5, 10, 5], keyTimes: [0, 0.5, 1], keySplines: [[0.4, 0, 0.2, 1], '0 0 1 1'], repeatCount: 'indefinite' }).element;
+    expect(pulse.getAttribute('values')).toBe('5;10;5');
+    expect(pulse.getAttribute('keyTimes')).toBe('0;0.5;1');
+    expect(pulse.getAttribute('keySplines')).toBe('0.4 0 0.2 1;0 0 1 1');
+    expect(pulse.getAttribute('calcMode')).toBe('spline');
+    expect(pulse.getAttribute('repeatCount')).toBe('indefinite');
+    expect(pulse.hasAttribute('from')).toBe(false);
+  });
+
+  test('animateMotion follows path elements', () => {
+    const track = el.svgHelpers.path('M0,0 L50,50').appendTo(svg);
+    const dot = el.svgHelpers.circle(0, 0, 2).appendTo(svg);
+    const motion = el.svgHelpers.animateMotion(dot, track, { dur: '3s', rotate: 'auto' }).element;
+    const mpath = motion.querySelector('mpath');
+    expect(track.id).not.toBe('');
+    expect(mpath.getAttribute('href')).toBe('#' + track.id);
+    expect(motion.getAttribute('rotate')).toBe('auto');
+    expect(motion.hasAttribute('path')).toBe(false);
+
+    const detached = el.svgHelpers.animateMotion(dot, el.svgHelpers.path('M1,1 L2,2')).element;
+    expect(detached.getAttribute('path')).toBe('M1,1 L2,2');
+    expect(el.svgHelpers.animateMotion(dot, el.svgHelpers.pathData('M0 0 L3 4')).element.getAttribute('path')).toBe('M0,0 L3,4');
+  });
+});
+
+describe('exportSvg', () => {
+  let el;
+  let container;
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    container = el.make('div').appendTo(document.body);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('exports a standalone document with namespaces and referenced defs', () => {
+    const shared = el.draw('svg', [el.draw('defs', [
+      el.svgHelpers.linearGradient('fade', [el.svgHelpers.stop('0%', 'red'), el.svgHelpers.stop('100%', 'blue')]),
+      el.svgHelpers.clipPath('corner', [el.svgHelpers.rect(0, 0, 5, 5)])
+    ])]).appendTo(container);
+    const icon = el.draw('symbol#dot', [el.svgHelpers.circle(1, 1, 1)]).appendTo(shared);
+    const use = el.draw('use');
+    use.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', '#dot');
+    const svg = el.draw('svg[width=20][height=10]', [
+      el.svgHelpers.rect(0, 0, 20, 10, { fill: 'url(#fade)' }),
+      el.svgHelpers.circle(5, 5, 5).setAttributes({ 'clip-path': 'url("#corner")' }),
+      use
+    ]).appendTo(container);
+
+    const markup = el.exportSvg(svg);
+    expect(markup.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10"')).toBe(true);
+    expect(markup).toContain('xmlns:xlink="http://www.w3.org/1999/xlink"');
+    expect(markup).toContain('<defs><linearGradient id="fade"');
+    expect(markup).toContain('<stop offset="100%" stop-color="blue"/>');
+    expect(markup).toContain('<clipPath id="corner">');
+    expect(markup).toContain('<symbol id="dot">');
+    expect(svg.querySelector('defs')).toBeNull();
+
+    const parsed = new dom.window.DOMParser().parseFromString(markup, 'image/svg+xml');
+    expect(parsed.querySelector('parsererror')).toBeNull();
+    expect(parsed.documentElement.querySelectorAll('defs > *').length).toBe(3);
+  });
+
+  test('optionally inlines computed styles', () => {
+    el.make('style', 'rect.highlight { fill: orange; stroke-width: 3px; }').appendTo(container);
+    const svg = el.draw('svg', [el.svgHelpers.rect(0, 0, 5, 5).setAttributes({ 'class': 'highlight' })]).appendTo(container);
+    expect(el.exportSvg(svg, { xmlDeclaration: false })).not.toContain('orange');
+    expect(el.exportSvg(svg, { inlineStyles: ['fill'], xmlDeclaration: false })).toContain('<rect x="0" y="0" width="5" height="5" class="highlight" style="fill: orange;"/>');
+  });
+
+  test('works in a virtual document and rejects PNG export without a canvas', async () => {
+    const Elementool = require('./index.js');
+    const server = new Elementool({ document: new Elementool().util.createVirtualDocument() });
+    const svg = server.draw('svg', [server.svgHelpers.circle(1, 1, 1, { fill: 'red' })]);
+    expect(server.exportSvg(svg, { xmlDeclaration: false })).toBe('<svg xmlns="http://www.w3.org/2000/svg"><circle cx="1" cy="1" r="1" style="fill: red;"/></svg>');
+    await expect(server.exportPng(svg)).rejects.toThrow('PNG export needs a canvas');
+  });
+});
+
+describe('defs registry', () => {
+  let el;
+  let svg;
+  const mutationsDelivered = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    el = new dom.window.Elementool();
+    svg = el.draw('svg').appendTo(document.body);
+  });
+
+  afterEach(() => {
+    el.destroy(svg);
+  });
+
+  const stops = () => [el.svgHelpers.stop('0%', 'white'), el.svgHelpers.stop('100%', 'black')];
+
+  test('deduplicates definitions under stable, unique ids', () => {
+    const defs = el.svgHelpers.defs(svg);
+    const fade = defs.linearGradient(stops(), 'TB');
+    const again = defs.linearGradient(stops(), 'TB');
+    const other = defs.linearGradient(stops(), 'LR');
+    expect(again).toBe(fade);
+    expect(other.id).not.toBe(fade.id);
+    expect(fade.id).toMatch(/^linearGradient-[0-9a-z]+$/);
+    expect(String(fade)).toBe('url(#' + fade.id + ')');
+    expect(fade.href).toBe('#' + fade.id);
+    expect(svg.firstChild.localName).toBe('defs');
+    expect(svg.firstChild.children.length).toBe(2);
+    expect(el.svgHelpers.defs(el.svgHelpers.rect(0, 0, 1, 1).appendTo(svg))).toBe(defs);
+
+    const elsewhere = el.draw('svg').appendTo(document.body);
+    const copy = el.svgHelpers.defs(elsewhere).linearGradient(stops(), 'TB');
+    expect(copy.id).toBe(fade.id + '-2');
+    el.destroy(elsewhere);
+  });
+
+  test('looks ids up with getElementById and searches detached svgs themselves', () => {
+    const getElementById = jest.spyOn(document, 'getElementById');
+    const walk = jest.spyOn(el.util, 'walk');
+    el.svgHelpers.defs(svg).linearGradient(stops(), 'TB');
+    expect(getElementById).toHaveBeenCalled();
+    expect(walk.mock.calls.filter((call) => call[0] === svg)).toEqual([]);
+    getElementById.mockRestore();
+    walk.mockRestore();
+
+    const detached = el.draw('svg');
+    const first = el.svgHelpers.defs(detached).add(el.svgHelpers.mask('', []));
+    el.svgHelpers.defs(detached).remove(first.id);
+    el.draw('g#' + first.id).appendTo(detached);
+    expect(el.svgHelpers.defs(detached).add(el.svgHelpers.mask('', [])).id).toBe(first.id + '-2');
+  });
+
+  test('references work as style and attribute values', () => {
+    const defs = el.svgHelpers.defs(svg);
+    const fade = defs.radialGradient(stops(), 0.5, 0.5, 0.5);
+    const rect = el.svgHelpers.rect(0, 0, 10, 10, { fill: fade }).appendTo(svg);
+    const circle = el.svgHelpers.circle(5, 5, 5).setAttributes({ stroke: fade }).appendTo(svg);
+    expect(rect.style.fill).toBe('url(#' + fade.id + ')');
+    expect(circle.getAttribute('stroke')).toBe('url(#' + fade.id + ')');
+    expect(defs.get(fade.id)).toBe(fade);
+  });
+
+  test('collects unreferenced definitions and restores them when used again', async () => {
+    const defs = el.svgHelpers.defs(svg);
+    const pattern = defs.pattern(4, 4, [el.svgHelpers.rect(0, 0, 2, 2, { fill: defs.linearGradient(stops()) })]);
+    const rect = el.svgHelpers.rect(0, 0, 10, 10).setAttributes({ fill: pattern }).appendTo(svg);
+    await mutationsDelivered();
+    expect(svg.querySelectorAll('defs > *').length).toBe(2);
+
+    el.destroy(rect);
+    await mutationsDelivered();
+    expect(svg.querySelector('defs').children.length).toBe(0);
+
+    el.svgHelpers.circle(1, 1, 1).setAttributes({ fill: pattern }).appendTo(svg);
+    expect(svg.querySelector('#' + pattern.id)).toBe(pattern.element);
+    await mutationsDelivered();
+    expect(svg.querySelectorAll('defs > *').length).toBe(2);
+  });
+
+  test('restores definitions for re-inserted elements and keeps definitions with ids of their own', async () => {
+    const circle = el.svgHelpers.circle(5, 5, 5).appendTo(svg);
+    el.svgHelpers.addMaskToElement(circle, el.svgHelpers.mask('', [el.svgHelpers.rect(0, 0, 5, 5, { fill: 'white' })]));
+    el.svgHelpers.addClipPathToElement(circle, el.svgHelpers.clipPath('myclip', [el.svgHelpers.circle(2, 2, 2)]));
+    await mutationsDelivered();
+    svg.removeChild(circle);
+    await mutationsDelivered();
+    expect(Array.from(svg.querySelector('defs').children).map((child) => child.id)).toEqual(['myclip']);
+
+    svg.appendChild(circle);
+    await mutationsDelivered();
+    expect(svg.querySelector(circle.getAttribute('mask').slice(4, -1))).not.toBe(null);
+    expect(svg.querySelector('defs').children.length).toBe(2);
+  });
+
+  test('addMaskToElement and addClipPathToElement use the registry', () => {
+    const circle = el.svgHelpers.circle(5, 5, 5).appendTo(svg);
+    const square = el.svgHelpers.rect(0, 0, 5, 5).appendTo(svg);
+    el.svgHelpers.addMaskToElement(circle, el.svgHelpers.mask('', [el.svgHelpers.rect(0, 0, 5, 5, { fill: 'white' })]));
+    el.svgHelpers.addMaskToElement(square, el.svgHelpers.mask('', [el.svgHelpers.rect(0, 0, 5, 5, { fill: 'white' })]));
+    el.svgHelpers.addClipPathToElement(circle, el.svgHelpers.clipPath('', [el.svgHelpers.circle(2, 2, 2)]));
+    expect(circle.getAttribute('mask')).toBe(square.getAttribute('mask'));
+    expect(circle.getAttribute('mask')).toMatch(/^url\(#mask-[0-9a-z]+\)$/);
+    expect(circle.getAttribute('clip-path')).toMatch(/^url\(#clipPath-[0-9a-z]+\)$/);
+    expect(Array.from(svg.querySelector('defs').children).map((child) => child.localName)).toEqual(['mask', 'clipPath']);
+  });
+
+  test('refuses definitions for elements with nowhere to put them', () => {
+    const detached = el.svgHelpers.circle(5, 5, 5);
+    expect(() => el.svgHelpers.addMaskToElement(detached, el.svgHelpers.mask('', []))).toThrow(/insert the element first/);
+    expect(detached.hasAttribute('mask')).toBe(false);
+  });
+
+  test('addMarkers shares arrowheads through the defs registry', () => {
+    const line = el.svgHelpers.line(0, 0, 100, 0).appendTo(svg);
+    const path = el.svgHelpers.path('M0,10 L100,10').appendTo(svg);
+    el.svgHelpers.addMarkers(line, { start: 'circle', end: 'triangle' });
+    el.svgHelpers.addMarkers(path, { end: el.svgHelpers.arrowhead() });
+    expect(line.getAttribute('marker-end')).toBe(path.getAttribute('marker-end'));
+    expect(line.getAttribute('marker-start')).toMatch(/^url\(#marker-[0-9a-z]+\)$/);
+    expect(line.hasAttribute('marker-mid')).toBe(false);
+
+    const markers = svg.querySelectorAll('defs > marker');
+    expect(markers.length).toBe(2);
+    expect(markers[0].getAttribute('orient')).toBe('auto-start-reverse');
+    expect(() => el.svgHelpers.arrowhead({ shape: 'star' })).toThrow("Unknown arrowhead shape 'star'");
+  });
+
+  test('filter chains primitives and applies through the registry', () => {
+    const shadow = el.svgHelpers.filter({ x: '-20%', width: '140%' })
+      .dropShadow(2, 2, 3, 'black', 0.4)
+      .gaussianBlur([1, 2], { in: 'SourceGraphic', result: 'blur' })
+      .colorMatrix('saturate', 0.5)
+      .merge(['blur', 'SourceGraphic']);
+    expect(Array.from(shadow.children).map((child) => child.localName))
+      .toEqual(['feDropShadow', 'feGaussianBlur', 'feColorMatrix', 'feMerge']);
+    expect(shadow.children[0].getAttribute('flood-opacity')).toBe('0.4');
+    expect(shadow.children[1].getAttribute('stdDeviation')).toBe('1 2');
+    expect(shadow.children[1].getAttribute('result')).toBe('blur');
+    expect(Array.from(shadow.children[3].children).map((node) => node.getAttribute('in'))).toEqual(['blur', 'SourceGraphic']);
+
+    const circle = el.svgHelpers.circle(5, 5, 5).appendTo(svg);
+    el.svgHelpers.addFilterToElement(circle, shadow);
+    expect(circle.getAttribute('filter')).toMatch(/^url\(#filter-[0-9a-z]+\)$/);
+    expect(svg.querySelector('defs > filter')).toBe(shadow);
+  });
+
+  test('sprites are defined once, stamped with <use> and never collected', async () => {
+    const icons = el.svgHelpers.sprites(svg);
+    expect(el.svgHelpers.sprites(el.svgHelpers.rect(0, 0, 1, 1).appendTo(svg))).toBe(icons);
+    const check = icons.define('check', el.svgHelpers.path('M4 12 L10 18 L20 6'), { viewBox: '0 0 24 24' });
+    expect(check.id).toBe('sprite-check');
+    expect(icons.has('check')).toBe(true);
+
+    const use = icons.use('check', 0, 24, 16, 16).appendTo(svg);
+    expect(use.getAttribute('href')).toBe('#sprite-check');
+    expect(use.getAttribute('height')).toBe('16');
+    el.destroy(use);
+    await mutationsDelivered();
+    expect(svg.querySelector('symbol#sprite-check').getAttribute('viewBox')).toBe('0 0 24 24');
+    expect(check.restore()).toBe(check);
+
+    expect(icons.remove('check')).toBe(true);
+    expect(svg.querySelector('symbol')).toBe(null);
+    expect(() => icons.use('check')).toThrow("Unknown sprite 'check'");
+  });
+});